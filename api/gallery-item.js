@@ -0,0 +1,101 @@
+// Serves the app shell for a gallery permalink (/gallery/:id) with that item's
+// Open Graph and Twitter card tags filled in, so link previews from crawlers
+// that don't run JavaScript show the photo or video. Routed here by the
+// rewrite in vercel.json; anything that goes wrong falls back to the plain shell,
+// or to the client-rendered page when the shell itself can't be loaded.
+
+export const config = { runtime: 'edge' };
+
+const API_BASE_URL = process.env.API_BASE_URL || process.env.VITE_API_BASE_URL || 'http://localhost:8080';
+const SITE_NAME = 'LensBridge';
+// Previews change rarely; let the CDN keep them for a few minutes
+const CACHE_CONTROL = 'public, max-age=0, s-maxage=300, stale-while-revalidate=3600';
+
+// The per-page defaults from index.html (og:site_name stays)
+const DEFAULT_PREVIEW_TAGS = /[ \t]*<meta (?:property="og:(?!site_name")[^"]+"|name="twitter:[^"]+")[^>]*>\r?\n?/g;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// HEIC originals can't be shown by most previewers; videos use their poster
+const getPreviewImage = (item) => {
+  const image = item.type === 'video' ? item.posterUrl : item.src;
+  if (!image || /\.(heic|heif)/i.test(image)) return null;
+  return new URL(image, API_BASE_URL).href;
+};
+
+/**
+ * The app shell with the default preview tags and title swapped for ones
+ * describing a gallery item.
+ *
+ * @param {string} html - index.html as built
+ * @param {{ title: string, type: string, src?: string, posterUrl?: string, event?: string, author?: string }} item
+ * @param {string} pageUrl - The permalink being served
+ * @returns {string}
+ */
+export const renderItemPreview = (html, item, pageUrl) => {
+  const title = `${item.title} · ${SITE_NAME}`;
+  const image = getPreviewImage(item);
+  const tags = {
+    'og:type': item.type === 'video' ? 'video.other' : 'article',
+    'og:title': title,
+    'og:description': [item.event, item.author && `Shared by ${item.author}`].filter(Boolean).join(' · '),
+    'og:url': pageUrl,
+    'og:image': image,
+    'twitter:card': image ? 'summary_large_image' : 'summary'
+  };
+
+  const metaTags = Object.entries(tags)
+    .filter(([, value]) => value)
+    .map(([name, value]) => {
+      const attribute = name.startsWith('og:') ? 'property' : 'name';
+      return `    <meta ${attribute}="${name}" content="${escapeHtml(value)}" />\n`;
+    })
+    .join('');
+
+  return html
+    .replace(DEFAULT_PREVIEW_TAGS, '')
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`)
+    .replace('</head>', `${metaTags}  </head>`);
+};
+
+const fetchItem = async (id) => {
+  const response = await fetch(`${API_BASE_URL}/api/gallery/${encodeURIComponent(id)}`, {
+    headers: { Accept: 'application/json' }
+  });
+  return response.ok ? response.json() : null;
+};
+
+const fetchShell = async (origin) => {
+  const response = await fetch(new URL('/index.html', origin));
+  if (!response.ok) throw new Error(`index.html responded with ${response.status}`);
+  return response.text();
+};
+
+export default async function handler(request) {
+  const requestUrl = new URL(request.url);
+  const id = requestUrl.searchParams.get('id');
+  const headers = { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': CACHE_CONTROL };
+
+  let html;
+  try {
+    html = await fetchShell(requestUrl.origin);
+  } catch (error) {
+    console.warn('Could not load the app shell for a gallery preview:', error);
+    // The trailing slash misses the permalink rewrite, so the catch-all serves
+    // the shell and the app's router opens the item as usual
+    return Response.redirect(`${requestUrl.origin}/gallery/${encodeURIComponent(id ?? '')}/`, 302);
+  }
+
+  try {
+    const item = id ? await fetchItem(id) : null;
+    if (item) {
+      const pageUrl = `${requestUrl.origin}/gallery/${encodeURIComponent(id)}`;
+      return new Response(renderItemPreview(html, item, pageUrl), { headers });
+    }
+  } catch (error) {
+    console.warn(`Could not load gallery item ${id} for its preview:`, error);
+  }
+
+  return new Response(html, { headers });
+}
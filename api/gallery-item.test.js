@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import handler, { renderItemPreview } from './gallery-item';
+
+const shell = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const pageUrl = 'https://lensbridge.tech/gallery/42';
+
+const metaContent = (html, name) =>
+  html.match(new RegExp(`<meta (?:property|name)="${name}" content="([^"]*)"`))?.[1];
+
+describe('renderItemPreview', () => {
+  const photo = {
+    title: 'Iftar dinner',
+    type: 'image',
+    src: 'https://cdn.example.com/uploads/iftar.jpg',
+    event: 'Ramadan Iftar',
+    author: 'Sara'
+  };
+
+  it('describes the item in place of the defaults', () => {
+    const html = renderItemPreview(shell, photo, pageUrl);
+
+    expect(html).toContain('<title>Iftar dinner · LensBridge</title>');
+    expect(metaContent(html, 'og:title')).toBe('Iftar dinner · LensBridge');
+    expect(metaContent(html, 'og:description')).toBe('Ramadan Iftar · Shared by Sara');
+    expect(metaContent(html, 'og:image')).toBe(photo.src);
+    expect(metaContent(html, 'og:url')).toBe(pageUrl);
+    expect(metaContent(html, 'og:type')).toBe('article');
+    expect(metaContent(html, 'twitter:card')).toBe('summary_large_image');
+    expect(html.match(/property="og:title"/g)).toHaveLength(1);
+    expect(metaContent(html, 'og:site_name')).toBe('LensBridge');
+  });
+
+  it('uses the poster for videos', () => {
+    const html = renderItemPreview(
+      shell,
+      { ...photo, type: 'video', src: 'https://cdn.example.com/a.mp4', posterUrl: 'https://cdn.example.com/a.jpg' },
+      pageUrl
+    );
+    expect(metaContent(html, 'og:image')).toBe('https://cdn.example.com/a.jpg');
+    expect(metaContent(html, 'og:type')).toBe('video.other');
+  });
+
+  it('leaves out HEIC images, which previewers cannot show', () => {
+    const html = renderItemPreview(shell, { ...photo, src: 'https://cdn.example.com/IMG_1.HEIC' }, pageUrl);
+    expect(metaContent(html, 'og:image')).toBeUndefined();
+    expect(metaContent(html, 'twitter:card')).toBe('summary');
+  });
+
+  it('escapes text from the item', () => {
+    const html = renderItemPreview(shell, { ...photo, title: '"Eid" <script>' }, pageUrl);
+    expect(html).not.toContain('<script>"');
+    expect(metaContent(html, 'og:title')).toBe('&#34;Eid&#34; &#60;script&#62; · LensBridge');
+  });
+});
+
+describe('handler', () => {
+  const request = new Request('https://lensbridge.tech/api/gallery-item?id=42');
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('serves the shell with the item preview', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) =>
+      String(url).endsWith('/index.html')
+        ? new Response(shell)
+        : Response.json({ title: 'Iftar dinner', type: 'image' })
+    ));
+
+    const response = await handler(request);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('<title>Iftar dinner · LensBridge</title>');
+  });
+
+  it('serves the plain shell when the item cannot be loaded', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      if (String(url).endsWith('/index.html')) return new Response(shell);
+      throw new TypeError('fetch failed');
+    }));
+
+    const response = await handler(request);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe(shell);
+  });
+
+  it.each([
+    ['fails', async () => { throw new TypeError('fetch failed'); }],
+    ['is missing', async () => new Response('Not found', { status: 404 })]
+  ])('falls back to the client-rendered page when the shell %s', async (_, fetchShell) => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(fetchShell));
+
+    const response = await handler(request);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('https://lensbridge.tech/gallery/42/');
+  });
+});
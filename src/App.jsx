@@ -6,10 +6,13 @@ import ProtectedRoute from './components/ProtectedRoute';
 import AdminRoute from './components/AdminRoute';
 import PWAInstallPrompt from './components/PWAInstallPrompt';
 import OfflineNotification from './components/OfflineNotification';
+import TermsUpdatePrompt from './components/TermsUpdatePrompt';
 import Home from './pages/Home';
 import Upload from './pages/Upload';
 import Gallery from './pages/Gallery';
+import GalleryAlbums from './pages/GalleryAlbums';
 import AdminDashboard from './pages/AdminDashboard';
+import MyUploads from './pages/MyUploads';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import SignupSuccess from './pages/SignupSuccess';
@@ -39,6 +42,19 @@ function App() {
                 } 
               />
               <Route path="/gallery" element={<Gallery />} />
+              {/* Same page with the viewer open, so the grid isn't reloaded */}
+              <Route path="/gallery/:id" element={<Gallery />} />
+              <Route path="/gallery/albums" element={<GalleryAlbums />} />
+              <Route path="/gallery/event/:eventId" element={<Gallery />} />
+              <Route path="/gallery/event/:eventId/:id" element={<Gallery />} />
+              <Route 
+                path="/my-uploads" 
+                element={
+                  <ProtectedRoute>
+                    <MyUploads />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="/admin" 
                 element={
@@ -59,6 +75,7 @@ function App() {
           </main>
           <Footer />
           <PWAInstallPrompt />
+          <TermsUpdatePrompt />
         </div>
       </Router>
     </AuthProvider>
@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef } from 'react';
+import { X, Camera, Video, SwitchCamera, RotateCcw, Check } from 'lucide-react';
+import UPLOAD_CONFIG from '../config/upload';
+import {
+  CAPTURE_MODE,
+  FACING_MODE,
+  getCaptureModes,
+  openCameraStream,
+  stopCameraStream,
+  getCameraErrorMessage,
+  capturePhoto,
+  startClipRecording
+} from '../services/camera';
+import { formatDuration } from '../utils/format';
+
+const { MAX_CLIP_SECONDS } = UPLOAD_CONFIG.CAMERA;
+
+// Full-screen camera on the Upload page. Each shot is reviewed before it's
+// handed to onCapture, and the camera stays open for the next one.
+function CameraCapture({ policy, onCapture, onClose }) {
+  const modes = getCaptureModes(policy);
+  const [mode, setMode] = useState(modes[0]);
+  const [facingMode, setFacingMode] = useState(FACING_MODE.BACK);
+  const [stream, setStream] = useState(null);
+  const [error, setError] = useState('');
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [captured, setCaptured] = useState(null); // { file, url }
+  const [addedCount, setAddedCount] = useState(0);
+  const videoRef = useRef(null);
+  const recordingRef = useRef(null);
+
+  // Reopen the camera when switching lenses, or modes (clips need the microphone)
+  useEffect(() => {
+    let cancelled = false;
+    let openedStream = null;
+    setError('');
+
+    openCameraStream({ facingMode, withAudio: mode === CAPTURE_MODE.VIDEO })
+      .then((cameraStream) => {
+        if (cancelled) {
+          stopCameraStream(cameraStream);
+          return;
+        }
+        openedStream = cameraStream;
+        setStream(cameraStream);
+      })
+      .catch((cameraError) => {
+        console.error('Error opening camera:', cameraError);
+        if (!cancelled) setError(getCameraErrorMessage(cameraError));
+      });
+
+    return () => {
+      cancelled = true;
+      recordingRef.current?.stop();
+      stopCameraStream(openedStream);
+      setStream(null);
+    };
+  }, [facingMode, mode]);
+
+  // The preview element is re-rendered after each review, so reattach every time
+  useEffect(() => {
+    if (videoRef.current && stream) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream, captured]);
+
+  useEffect(() => {
+    if (!isRecording) return;
+
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      const seconds = (Date.now() - startedAt) / 1000;
+      setElapsed(seconds);
+      if (seconds >= MAX_CLIP_SECONDS) {
+        recordingRef.current?.stop();
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  useEffect(() => () => {
+    if (captured) URL.revokeObjectURL(captured.url);
+  }, [captured]);
+
+  const showCaptured = (file) => {
+    setCaptured({ file, url: URL.createObjectURL(file) });
+  };
+
+  const handleTakePhoto = async () => {
+    try {
+      showCaptured(await capturePhoto(videoRef.current));
+    } catch (captureError) {
+      console.error('Error taking photo:', captureError);
+      setError('Could not take a photo. Try again.');
+    }
+  };
+
+  const handleStartRecording = async () => {
+    setError('');
+    setElapsed(0);
+    try {
+      const recording = startClipRecording(stream, policy.allowedTypes.video || []);
+      recordingRef.current = recording;
+      setIsRecording(true);
+      showCaptured(await recording.done);
+    } catch (recordError) {
+      console.error('Error recording clip:', recordError);
+      setError('Could not record a video. Try again.');
+    } finally {
+      recordingRef.current = null;
+      setIsRecording(false);
+    }
+  };
+
+  const handleUse = () => {
+    onCapture(captured.file);
+    setAddedCount((count) => count + 1);
+    setCaptured(null);
+  };
+
+  const switchCamera = () => {
+    setFacingMode((current) => (current === FACING_MODE.BACK ? FACING_MODE.FRONT : FACING_MODE.BACK));
+  };
+
+  const isVideoMode = mode === CAPTURE_MODE.VIDEO;
+
+  return (
+    <div className="fixed inset-0 bg-black z-50 flex flex-col">
+      <div className="flex items-center justify-between p-4 text-white">
+        <span className="text-sm">
+          {addedCount > 0 ? `${addedCount} added to your upload` : isVideoMode ? 'Record a video' : 'Take a photo'}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={isRecording}
+          className="p-2 rounded-full hover:bg-white/10 disabled:opacity-50"
+          aria-label={addedCount > 0 ? 'Done' : 'Close camera'}
+        >
+          {addedCount > 0 ? <Check className="h-6 w-6" /> : <X className="h-6 w-6" />}
+        </button>
+      </div>
+
+      <div className="relative flex-1 flex items-center justify-center overflow-hidden">
+        {captured ? (
+          captured.file.type.startsWith('video/') ? (
+            <video src={captured.url} className="max-h-full max-w-full" controls autoPlay playsInline />
+          ) : (
+            <img src={captured.url} alt="Captured photo" className="max-h-full max-w-full object-contain" />
+          )
+        ) : (
+          <video
+            ref={videoRef}
+            autoPlay
+            muted
+            playsInline
+            // Mirror the selfie camera like the phone's own camera app does
+            className={`max-h-full max-w-full ${facingMode === FACING_MODE.FRONT ? '-scale-x-100' : ''}`}
+          />
+        )}
+
+        {error && (
+          <div className="absolute inset-x-4 top-4 bg-red-600 text-white text-sm rounded-lg p-3 text-center">
+            {error}
+          </div>
+        )}
+        {isRecording && (
+          <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-red-600 text-white text-sm font-medium rounded-full px-3 py-1">
+            {formatDuration(elapsed)} / {formatDuration(MAX_CLIP_SECONDS)}
+          </div>
+        )}
+      </div>
+
+      <div className="p-6 pb-8">
+        {captured ? (
+          <div className="flex items-center justify-center space-x-6">
+            <button
+              type="button"
+              onClick={() => setCaptured(null)}
+              className="flex items-center space-x-2 px-5 py-3 rounded-full bg-white/10 text-white hover:bg-white/20"
+            >
+              <RotateCcw className="h-5 w-5" />
+              <span>Retake</span>
+            </button>
+            <button
+              type="button"
+              onClick={handleUse}
+              className="flex items-center space-x-2 px-5 py-3 rounded-full bg-blue-600 text-white hover:bg-blue-700"
+            >
+              <Check className="h-5 w-5" />
+              <span>{isVideoMode ? 'Use video' : 'Use photo'}</span>
+            </button>
+          </div>
+        ) : (
+          <>
+            {modes.length > 1 && (
+              <div className="flex justify-center space-x-2 mb-6">
+                {modes.map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setMode(value)}
+                    disabled={isRecording}
+                    className={`flex items-center space-x-1 px-3 py-1 rounded-full text-sm ${
+                      mode === value ? 'bg-white text-gray-900' : 'text-white/80 hover:text-white'
+                    }`}
+                  >
+                    {value === CAPTURE_MODE.VIDEO ? <Video className="h-4 w-4" /> : <Camera className="h-4 w-4" />}
+                    <span>{value === CAPTURE_MODE.VIDEO ? 'Video' : 'Photo'}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center justify-center space-x-10">
+              <div className="w-12" />
+              <button
+                type="button"
+                onClick={
+                  isVideoMode
+                    ? isRecording
+                      ? () => recordingRef.current?.stop()
+                      : handleStartRecording
+                    : handleTakePhoto
+                }
+                disabled={!stream}
+                className="h-16 w-16 rounded-full border-4 border-white flex items-center justify-center disabled:opacity-50"
+                aria-label={isVideoMode ? (isRecording ? 'Stop recording' : 'Start recording') : 'Take photo'}
+              >
+                <span
+                  className={`block transition-all ${
+                    isVideoMode
+                      ? isRecording
+                        ? 'h-6 w-6 rounded bg-red-600'
+                        : 'h-12 w-12 rounded-full bg-red-600'
+                      : 'h-12 w-12 rounded-full bg-white'
+                  }`}
+                />
+              </button>
+              <button
+                type="button"
+                onClick={switchCamera}
+                disabled={isRecording}
+                className="h-12 w-12 rounded-full bg-white/10 text-white flex items-center justify-center hover:bg-white/20 disabled:opacity-50"
+                aria-label="Switch camera"
+              >
+                <SwitchCamera className="h-6 w-6" />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CameraCapture;
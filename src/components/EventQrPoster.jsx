@@ -0,0 +1,117 @@
+import { useState, useEffect, useRef } from 'react';
+import { X, Printer, Download, Copy, Check } from 'lucide-react';
+import {
+  getEventUploadUrl,
+  createQrSvg,
+  createQrPng,
+  printEventPoster
+} from '../services/eventPoster';
+
+// Admin modal with an event's upload QR code, ready to print or download
+function EventQrPoster({ event, eventDate, onClose }) {
+  const url = getEventUploadUrl(event.id);
+  const [qrPng, setQrPng] = useState('');
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const copiedTimerRef = useRef(null);
+
+  useEffect(() => {
+    createQrPng(url)
+      .then(setQrPng)
+      .catch((qrError) => {
+        console.error('Error creating QR code:', qrError);
+        setError('Could not create the QR code.');
+      });
+  }, [url]);
+
+  useEffect(() => () => clearTimeout(copiedTimerRef.current), []);
+
+  const handlePrint = async () => {
+    setError('');
+    try {
+      const qrSvg = await createQrSvg(url);
+      if (!printEventPoster({ eventName: event.name, eventDate, url, qrSvg })) {
+        setError('Allow pop-ups for this site to print the poster.');
+      }
+    } catch (printError) {
+      console.error('Error printing poster:', printError);
+      setError('Could not create the poster.');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      clearTimeout(copiedTimerRef.current);
+      copiedTimerRef.current = setTimeout(() => setCopied(false), 2000);
+    } catch (copyError) {
+      console.error('Error copying link:', copyError);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-md w-full p-6 shadow-xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Upload QR code</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="text-center">
+          <p className="font-semibold text-gray-900">{event.name}</p>
+          {eventDate && <p className="text-sm text-gray-500">{eventDate}</p>}
+          <div className="w-56 h-56 mx-auto my-4 bg-gray-50 flex items-center justify-center">
+            {qrPng ? (
+              <img src={qrPng} alt={`QR code for ${event.name}`} className="w-full h-full" />
+            ) : (
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            )}
+          </div>
+          <div className="flex items-center space-x-2 bg-gray-50 rounded-lg px-3 py-2">
+            <span className="flex-1 text-xs text-gray-600 truncate text-left" title={url}>{url}</span>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="text-gray-500 hover:text-gray-700"
+              title="Copy link"
+            >
+              {copied ? <Check className="h-4 w-4 text-green-600" /> : <Copy className="h-4 w-4" />}
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <a
+            href={qrPng || undefined}
+            download={`${event.name} QR.png`}
+            className={`px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center space-x-2 ${
+              qrPng ? '' : 'pointer-events-none opacity-50'
+            }`}
+          >
+            <Download className="h-4 w-4" />
+            <span>PNG</span>
+          </a>
+          <button
+            type="button"
+            onClick={handlePrint}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+          >
+            <Printer className="h-4 w-4" />
+            <span>Print poster</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EventQrPoster;
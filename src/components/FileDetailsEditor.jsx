@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { X, CopyCheck } from 'lucide-react';
+import UPLOAD_CONFIG from '../config/upload';
+import { EMPTY_FILE_DETAILS, addTags } from '../utils/fileDetails';
+
+const { CAPTION_MAX_LENGTH, MAX_TAGS, MAX_PEOPLE_COUNT } = UPLOAD_CONFIG.FILE_DETAILS;
+
+// Caption, tags and people count for one file on the Upload page
+function FileDetailsEditor({ details = EMPTY_FILE_DETAILS, onChange, onApplyToAll, captionPlaceholder, disabled }) {
+  const [tagInput, setTagInput] = useState('');
+
+  const update = (changes) => onChange({ ...details, ...changes });
+
+  const commitTagInput = () => {
+    if (!tagInput.trim()) return;
+    update({ tags: addTags(details.tags, tagInput) });
+    setTagInput('');
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commitTagInput();
+    } else if (e.key === 'Backspace' && !tagInput && details.tags.length > 0) {
+      update({ tags: details.tags.slice(0, -1) });
+    }
+  };
+
+  const handlePeopleCountChange = (e) => {
+    const { value } = e.target;
+    if (value === '') {
+      update({ peopleCount: '' });
+      return;
+    }
+    const count = Math.floor(Number(value));
+    if (Number.isFinite(count)) {
+      update({ peopleCount: Math.min(MAX_PEOPLE_COUNT, Math.max(0, count)) });
+    }
+  };
+
+  return (
+    <div className="mt-2 space-y-2 rounded-lg border border-gray-200 bg-gray-50 p-2">
+      <div>
+        <textarea
+          value={details.caption}
+          onChange={(e) => update({ caption: e.target.value })}
+          maxLength={CAPTION_MAX_LENGTH}
+          rows={3}
+          disabled={disabled}
+          placeholder={captionPlaceholder || 'Caption for this file'}
+          aria-label="Caption"
+          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+        />
+        {details.caption.length > CAPTION_MAX_LENGTH * 0.9 && (
+          <p className="text-xs text-gray-500 text-right">
+            {details.caption.length}/{CAPTION_MAX_LENGTH}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1 px-2 py-1 bg-white border border-gray-300 rounded focus-within:ring-2 focus-within:ring-blue-500">
+        {details.tags.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center space-x-1 bg-blue-50 text-blue-700 rounded px-1.5 py-0.5 text-xs"
+          >
+            <span>#{tag}</span>
+            {!disabled && (
+              <button
+                type="button"
+                onClick={() => update({ tags: details.tags.filter((t) => t !== tag) })}
+                className="text-blue-400 hover:text-blue-600"
+                title={`Remove #${tag}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </span>
+        ))}
+        {details.tags.length < MAX_TAGS && (
+          <input
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            onBlur={commitTagInput}
+            disabled={disabled}
+            placeholder={details.tags.length === 0 ? 'Tags, separated by commas' : ''}
+            aria-label="Tags"
+            className="flex-1 min-w-[6rem] text-xs py-0.5 focus:outline-none disabled:bg-white"
+          />
+        )}
+      </div>
+
+      <label className="flex items-center justify-between gap-2 text-xs text-gray-600">
+        <span>People in this shot</span>
+        <input
+          type="number"
+          min="0"
+          max={MAX_PEOPLE_COUNT}
+          value={details.peopleCount}
+          onChange={handlePeopleCountChange}
+          disabled={disabled}
+          className="w-16 px-2 py-0.5 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+        />
+      </label>
+
+      {onApplyToAll && (
+        <button
+          type="button"
+          onClick={onApplyToAll}
+          disabled={disabled}
+          className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+          title="Copy this caption and these tags to every file in this upload"
+        >
+          <CopyCheck className="h-3 w-3" />
+          <span>Apply caption and tags to all</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default FileDetailsEditor;
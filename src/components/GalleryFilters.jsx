@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import { Star } from 'lucide-react';
+import api from '../services/api';
+import useDebouncedInput from '../hooks/useDebouncedInput';
+import { getClearedFilters, countActiveFilters } from '../utils/galleryQuery';
+
+const TYPE_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'image', label: '📸 Photos' },
+  { value: 'video', label: '🎥 Videos' }
+];
+
+const inputClassName =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600 focus:border-transparent';
+
+/**
+ * The Gallery's filter panel. Every change goes straight to onChange, which
+ * keeps it in the URL; the uploader name waits for typing to pause.
+ *
+ * @param {object} props
+ * @param {object} props.query - As returned by parseGalleryQuery
+ * @param {(changes: object) => void} props.onChange
+ * @param {boolean} props.showEvents - False inside an event album, which is already one event
+ */
+function GalleryFilters({ query, onChange, showEvents }) {
+  const [events, setEvents] = useState([]);
+  const [eventsError, setEventsError] = useState(null);
+  const [uploaderInput, setUploaderInput] = useDebouncedInput(query.uploader, (uploader) => onChange({ uploader }));
+
+  useEffect(() => {
+    if (!showEvents) return;
+
+    const controller = new AbortController();
+    api.events.list({ signal: controller.signal })
+      .then((data) => setEvents(data || []))
+      .catch((err) => {
+        if (err.isAborted) return;
+        console.error('Error fetching events:', err);
+        setEventsError("Couldn't load events.");
+      });
+    return () => controller.abort();
+  }, [showEvents]);
+
+  const toggleEvent = (eventId) => {
+    const id = String(eventId);
+    onChange({
+      events: query.events.includes(id)
+        ? query.events.filter((selected) => selected !== id)
+        : [...query.events, id]
+    });
+  };
+
+  const dateLabel = query.dateField === 'taken' ? 'Taken' : 'Uploaded';
+
+  return (
+    <div className="border-t border-gray-200 mt-6 pt-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {/* Type and featured combine, e.g. featured videos */}
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Media</h3>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden mb-3">
+            {TYPE_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => onChange({ type: option.value })}
+                className={`flex-1 px-3 py-2 text-sm transition-colors ${
+                  query.type === option.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={query.featured}
+              onChange={(e) => onChange({ featured: e.target.checked })}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-600"
+            />
+            <Star className="h-4 w-4 text-yellow-500" />
+            <span>Featured only</span>
+          </label>
+        </div>
+
+        {/* The same date is used for the range and the ordering */}
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Sort</h3>
+          <div className="space-y-3">
+            <select
+              value={query.order}
+              onChange={(e) => onChange({ order: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="featured">Most featured</option>
+            </select>
+            <select
+              value={query.dateField}
+              onChange={(e) => onChange({ dateField: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="uploaded">By upload date</option>
+              <option value="taken">By date taken</option>
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">{dateLabel} between</h3>
+          <div className="space-y-3">
+            <input
+              type="date"
+              value={query.from}
+              max={query.to || undefined}
+              onChange={(e) => onChange({ from: e.target.value })}
+              className={inputClassName}
+              aria-label={`${dateLabel} from`}
+            />
+            <input
+              type="date"
+              value={query.to}
+              min={query.from || undefined}
+              onChange={(e) => onChange({ to: e.target.value })}
+              className={inputClassName}
+              aria-label={`${dateLabel} to`}
+            />
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Uploaded by</h3>
+          <input
+            type="text"
+            value={uploaderInput}
+            onChange={(e) => setUploaderInput(e.target.value)}
+            placeholder="Uploader name"
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      {showEvents && (
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Events
+            {query.events.length > 0 && (
+              <span className="font-normal text-gray-500"> · {query.events.length} selected</span>
+            )}
+          </h3>
+          {eventsError ? (
+            <p className="text-sm text-red-600">{eventsError}</p>
+          ) : (
+            <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+              {events.map((event) => {
+                const isSelected = query.events.includes(String(event.id));
+                return (
+                  <button
+                    key={event.id}
+                    type="button"
+                    onClick={() => toggleEvent(event.id)}
+                    aria-pressed={isSelected}
+                    className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                      isSelected
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    {event.name}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {countActiveFilters(query, { includeSearch: false }) > 0 && (
+        <div className="mt-6 text-right">
+          <button
+            type="button"
+            onClick={() => onChange(getClearedFilters({ includeSearch: false }))}
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GalleryFilters;
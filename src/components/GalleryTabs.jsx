@@ -0,0 +1,38 @@
+import { Link, useLocation } from 'react-router-dom';
+import { Grid3x3, FolderOpen } from 'lucide-react';
+
+const TABS = [
+  { name: 'All media', href: '/gallery', icon: Grid3x3 },
+  { name: 'Albums', href: '/gallery/albums', icon: FolderOpen }
+];
+
+// Switches the Gallery between the full media list and event albums
+function GalleryTabs() {
+  const location = useLocation();
+  const isAlbums = location.pathname.startsWith('/gallery/albums');
+
+  return (
+    <div className="flex justify-center mb-8">
+      <div className="inline-flex bg-white rounded-xl shadow border border-gray-200 p-1">
+        {TABS.map((tab) => {
+          const Icon = tab.icon;
+          const isActive = (tab.href === '/gallery/albums') === isAlbums;
+          return (
+            <Link
+              key={tab.href}
+              to={tab.href}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                isActive ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <Icon className="h-4 w-4" />
+              <span>{tab.name}</span>
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default GalleryTabs;
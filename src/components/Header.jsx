@@ -1,5 +1,5 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { Camera, Home, Upload, Grid3x3, Menu, X, Sparkles, User, LogOut, Shield } from 'lucide-react';
+import { Camera, Home, Upload, Grid3x3, Menu, X, Sparkles, User, LogOut, Shield, FolderOpen } from 'lucide-react';
 import { useState, useEffect } from 'react';
 
 function Header() {
@@ -62,13 +62,16 @@ function Header() {
   };
 
   const isActive = (path) => {
-    return location.pathname === path;
+    // Sub-pages such as /gallery/:id count as their section
+    return location.pathname === path || (path !== '/' && location.pathname.startsWith(`${path}/`));
   };
 
   const navigation = [
     { name: 'Home', href: '/', icon: Home },
     { name: 'Upload', href: '/upload', icon: Upload },
     { name: 'Gallery', href: '/gallery', icon: Grid3x3 },
+    // Members only
+    ...(user ? [{ name: 'My Uploads', href: '/my-uploads', icon: FolderOpen }] : []),
   ];
 
   return (
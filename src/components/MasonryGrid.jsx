@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { computeMasonryLayout, getColumnCount } from '../utils/masonry';
+
+const GAP = 24;
+// Tiles this far outside the viewport stay mounted so fast scrolling doesn't flash
+const OVERSCAN = 800;
+// Ratio used until an item's real one is known
+const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+/**
+ * Masonry grid that scrolls with the window and only mounts the tiles near
+ * the viewport, so the DOM stays small however many items are loaded.
+ *
+ * @param {object} props
+ * @param {object[]} props.items - Each with a unique `id`
+ * @param {(item: object) => number|null} props.getAspectRatio - Width / height of the item's media
+ * @param {number} props.captionHeight - Fixed height below the media on every tile
+ * @param {(item: object) => import('react').ReactNode} props.renderItem
+ * @param {() => void} [props.onEndReached] - Called when the end is within `endThreshold` pixels
+ * @param {number} [props.endThreshold]
+ * @param {{ id: * }|null} [props.scrollTarget] - Scroll this item into view; pass a new object each time
+ */
+function MasonryGrid({
+  items,
+  getAspectRatio,
+  captionHeight,
+  renderItem,
+  onEndReached,
+  endThreshold = 1500,
+  scrollTarget
+}) {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Viewport in the container's coordinates, updated at most once a frame
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const containerTop = containerRef.current.getBoundingClientRect().top;
+      setViewport({ top: -containerTop, height: window.innerHeight });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  const columnCount = getColumnCount(width);
+  const columnWidth = width > 0 ? (width - GAP * (columnCount - 1)) / columnCount : 0;
+
+  const layout = useMemo(() => {
+    const heights = items.map(
+      (item) => columnWidth / (getAspectRatio(item) || DEFAULT_ASPECT_RATIO) + captionHeight
+    );
+    return computeMasonryLayout(heights, { columnCount, columnWidth, gap: GAP });
+  }, [items, getAspectRatio, captionHeight, columnCount, columnWidth]);
+
+  // Read by the scroll-to effect, which should only run for a new target
+  const latestRef = useRef(null);
+  latestRef.current = { items, positions: layout.positions };
+
+  const viewTop = viewport.top - OVERSCAN;
+  const viewBottom = viewport.top + viewport.height + OVERSCAN;
+
+  useEffect(() => {
+    if (!onEndReached || width === 0) return;
+    if (viewport.top + viewport.height + endThreshold >= layout.height) {
+      onEndReached();
+    }
+  }, [viewport, layout.height, width, endThreshold, onEndReached]);
+
+  useEffect(() => {
+    if (!scrollTarget) return;
+
+    const { items: currentItems, positions } = latestRef.current;
+    const index = currentItems.findIndex((item) => item.id === scrollTarget.id);
+    const position = positions[index];
+    if (!position) return;
+
+    const containerTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+    const itemTop = containerTop + position.top;
+    // Leave it alone if it's already fully visible
+    if (itemTop >= window.scrollY && itemTop + position.height <= window.scrollY + window.innerHeight) return;
+
+    window.scrollTo({ top: itemTop - (window.innerHeight - position.height) / 2 });
+  }, [scrollTarget]);
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height: layout.height }}>
+      {items.map((item, index) => {
+        const position = layout.positions[index];
+        if (position.top > viewBottom || position.top + position.height < viewTop) return null;
+
+        return (
+          <div
+            key={item.id}
+            className="absolute"
+            style={{
+              top: position.top,
+              left: position.left,
+              width: columnWidth,
+              height: position.height
+            }}
+          >
+            {renderItem(item)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MasonryGrid;
@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CloudOff, Loader2, AlertCircle, RotateCcw, Trash2 } from 'lucide-react';
+import {
+  QUEUE_STATUS,
+  getQueuedSubmissions,
+  removeQueuedSubmission,
+  retryQueuedSubmission,
+  processUploadQueue,
+  subscribeToQueue,
+  isBackgroundSyncSupported
+} from '../services/uploadQueue';
+import { formatBytes } from '../utils/format';
+
+// Browsers without Background Sync replay the queue from the page instead
+const replayFromPage = () => {
+  if (isBackgroundSyncSupported()) return;
+  processUploadQueue().catch((error) => {
+    console.error('Error replaying upload queue:', error);
+  });
+};
+
+function PendingUploadsPanel() {
+  const [submissions, setSubmissions] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setSubmissions(await getQueuedSubmissions());
+    } catch (error) {
+      console.error('Error loading upload queue:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+    const unsubscribe = subscribeToQueue(loadQueue);
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      replayFromPage();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    if (navigator.onLine) {
+      replayFromPage();
+    }
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [loadQueue]);
+
+  const handleRetry = async (id) => {
+    try {
+      await retryQueuedSubmission(id);
+    } catch (error) {
+      console.error('Error retrying queued upload:', error);
+    }
+    loadQueue();
+  };
+
+  const handleRemove = async (id) => {
+    if (!confirm('Remove this submission from the queue? Its files will not be uploaded.')) return;
+
+    await removeQueuedSubmission(id);
+    loadQueue();
+  };
+
+  if (submissions.length === 0) return null;
+
+  const getStatusLabel = (submission) => {
+    switch (submission.status) {
+      case QUEUE_STATUS.UPLOADING:
+        return `Uploading... ${submission.files.length} ${submission.files.length === 1 ? 'file' : 'files'} left`;
+      case QUEUE_STATUS.FAILED:
+        return submission.error || 'Upload failed';
+      default:
+        return isOnline ? 'Waiting to sync' : 'Waiting for connection';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center space-x-2 mb-1">
+        <CloudOff className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Pending Uploads</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        These submissions were saved while you were offline and will upload automatically when you're back online.
+      </p>
+
+      <ul className="divide-y divide-gray-100">
+        {submissions.map((submission) => {
+          const totalSize = submission.files.reduce((sum, file) => sum + file.size, 0);
+          const isFailed = submission.status === QUEUE_STATUS.FAILED;
+
+          return (
+            <li key={submission.id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{submission.eventName}</p>
+                <p className="text-xs text-gray-500">
+                  {submission.files.length} {submission.files.length === 1 ? 'file' : 'files'} · {formatBytes(totalSize)} · saved {new Date(submission.createdAt).toLocaleString()}
+                </p>
+                <p className={`text-xs mt-1 flex items-center space-x-1 ${isFailed ? 'text-red-600' : 'text-gray-600'}`}>
+                  {submission.status === QUEUE_STATUS.UPLOADING && <Loader2 className="h-3 w-3 animate-spin" />}
+                  {isFailed && <AlertCircle className="h-3 w-3" />}
+                  <span>{getStatusLabel(submission)}</span>
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-2 shrink-0">
+                {(isFailed || submission.status === QUEUE_STATUS.PENDING) && (
+                  <button
+                    type="button"
+                    onClick={() => handleRetry(submission.id)}
+                    disabled={!isOnline}
+                    className="p-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    title="Retry now"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleRemove(submission.id)}
+                  disabled={submission.status === QUEUE_STATUS.UPLOADING}
+                  className="p-2 rounded-lg border border-gray-300 text-red-600 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title="Remove from queue"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default PendingUploadsPanel;
@@ -0,0 +1,163 @@
+import { useState, useRef, useEffect } from 'react';
+import { AlertCircle, Loader2, Wand2, X } from 'lucide-react';
+import {
+  FIX_TYPE,
+  applyRejectionFix,
+  getRejectionFix,
+  getRejectionHint
+} from '../services/fileValidation';
+import { formatBytes } from '../utils/format';
+
+// Report of files the Upload page couldn't add, with one-click fixes where the
+// browser can repair the file itself
+function RejectedFilesPanel({ rejectedFiles, policy, onFixed, onDismiss, onDismissAll }) {
+  // Rejected id -> { working, progress, error }
+  const [fixes, setFixes] = useState({});
+  const controllersRef = useRef(new Map());
+
+  // Stop any running video compression when the page goes away
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  if (rejectedFiles.length === 0) return null;
+
+  const updateFix = (id, update) =>
+    setFixes((prev) => ({ ...prev, [id]: { ...prev[id], ...update } }));
+
+  const handleFix = async (rejected, fix) => {
+    const controller = new AbortController();
+    controllersRef.current.set(rejected.id, controller);
+    updateFix(rejected.id, { working: true, progress: null, error: '' });
+
+    try {
+      const fixedFile = await applyRejectionFix(rejected.file, fix.type, policy, {
+        signal: controller.signal,
+        onProgress: (progress) => updateFix(rejected.id, { progress })
+      });
+      onFixed(rejected, fixedFile);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateFix(rejected.id, { working: false, progress: null });
+        return;
+      }
+      console.error(`Error fixing ${rejected.file.name}:`, error);
+      updateFix(rejected.id, {
+        working: false,
+        error: error.message || "This file couldn't be fixed automatically."
+      });
+    } finally {
+      controllersRef.current.delete(rejected.id);
+    }
+  };
+
+  const handleCancelFix = (id) => controllersRef.current.get(id)?.abort();
+
+  const handleDismiss = (id) => {
+    handleCancelFix(id);
+    onDismiss(id);
+  };
+
+  const handleDismissAll = () => {
+    controllersRef.current.forEach((controller) => controller.abort());
+    onDismissAll();
+  };
+
+  return (
+    <div className="mt-4 rounded-lg border border-red-200 bg-red-50 p-4">
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-sm font-medium text-red-800 flex items-center space-x-1">
+          <AlertCircle className="h-4 w-4" />
+          <span>
+            {rejectedFiles.length} {rejectedFiles.length === 1 ? 'file' : 'files'} couldn't be added
+          </span>
+        </p>
+        <button
+          type="button"
+          onClick={handleDismissAll}
+          className="text-red-400 hover:text-red-600"
+          title="Dismiss all"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <ul className="mt-2 divide-y divide-red-100">
+        {rejectedFiles.map((rejected) => {
+          const { file, reason } = rejected;
+          const fix = getRejectionFix(file, reason, policy);
+          const state = fixes[rejected.id] || {};
+          const isVideoFix = fix?.type === FIX_TYPE.COMPRESS_VIDEO;
+
+          return (
+            <li key={rejected.id} className="py-2 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-xs text-red-800">
+                  <span className="font-medium">{file.name}</span>
+                  <span className="text-red-600"> · {formatBytes(file.size)}</span>
+                </p>
+                <p className="text-xs text-red-700">{reason.message}</p>
+                <p className="text-xs text-gray-600 mt-0.5">{getRejectionHint(file, reason)}</p>
+                {isVideoFix && state.working && (
+                  <div className="mt-2">
+                    <div className="w-full h-1.5 bg-red-100 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-blue-600 transition-all"
+                        style={{ width: `${Math.round((state.progress || 0) * 100)}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Compressing in real time — keep this tab open.
+                    </p>
+                  </div>
+                )}
+                {state.error && <p className="text-xs text-red-600 mt-1">{state.error}</p>}
+              </div>
+
+              <div className="flex items-center space-x-2 shrink-0">
+                {fix && !state.working && (
+                  <button
+                    type="button"
+                    onClick={() => handleFix(rejected, fix)}
+                    className="px-2 py-1 text-xs rounded border border-blue-300 bg-white text-blue-700 hover:bg-blue-50 transition-colors flex items-center space-x-1"
+                  >
+                    <Wand2 className="h-3 w-3" />
+                    <span>{fix.label}</span>
+                  </button>
+                )}
+                {state.working && (
+                  <>
+                    <span className="text-xs text-gray-600 flex items-center space-x-1">
+                      <Loader2 className="h-3 w-3 animate-spin" />
+                      <span>Fixing...</span>
+                    </span>
+                    {isVideoFix && (
+                      <button
+                        type="button"
+                        onClick={() => handleCancelFix(rejected.id)}
+                        className="px-2 py-1 text-xs rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleDismiss(rejected.id)}
+                  className="text-red-400 hover:text-red-600"
+                  title="Dismiss"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default RejectedFilesPanel;
@@ -0,0 +1,19 @@
+// Review state of an upload, as shown to admins and to the member who sent it
+function StatusBadge({ approved, featured }) {
+  return (
+    <div className="flex gap-2">
+      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+        approved ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+      }`}>
+        {approved ? 'Approved' : 'Pending'}
+      </span>
+      {featured && (
+        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800">
+          Featured
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default StatusBadge;
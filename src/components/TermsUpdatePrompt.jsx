@@ -0,0 +1,107 @@
+import { useContext, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { FileText, AlertCircle } from 'lucide-react';
+import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
+import LEGAL_CONFIG from '../config/legal';
+
+const { TERMS, PRIVACY } = LEGAL_CONFIG;
+
+// Left readable so the updated texts can be opened from the prompt
+const LEGAL_PATHS = ['/terms-of-service', '/privacy-policy'];
+
+// Blocks the app for signed-in members until they accept newly published
+// Terms of Service or Privacy Policy versions
+function TermsUpdatePrompt() {
+  const { user, logout } = useContext(AuthContext);
+  const location = useLocation();
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!user || LEGAL_PATHS.includes(location.pathname)) return null;
+
+  const termsChanged = user.termsVersion !== TERMS.VERSION;
+  const privacyChanged = user.privacyVersion !== PRIVACY.VERSION;
+  if (!termsChanged && !privacyChanged) return null;
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    setError('');
+    try {
+      await api.privacy.acceptTerms({
+        termsVersion: TERMS.VERSION,
+        privacyVersion: PRIVACY.VERSION
+      });
+      localStorage.setItem('user', JSON.stringify({
+        ...user,
+        termsVersion: TERMS.VERSION,
+        privacyVersion: PRIVACY.VERSION
+      }));
+      window.dispatchEvent(new Event('auth-change'));
+    } catch (acceptError) {
+      console.error('Failed to record terms acceptance:', acceptError);
+      setError(acceptError.message || 'Could not save your acceptance. Please try again.');
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6 shadow-xl">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2 mb-4">
+          <FileText className="h-5 w-5 text-blue-600" />
+          <span>We've updated our terms</span>
+        </h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Please review the changes and accept them to keep using LensBridge.
+        </p>
+        <ul className="text-sm space-y-1 mb-4">
+          {termsChanged && (
+            <li>
+              <Link to="/terms-of-service" className="text-blue-600 hover:text-blue-500 font-medium">
+                Terms of Service
+              </Link>
+              <span className="text-gray-500"> (updated {TERMS.UPDATED})</span>
+            </li>
+          )}
+          {privacyChanged && (
+            <li>
+              <Link to="/privacy-policy" className="text-blue-600 hover:text-blue-500 font-medium">
+                Privacy Policy
+              </Link>
+              <span className="text-gray-500"> (updated {PRIVACY.UPDATED})</span>
+            </li>
+          )}
+        </ul>
+
+        {error && (
+          <p className="mb-4 text-sm text-red-600 flex items-center space-x-1">
+            <AlertCircle className="h-4 w-4" />
+            <span>{error}</span>
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={logout}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Sign out
+          </button>
+          <button
+            type="button"
+            onClick={handleAccept}
+            disabled={isAccepting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {isAccepting ? 'Saving...' : 'Accept'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TermsUpdatePrompt;
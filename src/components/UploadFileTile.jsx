@@ -0,0 +1,384 @@
+import { useState } from "react";
+import {
+  X,
+  Image,
+  Video,
+  Check,
+  AlertCircle,
+  RotateCcw,
+  Camera,
+  MapPin,
+  MapPinOff,
+  Copy,
+  ImagePlay,
+  MessageSquareText,
+} from "lucide-react";
+import { UPLOAD_STATUS } from "../hooks/useFileUploads";
+import { COMPRESSION_STATUS } from "../hooks/useImageCompression";
+import { DUPLICATE_TYPE } from "../hooks/useFileHashes";
+import { ORIENTATION_LABELS } from "../utils/exif";
+import { formatBytes, formatSpeed, formatDuration } from "../utils/format";
+import { hasFileDetails } from "../utils/fileDetails";
+import FileDetailsEditor from "./FileDetailsEditor";
+
+function UploadFileTile({
+  file,
+  upload,
+  onRemove,
+  onCancel,
+  onRetry,
+  onToggleKeepMetadata,
+  onPickPoster,
+  onChangeDetails,
+  onApplyDetailsToAll,
+  captionPlaceholder,
+  retryDisabled,
+  compression,
+  duplicate,
+}) {
+  const [isEditingDetails, setIsEditingDetails] = useState(false);
+  const status = upload?.status;
+  const isActive =
+    status === UPLOAD_STATUS.UPLOADING || status === UPLOAD_STATUS.QUEUED;
+  const canRetry =
+    status === UPLOAD_STATUS.FAILED || status === UPLOAD_STATUS.CANCELLED;
+  const photoMetadata = file.photoMetadata;
+  const cameraName = [photoMetadata?.make, photoMetadata?.model]
+    .filter(Boolean)
+    .join(" ");
+  const photoDetails = [
+    cameraName,
+    photoMetadata?.captureTime &&
+      new Date(photoMetadata.captureTime).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      }),
+    ORIENTATION_LABELS[photoMetadata?.orientation],
+  ].filter(Boolean);
+  const videoDetails = file.video?.width
+    ? [`${file.video.width}×${file.video.height}`, formatDuration(file.video.duration)]
+    : [];
+  const details = [...photoDetails, ...videoDetails];
+  const canStripMetadata = Boolean(photoMetadata?.strippedFile);
+  const stripMetadataLabel = photoMetadata?.hasGps
+    ? "Remove location"
+    : photoMetadata?.hasIdentifyingTags
+    ? "Remove device info"
+    : "Remove metadata";
+  const isSkipped = duplicate?.type === DUPLICATE_TYPE.EXACT;
+  const duplicateLabel = !duplicate
+    ? null
+    : duplicate.source === "server"
+    ? isSkipped
+      ? "Already uploaded · skipped"
+      : "Similar to an existing upload"
+    : isSkipped
+    ? `Same as ${duplicate.of} · skipped`
+    : `Looks like ${duplicate.of}`;
+  const canEditDetails = !status || canRetry;
+  const detailsSummary = [
+    file.details?.caption.trim(),
+    file.details?.tags.map((tag) => `#${tag}`).join(" "),
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const percent = upload?.total
+    ? Math.round((upload.uploaded / upload.total) * 100)
+    : 0;
+
+  return (
+    <div className={`relative group ${isSkipped && !status ? "opacity-60" : ""}`}>
+      <div
+        className={`relative aspect-square rounded-lg overflow-hidden bg-gray-50 border transition-colors ${
+          status === UPLOAD_STATUS.FAILED
+            ? "border-red-300"
+            : status === UPLOAD_STATUS.DONE
+            ? "border-green-300"
+            : duplicate
+            ? "border-amber-300"
+            : "border-gray-200 hover:border-gray-300"
+        }`}
+      >
+        {file.type === "image" ? (
+          file.preview ? (
+            <img
+              src={file.preview}
+              alt={file.file.name}
+              className="w-full h-full object-cover"
+              onError={(e) => {
+                console.log(
+                  `Preview failed for ${file.file.name}, showing placeholder`
+                );
+                e.target.style.display = "none";
+                e.target.nextSibling.style.display = "flex";
+              }}
+            />
+          ) : null
+        ) : file.video?.posterUrl ? (
+          <img
+            src={file.video.posterUrl}
+            alt={`Cover of ${file.file.name}`}
+            className="w-full h-full object-cover"
+          />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center bg-gray-100">
+            <Video className="h-12 w-12 text-gray-400" />
+          </div>
+        )}
+        {file.video?.posterUrl && (
+          <div className="absolute bottom-2 right-2 bg-black/60 text-white rounded px-1.5 py-0.5 text-xs flex items-center space-x-1">
+            <Video className="h-3 w-3" />
+            <span>{formatDuration(file.video.duration)}</span>
+          </div>
+        )}
+        {/* Fallback for images that can't be previewed (like HEIC) */}
+        <div
+          className="w-full h-full flex flex-col items-center justify-center text-center p-2 bg-gray-50"
+          style={{
+            display: file.type === "image" && !file.preview ? "flex" : "none",
+          }}
+        >
+          <Image className="h-8 w-8 text-gray-400 mb-2" />
+          <p className="text-xs text-gray-600 font-medium truncate w-full">
+            {file.file.name}
+          </p>
+          <p className="text-xs text-gray-500">{formatBytes(file.file.size)}</p>
+        </div>
+
+        {/* Upload status overlay */}
+        {status === UPLOAD_STATUS.DONE && (
+          <div className="absolute top-2 left-2 bg-green-600 text-white rounded-full p-1 shadow-sm">
+            <Check className="h-3 w-3" />
+          </div>
+        )}
+        {status === UPLOAD_STATUS.FAILED && (
+          <div className="absolute top-2 left-2 bg-red-600 text-white rounded-full p-1 shadow-sm">
+            <AlertCircle className="h-3 w-3" />
+          </div>
+        )}
+        {(isActive || (status && status !== UPLOAD_STATUS.DONE && percent > 0)) && (
+          <div className="absolute bottom-0 left-0 right-0 h-1.5 bg-black/20">
+            <div
+              className={`h-full transition-all duration-200 ${
+                status === UPLOAD_STATUS.FAILED ? "bg-red-500" : "bg-blue-500"
+              }`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      {isActive ? (
+        <button
+          type="button"
+          onClick={() => onCancel(file.id)}
+          className="absolute -top-2 -right-2 bg-gray-700 hover:bg-gray-800 text-white rounded-full p-1 shadow-sm transition-colors"
+          title="Cancel upload"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      ) : (
+        status !== UPLOAD_STATUS.DONE && (
+          <button
+            type="button"
+            onClick={() => onRemove(file.id)}
+            className="absolute -top-2 -right-2 bg-red-500 hover:bg-red-600 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-all duration-200 shadow-sm"
+            title="Remove file"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )
+      )}
+
+      <p className="text-xs text-gray-600 mt-2 truncate font-medium">
+        {file.file.name}
+      </p>
+
+      {duplicateLabel && !status && (
+        <p
+          className="text-xs text-amber-600 truncate flex items-center space-x-1"
+          title={duplicateLabel}
+        >
+          <Copy className="h-3 w-3 shrink-0" />
+          <span className="truncate">{duplicateLabel}</span>
+        </p>
+      )}
+      {details.length > 0 && (
+        <p
+          className="text-xs text-gray-500 truncate flex items-center space-x-1"
+          title={details.join(" · ")}
+        >
+          {file.type === "image" ? (
+            <Camera className="h-3 w-3 shrink-0" />
+          ) : (
+            <Video className="h-3 w-3 shrink-0" />
+          )}
+          <span className="truncate">{details.join(" · ")}</span>
+        </p>
+      )}
+      {file.video?.posterUrl && (!status || canRetry) && (
+        <button
+          type="button"
+          onClick={() => onPickPoster(file.id)}
+          className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-700 font-medium mt-1"
+        >
+          <ImagePlay className="h-3 w-3" />
+          <span>Change cover</span>
+        </button>
+      )}
+      {isEditingDetails ? (
+        <FileDetailsEditor
+          details={file.details}
+          onChange={(details) => onChangeDetails(file.id, details)}
+          onApplyToAll={
+            onApplyDetailsToAll && (() => onApplyDetailsToAll(file.id))
+          }
+          captionPlaceholder={captionPlaceholder}
+          disabled={!canEditDetails}
+        />
+      ) : (
+        hasFileDetails(file.details) && (
+          <p
+            className="text-xs text-gray-600 truncate mt-1"
+            title={detailsSummary}
+          >
+            {detailsSummary ||
+              `${file.details.peopleCount} ${
+                file.details.peopleCount === 1 ? "person" : "people"
+              }`}
+          </p>
+        )
+      )}
+      {(canEditDetails || isEditingDetails) && (
+        <button
+          type="button"
+          onClick={() => setIsEditingDetails((open) => !open)}
+          className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-700 font-medium mt-1"
+          aria-expanded={isEditingDetails}
+        >
+          <MessageSquareText className="h-3 w-3" />
+          <span>
+            {isEditingDetails
+              ? "Done"
+              : hasFileDetails(file.details)
+              ? "Edit caption"
+              : "Add caption"}
+          </span>
+        </button>
+      )}
+      {canStripMetadata && (
+        <label
+          className="text-xs text-gray-600 flex items-center space-x-1 mt-1"
+          title="Removes GPS coordinates and device identifiers from the uploaded copy. Keeping them uploads the original without optimizing it"
+        >
+          <input
+            type="checkbox"
+            checked={!file.keepMetadata}
+            onChange={() => onToggleKeepMetadata(file.id)}
+            disabled={Boolean(status) && !canRetry}
+            className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <MapPinOff className="h-3 w-3 shrink-0" />
+          <span className="truncate">{stripMetadataLabel}</span>
+        </label>
+      )}
+      {photoMetadata?.error && !status && (
+        <div
+          className="text-xs text-amber-600 mt-1"
+          title="This photo's details couldn't be read, so any location saved in it would be uploaded"
+        >
+          <p className="truncate flex items-center space-x-1">
+            <MapPin className="h-3 w-3 shrink-0" />
+            <span className="truncate">Location could not be removed</span>
+          </p>
+          <div className="flex items-center space-x-2">
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={Boolean(file.keepMetadata)}
+                onChange={() => onToggleKeepMetadata(file.id)}
+                className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span>Upload anyway</span>
+            </label>
+            <button
+              type="button"
+              onClick={() => onRemove(file.id)}
+              className="underline hover:text-amber-800"
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      )}
+      {file.type === "video" && !status && (
+        <p
+          className="text-xs text-amber-600 truncate flex items-center space-x-1 mt-1"
+          title="Videos are uploaded as recorded, including any location your camera saved in them"
+        >
+          <MapPin className="h-3 w-3 shrink-0" />
+          <span className="truncate">May include location</span>
+        </p>
+      )}
+      {!status && compression && file.keepMetadata && (
+        <p className="text-xs text-gray-500 truncate">
+          Not optimized, to keep metadata
+        </p>
+      )}
+      {!status && compression && !file.keepMetadata && (
+        <p className="text-xs text-gray-500 truncate">
+          {compression.status === COMPRESSION_STATUS.PROCESSING &&
+            "Optimizing..."}
+          {compression.status === COMPRESSION_STATUS.DONE &&
+            `${formatBytes(compression.originalSize)} → ${formatBytes(
+              compression.processedSize
+            )}`}
+          {compression.status === COMPRESSION_STATUS.SKIPPED &&
+            "Already optimized"}
+          {compression.status === COMPRESSION_STATUS.ERROR && "Kept original"}
+        </p>
+      )}
+      {status === UPLOAD_STATUS.QUEUED && (
+        <p className="text-xs text-gray-500">Waiting...</p>
+      )}
+      {status === UPLOAD_STATUS.UPLOADING && (
+        <p className="text-xs text-gray-500">
+          {percent}%
+          {upload.speed > 0 &&
+            ` · ${formatSpeed(upload.speed)} · ${formatDuration(upload.eta)} left`}
+        </p>
+      )}
+      {status === UPLOAD_STATUS.DONE && (
+        <p className="text-xs text-green-600">Uploaded</p>
+      )}
+      {canRetry && (
+        <div className="flex items-center justify-between gap-2">
+          <p
+            className={`text-xs truncate ${
+              status === UPLOAD_STATUS.FAILED ? "text-red-600" : "text-gray-500"
+            }`}
+            title={upload.error || undefined}
+          >
+            {status === UPLOAD_STATUS.FAILED
+              ? upload.error || "Upload failed"
+              : "Cancelled"}
+          </p>
+          <button
+            type="button"
+            onClick={() => onRetry(file.id)}
+            disabled={retryDisabled}
+            className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-700 font-medium shrink-0 disabled:opacity-50"
+          >
+            <RotateCcw className="h-3 w-3" />
+            <span>Retry</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UploadFileTile;
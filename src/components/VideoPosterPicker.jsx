@@ -0,0 +1,114 @@
+import { useState, useRef } from 'react';
+import { X, Check } from 'lucide-react';
+import { captureVideoFrame, seekVideo } from '../services/videoPoster';
+import { formatDuration } from '../utils/format';
+
+// Modal for scrubbing through a video on the Upload page and picking its cover frame
+function VideoPosterPicker({ file, onSelect, onClose }) {
+  const videoRef = useRef(null);
+  const [time, setTime] = useState(file.video?.posterTime || 0);
+  const [duration, setDuration] = useState(file.video?.duration || 0);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    if (Number.isFinite(video.duration)) {
+      setDuration(video.duration);
+    }
+    video.currentTime = time;
+  };
+
+  const handleScrub = (e) => {
+    const nextTime = Number(e.target.value);
+    setTime(nextTime);
+    videoRef.current.currentTime = nextTime;
+  };
+
+  const handleUseFrame = async () => {
+    setIsCapturing(true);
+    setError('');
+    try {
+      const video = videoRef.current;
+      // Make sure the frame on screen is the one at the slider position
+      await seekVideo(video, time);
+      const poster = await captureVideoFrame(video);
+      onSelect({ poster, posterTime: time });
+    } catch (captureError) {
+      console.error('Error capturing poster frame:', captureError);
+      setError('Could not capture this frame. Try a different one.');
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full p-6 shadow-xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Choose a cover frame</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="rounded-lg overflow-hidden bg-black">
+          <video
+            ref={videoRef}
+            src={file.preview}
+            className="w-full max-h-[60vh] object-contain"
+            muted
+            playsInline
+            preload="auto"
+            onLoadedMetadata={handleLoadedMetadata}
+          />
+        </div>
+
+        <div className="mt-4">
+          <input
+            type="range"
+            min="0"
+            max={duration}
+            step="0.1"
+            value={time}
+            onChange={handleScrub}
+            disabled={!duration}
+            className="w-full"
+            aria-label="Cover frame position"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{formatDuration(time)}</span>
+            <span>{formatDuration(duration)}</span>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleUseFrame}
+            disabled={isCapturing || !duration}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+          >
+            <Check className="h-4 w-4" />
+            <span>{isCapturing ? 'Capturing...' : 'Use this frame'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VideoPosterPicker;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { X, ShieldOff, AlertCircle } from 'lucide-react';
+import PRIVACY_CONFIG from '../config/privacy';
+
+// Confirms withdrawing consent on My Uploads, for one upload or for everything
+function WithdrawConsentDialog({ upload, onConfirm, onClose, isSubmitting, error }) {
+  const [reason, setReason] = useState('');
+  const isAll = !upload;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(reason.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-lg w-full p-6 shadow-xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+            <ShieldOff className="h-5 w-5 text-red-600" />
+            <span>{isAll ? 'Withdraw consent for all uploads' : 'Withdraw consent'}</span>
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-3 text-sm text-gray-600">
+          <p>
+            {isAll ? (
+              'MSA will stop using everything you have uploaded so far, and it will be deleted.'
+            ) : (
+              <>
+                MSA will stop using <strong className="text-gray-900">{upload.fileName}</strong>, and
+                it will be deleted.
+              </>
+            )}{' '}
+            We act on deletion requests within {PRIVACY_CONFIG.DELETION_SLA_DAYS} days.
+          </p>
+          <p>
+            Posts already shared on MSA social media may stay up, as described in the{' '}
+            <Link to="/privacy-policy" className="text-blue-600 hover:text-blue-700 underline">
+              Privacy Policy
+            </Link>
+            .
+          </p>
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mt-4 mb-1" htmlFor="withdraw-reason">
+          Reason <span className="font-normal text-gray-500">(optional)</span>
+        </label>
+        <textarea
+          id="withdraw-reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={PRIVACY_CONFIG.REASON_MAX_LENGTH}
+          rows={3}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+
+        {error && (
+          <p className="mt-3 text-sm text-red-600 flex items-center space-x-1">
+            <AlertCircle className="h-4 w-4" />
+            <span>{error}</span>
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+          >
+            {isSubmitting ? 'Sending...' : 'Withdraw consent'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default WithdrawConsentDialog;
@@ -3,11 +3,33 @@ const API_CONFIG = {
   BASE_URL: import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080',
   ENDPOINTS: {
     GALLERY: '/api/gallery',
+    // One album per event: cover item plus photo and video counts
+    GALLERY_ALBUMS: '/api/gallery/albums',
     EVENTS: '/api/events',
     UPLOAD: '/api/upload',
+    UPLOAD_SESSIONS: '/api/upload/sessions',
+    UPLOAD_POLICY: '/api/upload/policy',
+    // The signed-in member's own submissions
+    MY_UPLOADS: '/api/user/uploads',
+    // Consent withdrawals and the deletion requests they create
+    DELETION_REQUESTS: '/api/user/deletion-requests',
+    // Records which Terms of Service and Privacy Policy versions the member accepted
+    TERMS_ACCEPTANCE: '/api/user/terms-acceptance',
+    AUTH: {
+      SIGNIN: '/api/auth/signin',
+      SIGNUP: '/api/auth/signup',
+      VERIFY_EMAIL: '/api/auth/verify-email',
+      RESEND_CONFIRMATION: '/api/auth/resend-confirmation',
+      FORGOT_PASSWORD: '/api/auth/forgot-password',
+      VALIDATE_RESET_TOKEN: '/api/auth/validate-reset-token',
+      RESET_PASSWORD: '/api/auth/reset-password'
+    },
     // Admin endpoints
     ADMIN: {
       UPLOADS: '/api/admin/uploads',
+      UPLOADS_PENDING: '/api/admin/uploads/pending',
+      UPLOADS_APPROVED: '/api/admin/uploads/approved',
+      UPLOADS_FEATURED: '/api/admin/uploads/featured',
       UPLOAD_APPROVE: '/api/admin/upload',
       UPLOAD_FEATURE: '/api/admin/feature-upload',
       UPLOAD_DELETE: '/api/admin/upload',
@@ -26,11 +48,19 @@ const API_CONFIG = {
       AUDIT_UPLOAD: '/api/admin/audit/upload',
       AUDIT_ACTION: '/api/admin/audit/action',
       AUDIT_DATERANGE: '/api/admin/audit/daterange',
-      AUDIT_ACTIONS: '/api/admin/audit/actions'
+      AUDIT_ACTIONS: '/api/admin/audit/actions',
+      DELETION_REQUESTS: '/api/admin/deletion-requests'
     }
   },
   HEADERS: {
     'ngrok-skip-browser-warning': 'true'
+  },
+  CHUNKED_UPLOAD: {
+    // Files larger than this are sent as resumable chunks instead of in the batch request
+    THRESHOLD: 20 * 1024 * 1024,
+    CHUNK_SIZE: 5 * 1024 * 1024,
+    MAX_RETRIES: 5,
+    RETRY_DELAY: 1000
   }
 };
 
@@ -0,0 +1,15 @@
+// Gallery page settings
+const GALLERY_CONFIG = {
+  PAGE_SIZES: [6, 12, 24, 48],
+  DEFAULT_PAGE_SIZE: 12,
+  INFINITE_SCROLL: {
+    // Items fetched per request as the grid nears its end
+    PAGE_SIZE: 30,
+    // Start fetching the next page this many pixels before the end comes into view
+    PREFETCH_DISTANCE: 1500
+  },
+  // Remembers whether the visitor last used pages or infinite scroll
+  VIEW_MODE_STORAGE_KEY: 'galleryViewMode'
+};
+
+export default GALLERY_CONFIG;
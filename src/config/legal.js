@@ -0,0 +1,23 @@
+// Versions of the texts members agree to. Publishing a new version means
+// changing its VERSION here: signed-in members are asked to accept it again,
+// and new uploads are recorded against the new consent text.
+const LEGAL_CONFIG = {
+  TERMS: {
+    VERSION: 'tos-2025-07-19',
+    UPDATED: '2025-07-19'
+  },
+  PRIVACY: {
+    VERSION: 'privacy-2026-10-19',
+    UPDATED: '2026-10-19'
+  },
+  // The consent checkbox on the Upload page
+  UPLOAD_CONSENT: {
+    VERSION: 'upload-consent-2025-07-19',
+    TEXT:
+      "I consent to UTM MSA using my submitted media for promotional purposes on social media platforms. " +
+      "I understand that my content may be featured on UTM MSA's social media accounts, and I agree to the " +
+      'terms of use. I have permission to share these files from everyone in the attached media.'
+  }
+};
+
+export default LEGAL_CONFIG;
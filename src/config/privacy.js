@@ -0,0 +1,10 @@
+// Privacy request handling
+const PRIVACY_CONFIG = {
+  // Days the team has to act on a deletion request; the Privacy Policy promises this
+  DELETION_SLA_DAYS: 30,
+  // Open requests this close to their due date are flagged in the admin dashboard
+  DELETION_DUE_SOON_DAYS: 7,
+  REASON_MAX_LENGTH: 1000
+};
+
+export default PRIVACY_CONFIG;
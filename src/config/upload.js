@@ -0,0 +1,95 @@
+// Upload Configuration
+const UPLOAD_CONFIG = {
+  // Used until the server's upload policy loads, or if it can't be fetched
+  DEFAULT_POLICY: {
+    maxFilesPerBatch: null, // null = no limit
+    maxFileSize: {
+      image: 100 * 1024 * 1024,
+      video: 100 * 1024 * 1024
+    },
+    allowedTypes: {
+      image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'],
+      video: ['video/mp4', 'video/quicktime', 'video/x-msvideo']
+    },
+    instagramHandle: {
+      pattern: '^[a-zA-Z0-9._]*$',
+      maxLength: 30
+    },
+    // Keyed by event id; each entry may override any of the fields above
+    eventOverrides: {}
+  },
+
+  // Client-side image optimization offered on the Upload page
+  IMAGE_COMPRESSION: {
+    DEFAULTS: {
+      enabled: false,
+      maxDimension: 2560,
+      format: 'image/jpeg',
+      quality: 0.85
+    },
+    MAX_DIMENSIONS: [1280, 1920, 2560, 3840],
+    FORMATS: [
+      { value: 'image/jpeg', label: 'JPEG', extension: 'jpg' },
+      { value: 'image/webp', label: 'WebP', extension: 'webp' }
+    ]
+  },
+
+  // Cover image generated for each video on the Upload page
+  VIDEO_POSTER: {
+    MAX_DIMENSION: 1280,
+    QUALITY: 0.8,
+    // Seconds into the video for the default frame; early frames are often black
+    DEFAULT_TIME: 1
+  },
+
+  // Re-encoding offered for videos over the size limit, done in real time with MediaRecorder
+  VIDEO_COMPRESSION: {
+    MAX_DIMENSION: 1280,
+    FRAME_RATE: 30,
+    AUDIO_BITRATE: 96000,
+    MIN_VIDEO_BITRATE: 300000,
+    MAX_VIDEO_BITRATE: 2500000,
+    // Share of the size limit to aim for; recorders overshoot the requested bitrate
+    SIZE_TARGET: 0.85
+  },
+
+  // In-app camera on the Upload page
+  CAMERA: {
+    // Requested capture size; phones pick the closest they support
+    IDEAL_WIDTH: 1920,
+    IDEAL_HEIGHT: 1080,
+    PHOTO_QUALITY: 0.92,
+    VIDEO_BITRATE: 5000000,
+    // Clips stop recording on their own after this long
+    MAX_CLIP_SECONDS: 60
+  },
+
+  // Shared by the Upload page previews and HEIC items in the Gallery
+  HEIC_CONVERSION: {
+    MAX_WORKERS: 2,
+    QUALITY: 0.8,
+    CACHE_NAME: 'lensbridge-heic-conversions',
+    MAX_CACHE_ENTRIES: 200
+  },
+
+  // Per-file caption, tags and people count edited on each Upload page tile
+  FILE_DETAILS: {
+    CAPTION_MAX_LENGTH: 2200, // Instagram's caption limit
+    MAX_TAGS: 20,
+    TAG_MAX_LENGTH: 40,
+    MAX_PEOPLE_COUNT: 999
+  },
+
+  // Upload page form and files saved to IndexedDB while the user works
+  DRAFTS: {
+    AUTOSAVE_DELAY: 1000,
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000
+  },
+
+  DUPLICATE_DETECTION: {
+    // Perceptual hashes (64 bits) this many bits apart or fewer count as the same shot
+    SIMILARITY_THRESHOLD: 6
+  }
+};
+
+export default UPLOAD_CONFIG;
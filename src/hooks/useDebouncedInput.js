@@ -0,0 +1,32 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * A text input bound to a value kept elsewhere (the URL, for the Gallery),
+ * committed only once typing pauses so each keystroke isn't a new request.
+ * The input follows the value when it changes from outside, e.g. on back.
+ *
+ * @param {string} value - The committed value
+ * @param {(value: string) => void} onCommit
+ * @param {number} [delay] - Milliseconds without typing before committing
+ * @returns {[string, (value: string) => void]} The input's value and setter
+ */
+function useDebouncedInput(value, onCommit, delay = 500) {
+  const [input, setInput] = useState(value);
+  const onCommitRef = useRef(onCommit);
+
+  onCommitRef.current = onCommit;
+
+  useEffect(() => {
+    setInput(value);
+  }, [value]);
+
+  useEffect(() => {
+    if (input === value) return;
+    const timeoutId = setTimeout(() => onCommitRef.current(input), delay);
+    return () => clearTimeout(timeoutId);
+  }, [input, value, delay]);
+
+  return [input, setInput];
+}
+
+export default useDebouncedInput;
@@ -0,0 +1,89 @@
+import { useEffect } from 'react';
+import { hashFile, hammingDistance, isFileHashingSupported } from '../services/fileHashing';
+import { getDecodableImage } from '../services/imageProcessing';
+import UPLOAD_CONFIG from '../config/upload';
+
+const { SIMILARITY_THRESHOLD } = UPLOAD_CONFIG.DUPLICATE_DETECTION;
+
+export const DUPLICATE_TYPE = {
+  EXACT: 'exact',
+  SIMILAR: 'similar'
+};
+
+export const isHashingFile = (entry) => Boolean(entry.hashes?.hashing);
+
+// Hashes of the original file, sent so the server can answer later lookups
+export const getHashFields = (entry) => {
+  const { sha256, perceptualHash } = entry.hashes || {};
+  if (!sha256) return {};
+  return { contentHash: sha256, ...(perceptualHash && { perceptualHash }) };
+};
+
+export const isSimilarHash = (a, b) =>
+  Boolean(a && b) && a.length === b.length && hammingDistance(a, b) <= SIMILARITY_THRESHOLD;
+
+/**
+ * Flag entries that repeat an earlier entry in the same selection, either
+ * byte-for-byte or visually. The first occurrence is never flagged.
+ *
+ * @returns {Map<*, { type: string, of: string }>} Keyed by entry id; `of` is the earlier file's name
+ */
+export const findSelectionDuplicates = (files) => {
+  const duplicates = new Map();
+
+  files.forEach((entry, index) => {
+    const { sha256, perceptualHash } = entry.hashes || {};
+    if (!sha256) return;
+
+    const earlier = files.slice(0, index);
+    const exact = earlier.find((other) => other.hashes?.sha256 === sha256);
+    if (exact) {
+      duplicates.set(entry.id, { type: DUPLICATE_TYPE.EXACT, of: exact.file.name });
+      return;
+    }
+
+    const similar = earlier.find((other) => isSimilarHash(other.hashes?.perceptualHash, perceptualHash));
+    if (similar) {
+      duplicates.set(entry.id, { type: DUPLICATE_TYPE.SIMILAR, of: similar.file.name });
+    }
+  });
+
+  return duplicates;
+};
+
+/**
+ * Hashes new entries of the Upload page's `files` list in a worker, storing
+ * the SHA-256 and (for images) perceptual hash on `entry.hashes`.
+ */
+function useFileHashes(files, setFiles) {
+  useEffect(() => {
+    if (!isFileHashingSupported()) return;
+
+    const unhashed = files.filter((entry) => entry.hashes === undefined);
+    if (unhashed.length === 0) return;
+
+    const unhashedIds = new Set(unhashed.map((entry) => entry.id));
+    setFiles((prev) =>
+      prev.map((entry) =>
+        unhashedIds.has(entry.id) ? { ...entry, hashes: { hashing: true } } : entry
+      )
+    );
+
+    unhashed.forEach(async (entry) => {
+      let hashes = {};
+      try {
+        const imageSource =
+          entry.type === 'image' ? await getDecodableImage(entry).catch(() => undefined) : undefined;
+        hashes = await hashFile(entry.file, imageSource);
+      } catch (error) {
+        console.warn(`Could not hash ${entry.file.name}:`, error);
+      }
+
+      setFiles((prev) =>
+        prev.map((item) => (item.id === entry.id ? { ...item, hashes } : item))
+      );
+    });
+  }, [files, setFiles]);
+}
+
+export default useFileHashes;
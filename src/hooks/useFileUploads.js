@@ -0,0 +1,165 @@
+import { useState, useRef, useCallback } from 'react';
+import { uploadFile } from '../services/uploader';
+
+const MAX_CONCURRENT_UPLOADS = 3;
+
+// Weight given to the newest sample when smoothing the transfer speed
+const SPEED_SMOOTHING = 0.3;
+
+export const UPLOAD_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const isCancellation = (error) => error.isAborted || error.name === 'AbortError';
+
+/**
+ * Tracks per-file upload state (status, bytes sent, speed, ETA) keyed by the
+ * id of each entry in the Upload page's `files` list.
+ */
+function useFileUploads() {
+  const [uploads, setUploads] = useState({});
+  const controllers = useRef(new Map());
+  const samples = useRef(new Map());
+  const cancelledBeforeStart = useRef(new Set());
+
+  const updateUpload = useCallback((id, patch) => {
+    setUploads((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  }, []);
+
+  const trackProgress = useCallback((id, uploaded, total) => {
+    const now = performance.now();
+    const last = samples.current.get(id);
+
+    let speed = last?.speed || 0;
+    if (last && now > last.time) {
+      const instantSpeed = ((uploaded - last.uploaded) / (now - last.time)) * 1000;
+      speed = last.speed ? last.speed + SPEED_SMOOTHING * (instantSpeed - last.speed) : instantSpeed;
+    }
+    samples.current.set(id, { time: now, uploaded, speed });
+
+    updateUpload(id, {
+      uploaded,
+      total,
+      speed,
+      eta: speed > 0 ? (total - uploaded) / speed : Infinity
+    });
+  }, [updateUpload]);
+
+  const uploadOne = useCallback(async (entry, { eventId, metadata }) => {
+    if (cancelledBeforeStart.current.delete(entry.id)) return false;
+
+    const controller = new AbortController();
+    controllers.current.set(entry.id, controller);
+    samples.current.delete(entry.id);
+
+    updateUpload(entry.id, {
+      status: UPLOAD_STATUS.UPLOADING,
+      uploaded: 0,
+      total: entry.file.size,
+      speed: 0,
+      eta: Infinity,
+      error: null
+    });
+
+    try {
+      await uploadFile(entry.file, {
+        eventId,
+        // Per-file fields (e.g. capture time) ride along with the form fields
+        metadata: { ...metadata, ...entry.fields },
+        poster: entry.poster,
+        signal: controller.signal,
+        onProgress: (uploaded, total) => trackProgress(entry.id, uploaded, total)
+      });
+      updateUpload(entry.id, { status: UPLOAD_STATUS.DONE, uploaded: entry.file.size, speed: 0, eta: 0 });
+      return true;
+    } catch (error) {
+      if (isCancellation(error)) {
+        updateUpload(entry.id, { status: UPLOAD_STATUS.CANCELLED, speed: 0 });
+      } else if (error.isUnauthorized) {
+        // Retrying can't help until the user signs in again, so let the caller handle it
+        updateUpload(entry.id, { status: UPLOAD_STATUS.FAILED, error: 'Your session expired', speed: 0 });
+        throw error;
+      } else {
+        console.error(`Upload failed for ${entry.file.name}:`, error);
+        updateUpload(entry.id, { status: UPLOAD_STATUS.FAILED, error: error.message, speed: 0 });
+      }
+      return false;
+    } finally {
+      controllers.current.delete(entry.id);
+    }
+  }, [updateUpload, trackProgress]);
+
+  // Upload several entries with a small worker pool; resolves to true only if all succeeded.
+  // Rejects with the server's 401 if the session expires, without starting the rest.
+  const uploadAll = useCallback(async (entries, context) => {
+    setUploads((prev) => {
+      const next = { ...prev };
+      entries.forEach((entry) => {
+        next[entry.id] = { status: UPLOAD_STATUS.QUEUED, uploaded: 0, total: entry.file.size, error: null };
+      });
+      return next;
+    });
+
+    const queue = [...entries];
+    const results = [];
+    let authError = null;
+    const worker = async () => {
+      while (queue.length > 0 && !authError) {
+        try {
+          results.push(await uploadOne(queue.shift(), context));
+        } catch (error) {
+          authError = error;
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(MAX_CONCURRENT_UPLOADS, entries.length) }, worker)
+    );
+
+    if (authError) {
+      // Entries that never started go back to not being queued
+      setUploads((prev) => {
+        const next = { ...prev };
+        queue.forEach((entry) => delete next[entry.id]);
+        return next;
+      });
+      throw authError;
+    }
+    return results.every(Boolean);
+  }, [uploadOne]);
+
+  const cancelUpload = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      cancelledBeforeStart.current.add(id);
+      updateUpload(id, { status: UPLOAD_STATUS.CANCELLED });
+    }
+  }, [updateUpload]);
+
+  const removeUpload = useCallback((id) => {
+    controllers.current.get(id)?.abort();
+    samples.current.delete(id);
+    setUploads((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
+  const clearUploads = useCallback(() => {
+    setUploads({});
+    samples.current.clear();
+    cancelledBeforeStart.current.clear();
+  }, []);
+
+  return { uploads, uploadAll, uploadOne, cancelUpload, removeUpload, clearUploads };
+}
+
+export default useFileUploads;
@@ -0,0 +1,88 @@
+import { useEffect } from 'react';
+import {
+  compressImage,
+  getDecodableImage,
+  isImageProcessingSupported
+} from '../services/imageProcessing';
+
+export const COMPRESSION_STATUS = {
+  PROCESSING: 'processing',
+  DONE: 'done',
+  SKIPPED: 'skipped',
+  ERROR: 'error'
+};
+
+export const getCompressionKey = ({ maxDimension, format, quality }) =>
+  `${maxDimension}:${format}:${quality}`;
+
+/**
+ * The file that should actually be sent for an Upload page entry: the
+ * optimized copy when optimization is on and finished, otherwise the original.
+ * Re-encoding drops all metadata, so entries whose metadata the user chose
+ * to keep are never swapped.
+ */
+export const getUploadableFile = (entry, settings) => {
+  const { compression } = entry;
+  if (
+    settings.enabled &&
+    !entry.keepMetadata &&
+    compression?.status === COMPRESSION_STATUS.DONE &&
+    compression.key === getCompressionKey(settings)
+  ) {
+    return compression.file;
+  }
+  return entry.file;
+};
+
+/**
+ * Optimizes image entries of the Upload page's `files` list in a worker
+ * whenever optimization is enabled, storing the result on `entry.compression`.
+ */
+function useImageCompression(files, setFiles, { enabled, maxDimension, format, quality }) {
+  useEffect(() => {
+    if (!enabled || !isImageProcessingSupported()) return;
+
+    const settings = { maxDimension, format, quality };
+    const key = getCompressionKey(settings);
+    const stale = files.filter(
+      (entry) => entry.type === 'image' && entry.compression?.key !== key
+    );
+    if (stale.length === 0) return;
+
+    const staleIds = new Set(stale.map((entry) => entry.id));
+    setFiles((prev) =>
+      prev.map((entry) =>
+        staleIds.has(entry.id)
+          ? { ...entry, compression: { key, status: COMPRESSION_STATUS.PROCESSING } }
+          : entry
+      )
+    );
+
+    stale.forEach(async (entry) => {
+      let compression;
+      try {
+        const source = await getDecodableImage(entry);
+        const result = await compressImage(entry.file, settings, source);
+        compression = {
+          key,
+          status: result.skipped ? COMPRESSION_STATUS.SKIPPED : COMPRESSION_STATUS.DONE,
+          ...result
+        };
+      } catch (error) {
+        console.warn(`Image optimization skipped for ${entry.file.name}:`, error);
+        compression = { key, status: COMPRESSION_STATUS.ERROR, error: error.message };
+      }
+
+      // Drop results for settings that changed while this image was processing
+      setFiles((prev) =>
+        prev.map((item) =>
+          item.id === entry.id && item.compression?.key === key
+            ? { ...item, compression }
+            : item
+        )
+      );
+    });
+  }, [files, setFiles, enabled, maxDimension, format, quality]);
+}
+
+export default useImageCompression;
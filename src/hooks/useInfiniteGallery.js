@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+import { prepareGalleryItems, revokeGalleryItemUrls } from '../services/galleryItems';
+
+/**
+ * Loads the gallery one page at a time and keeps appending, for the
+ * infinite-scroll view. A new query starts again from the first page.
+ *
+ * @param {object} query - /api/gallery params other than `page`
+ * @param {boolean} enabled - Nothing is fetched (and loaded items are dropped) while false
+ * @returns {{
+ *   items: object[],
+ *   totalElements: number,
+ *   isLoading: boolean,
+ *   isLoadingMore: boolean,
+ *   error: string|null,
+ *   hasMore: boolean,
+ *   loadMore: () => void,
+ *   retry: () => void
+ * }}
+ */
+function useInfiniteGallery(query, enabled) {
+  const queryKey = enabled ? JSON.stringify(query) : null;
+  const [request, setRequest] = useState({ queryKey, page: 0 });
+  const [items, setItems] = useState([]);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalElements, setTotalElements] = useState(0);
+  const [isLoading, setIsLoading] = useState(enabled);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  const itemsRef = useRef(items);
+
+  itemsRef.current = items;
+
+  // Start over from the first page as soon as the query changes
+  if (request.queryKey !== queryKey) {
+    setRequest({ queryKey, page: 0 });
+  }
+
+  useEffect(() => {
+    const { queryKey: key, page } = request;
+    if (key === null) {
+      revokeGalleryItemUrls(itemsRef.current);
+      setItems([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const isFirstPage = page === 0;
+
+    const fetchPage = async () => {
+      try {
+        if (isFirstPage) {
+          setIsLoading(true);
+        } else {
+          setIsLoadingMore(true);
+        }
+        setError(null);
+
+        const data = await api.gallery.list({ ...JSON.parse(key), page }, { signal: controller.signal });
+        const content = data.content || (Array.isArray(data) ? data : data.items || []);
+        const pageItems = await prepareGalleryItems(content);
+        if (controller.signal.aborted) {
+          revokeGalleryItemUrls(pageItems);
+          return;
+        }
+
+        // New uploads shift later pages, so an item can come back a second time
+        const kept = isFirstPage ? [] : itemsRef.current;
+        const keptIds = new Set(kept.map((item) => item.id));
+        revokeGalleryItemUrls(pageItems.filter((item) => keptIds.has(item.id)));
+        if (isFirstPage) revokeGalleryItemUrls(itemsRef.current);
+
+        setItems([...kept, ...pageItems.filter((item) => !keptIds.has(item.id))]);
+        setTotalPages(data.totalPages ?? 1);
+        setTotalElements(data.totalElements ?? content.length);
+      } catch (err) {
+        if (err.isAborted) return;
+        console.error('Error fetching gallery data:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+          setIsLoadingMore(false);
+        }
+      }
+    };
+
+    fetchPage();
+    return () => controller.abort();
+  }, [request, retryCount]);
+
+  useEffect(() => () => revokeGalleryItemUrls(itemsRef.current), []);
+
+  const hasMore = request.page + 1 < totalPages;
+
+  const loadMore = useCallback(() => {
+    if (isLoading || isLoadingMore || error || !hasMore) return;
+    // Set now rather than in the effect, so a second call before it runs is ignored
+    setIsLoadingMore(true);
+    setRequest((prev) => ({ ...prev, page: prev.page + 1 }));
+  }, [isLoading, isLoadingMore, error, hasMore]);
+
+  const retry = useCallback(() => setRetryCount((count) => count + 1), []);
+
+  return { items, totalElements, isLoading, isLoadingMore, error, hasMore, loadMore, retry };
+}
+
+export default useInfiniteGallery;
@@ -0,0 +1,62 @@
+import { useEffect } from 'react';
+import { readPhotoMetadata } from '../services/photoMetadata';
+
+export const isReadingPhotoMetadata = (entry) => Boolean(entry.photoMetadata?.reading);
+
+/**
+ * The file to send for an Upload page entry with respect to embedded metadata:
+ * the stripped copy unless the user chose to keep location and device details.
+ */
+export const getPrivacySafeFile = (entry) =>
+  !entry.keepMetadata && entry.photoMetadata?.strippedFile
+    ? entry.photoMetadata.strippedFile
+    : entry.file;
+
+/**
+ * True while an entry's metadata couldn't be read (so its location couldn't be
+ * removed) and the user hasn't yet chosen to upload it as is.
+ */
+export const needsMetadataDecision = (entry) =>
+  Boolean(entry.photoMetadata?.error) && !entry.keepMetadata;
+
+// Per-file fields sent alongside the upload so admins can sort by capture time
+export const getPhotoFields = (entry) =>
+  entry.photoMetadata?.captureTime ? { captureTime: entry.photoMetadata.captureTime } : {};
+
+/**
+ * Reads EXIF details for new image entries of the Upload page's `files` list,
+ * storing them (and a metadata-stripped copy) on `entry.photoMetadata`, or
+ * `{ error }` when the file couldn't be read.
+ */
+function usePhotoMetadata(files, setFiles) {
+  useEffect(() => {
+    const unread = files.filter(
+      (entry) => entry.type === 'image' && entry.photoMetadata === undefined
+    );
+    if (unread.length === 0) return;
+
+    const unreadIds = new Set(unread.map((entry) => entry.id));
+    setFiles((prev) =>
+      prev.map((entry) =>
+        unreadIds.has(entry.id) ? { ...entry, photoMetadata: { reading: true } } : entry
+      )
+    );
+
+    unread.forEach(async (entry) => {
+      let photoMetadata = {};
+      try {
+        photoMetadata = (await readPhotoMetadata(entry.file)) || {};
+      } catch (error) {
+        // Fail closed: the original may still carry GPS, so the user decides
+        console.warn(`Could not read photo metadata for ${entry.file.name}:`, error);
+        photoMetadata = { error };
+      }
+
+      setFiles((prev) =>
+        prev.map((item) => (item.id === entry.id ? { ...item, photoMetadata } : item))
+      );
+    });
+  }, [files, setFiles]);
+}
+
+export default usePhotoMetadata;
@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { takeSharedFiles } from '../services/shareTarget';
+
+/**
+ * Hands files shared from another app ("Share → LensBridge") to the page
+ * once it opens. Shares wait in IndexedDB, so they also arrive after a
+ * detour through the sign-in page.
+ *
+ * @param {(files: File[]) => void} onReceive
+ */
+function useSharedFiles(onReceive) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const onReceiveRef = useRef(onReceive);
+
+  onReceiveRef.current = onReceive;
+
+  useEffect(() => {
+    takeSharedFiles()
+      .then((files) => {
+        if (files.length > 0) onReceiveRef.current(files);
+      })
+      .catch((error) => console.error('Error loading shared files:', error));
+  }, []);
+
+  // Drop the service worker's marker so a reload doesn't look like a new share
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('shared')) return;
+
+    params.delete('shared');
+    navigate({ search: params.toString() }, { replace: true });
+  }, [location.search, navigate]);
+}
+
+export default useSharedFiles;
@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import UPLOAD_CONFIG from '../config/upload';
+import {
+  getDraftOwner,
+  loadDraft,
+  saveDraft,
+  saveDraftFile,
+  deleteDraftFile,
+  discardDraft
+} from '../services/uploadDraft';
+
+const { AUTOSAVE_DELAY } = UPLOAD_CONFIG.DRAFTS;
+
+// Consent is asked for again on every submission, so it is never saved
+const getDraftFormData = (formData) => ({ ...formData, consent: false, consentedAt: null });
+
+// What is worth keeping per file; previews, hashes and compression are redone on restore
+const getDraftEntry = (entry) => {
+  const { posterUrl: _posterUrl, ...video } = entry.video || {};
+  return {
+    id: entry.id,
+    type: entry.type,
+    keepMetadata: entry.keepMetadata,
+    details: entry.details,
+    // Only finished video reads; a restored entry without one is read again
+    ...(video.poster && { video })
+  };
+};
+
+/**
+ * Autosaves the Upload page's files and form to IndexedDB and offers a saved
+ * draft back on the next visit.
+ *
+ * Nothing is saved until an existing draft has been restored or discarded,
+ * so opening the page can't overwrite it.
+ *
+ * @param {object[]} files - Entries to keep (already-uploaded ones left out)
+ * @param {object} formData - Upload form fields
+ * @returns {{
+ *   draft: object|null,
+ *   restoreDraft: () => object,
+ *   discardDraft: () => void,
+ *   saveDraftNow: () => Promise<void>,
+ *   clearDraft: () => Promise<void>
+ * }}
+ */
+function useUploadDraft(files, formData) {
+  const [draft, setDraft] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const ownerRef = useRef(getDraftOwner());
+  const savedFileIdsRef = useRef(new Set());
+  const latestRef = useRef({ files, formData });
+  const timerRef = useRef(null);
+  // Saves run one after another so file records and the draft record stay in step
+  const saveChainRef = useRef(Promise.resolve());
+
+  latestRef.current = { files, formData };
+
+  useEffect(() => {
+    const owner = ownerRef.current;
+    if (!owner) return;
+
+    loadDraft(owner)
+      .then((saved) => {
+        if (saved?.entries.length > 0) {
+          setDraft(saved);
+        } else {
+          setIsReady(true);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading upload draft:', error);
+        setIsReady(true);
+      });
+  }, []);
+
+  const enqueue = useCallback((task) => {
+    saveChainRef.current = saveChainRef.current
+      .then(task)
+      .catch((error) => console.error('Error saving upload draft:', error));
+    return saveChainRef.current;
+  }, []);
+
+  const persist = useCallback(async () => {
+    const owner = ownerRef.current;
+    const { files: entries, formData: form } = latestRef.current;
+    const savedIds = savedFileIdsRef.current;
+
+    // A draft without files isn't worth offering back
+    if (entries.length === 0) {
+      await discardDraft(owner);
+      savedIds.clear();
+      return;
+    }
+
+    const currentIds = new Set(entries.map((entry) => entry.id));
+    for (const id of [...savedIds]) {
+      if (!currentIds.has(id)) {
+        await deleteDraftFile(owner, id);
+        savedIds.delete(id);
+      }
+    }
+    for (const entry of entries) {
+      if (savedIds.has(entry.id)) continue;
+      try {
+        await saveDraftFile(owner, entry.id, entry.file);
+        savedIds.add(entry.id);
+      } catch (error) {
+        // Usually storage quota; the rest of the draft is still worth keeping
+        console.warn(`Could not save ${entry.file.name} to the draft:`, error);
+      }
+    }
+
+    await saveDraft(owner, {
+      formData: getDraftFormData(form),
+      entries: entries.filter((entry) => savedIds.has(entry.id)).map(getDraftEntry)
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!isReady || !ownerRef.current) return;
+
+    timerRef.current = setTimeout(() => enqueue(persist), AUTOSAVE_DELAY);
+    return () => clearTimeout(timerRef.current);
+  }, [files, formData, isReady, enqueue, persist]);
+
+  // Hand the saved draft to the page; its files are already stored
+  const restoreDraft = () => {
+    const restored = draft;
+    savedFileIdsRef.current = new Set(restored.entries.map((entry) => entry.id));
+    setDraft(null);
+    setIsReady(true);
+    return restored;
+  };
+
+  const handleDiscardDraft = () => {
+    setDraft(null);
+    setIsReady(true);
+    enqueue(async () => {
+      await discardDraft(ownerRef.current);
+      savedFileIdsRef.current.clear();
+    });
+  };
+
+  // Save right away, e.g. before leaving the page to sign in again
+  const saveDraftNow = () => (isReady && ownerRef.current ? enqueue(persist) : Promise.resolve());
+
+  // The submission went through (or into the offline queue)
+  const clearDraft = () => {
+    if (!ownerRef.current) return Promise.resolve();
+
+    clearTimeout(timerRef.current);
+    return enqueue(async () => {
+      await discardDraft(ownerRef.current);
+      savedFileIdsRef.current.clear();
+    });
+  };
+
+  return {
+    draft,
+    restoreDraft,
+    discardDraft: handleDiscardDraft,
+    saveDraftNow,
+    clearDraft
+  };
+}
+
+export default useUploadDraft;
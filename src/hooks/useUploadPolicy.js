@@ -0,0 +1,33 @@
+import { useState, useEffect, useMemo } from 'react';
+import api from '../services/api';
+import UPLOAD_CONFIG from '../config/upload';
+import { resolveUploadPolicy } from '../utils/uploadPolicy';
+
+/**
+ * Fetches the server's upload policy once and resolves it for the selected
+ * event. Falls back to the bundled defaults if the request fails.
+ */
+function useUploadPolicy(eventId) {
+  const [serverPolicy, setServerPolicy] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api.upload
+      .getPolicy({ signal: controller.signal })
+      .then(setServerPolicy)
+      .catch((error) => {
+        if (error.isAborted) return;
+        console.warn('Could not load upload policy, using defaults:', error);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  return useMemo(
+    () => resolveUploadPolicy(UPLOAD_CONFIG.DEFAULT_POLICY, serverPolicy, eventId),
+    [serverPolicy, eventId]
+  );
+}
+
+export default useUploadPolicy;
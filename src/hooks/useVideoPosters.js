@@ -0,0 +1,70 @@
+import { useEffect, useRef } from 'react';
+import { readVideoDetails } from '../services/videoPoster';
+
+export const isReadingVideo = (entry) => Boolean(entry.video?.reading);
+
+// The chosen cover frame, named after the video so it is easy to match up
+export const getPosterFile = (entry) => {
+  const poster = entry.video?.poster;
+  if (!poster) return null;
+
+  const baseName = entry.file.name.replace(/\.[^.]+$/, '');
+  return new File([poster], `${baseName}-poster.jpg`, { type: poster.type || 'image/jpeg' });
+};
+
+export const getVideoFields = (entry) => {
+  const { duration, width, height } = entry.video || {};
+  if (!width || !height) return {};
+  return { durationSeconds: Math.round(duration * 10) / 10, width, height };
+};
+
+/**
+ * Reads duration and resolution for new video entries of the Upload page's
+ * `files` list and captures a default poster frame into `entry.video`.
+ */
+function useVideoPosters(files, setFiles) {
+  // Reads outlive re-renders but stop once the page goes away
+  const controllerRef = useRef(null);
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    const unread = files.filter((entry) => entry.type === 'video' && entry.video === undefined);
+    if (unread.length === 0) return;
+
+    const unreadIds = new Set(unread.map((entry) => entry.id));
+    setFiles((prev) =>
+      prev.map((entry) =>
+        unreadIds.has(entry.id) ? { ...entry, video: { reading: true } } : entry
+      )
+    );
+
+    // One at a time: each video holds a decoder while it is being read
+    const { signal } = controllerRef.current;
+    (async () => {
+      for (const entry of unread) {
+        let details = null;
+        try {
+          details = await readVideoDetails(entry.file);
+        } catch (error) {
+          console.warn(`Could not read video details for ${entry.file.name}:`, error);
+        }
+        if (signal.aborted) return;
+
+        // Only entries still listed get a poster URL; removing one revokes it
+        let posterUrl = null;
+        setFiles((prev) => {
+          if (!prev.some((item) => item.id === entry.id)) return prev;
+          if (details && !posterUrl) posterUrl = URL.createObjectURL(details.poster);
+          const video = details ? { ...details, posterUrl } : {};
+          return prev.map((item) => (item.id === entry.id ? { ...item, video } : item));
+        });
+      }
+    })();
+  }, [files, setFiles]);
+}
+
+export default useVideoPosters;
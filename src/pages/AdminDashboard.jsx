@@ -5,9 +5,22 @@ import {
   Calendar, Activity, AlertTriangle, Plus, Filter,
   Search, Download, Eye, Trash2, Instagram, ExternalLink,
   Play, Pause, Volume2, VolumeX, Maximize, DownloadIcon,
-  XCircle, StarOff
+  XCircle, StarOff, ShieldOff, Clock, QrCode
 } from 'lucide-react';
-import API_CONFIG from '../config/api';
+import api from '../services/api';
+import { getTagList } from '../utils/fileDetails';
+import StatusBadge from '../components/StatusBadge';
+import EventQrPoster from '../components/EventQrPoster';
+import PRIVACY_CONFIG from '../config/privacy';
+import LEGAL_CONFIG from '../config/legal';
+import {
+  DELETION_REQUEST_STATUS,
+  SLA_STATE,
+  getDeletionDueDate,
+  getDaysUntilDue,
+  getSlaState,
+  getScopeLabel
+} from '../utils/deletionRequests';
 
 function AdminDashboard() {
   const [user, setUser] = useState(null);
@@ -21,11 +34,13 @@ function AdminDashboard() {
   const [uploadPage, setUploadPage] = useState(0);
   const [uploadSize] = useState(20);
   const [uploadFilter, setUploadFilter] = useState('all'); // all, pending, approved, featured
+  const [uploadSort, setUploadSort] = useState('createdDate'); // createdDate, captureTime
 
   // Event Management State
   const [events, setEvents] = useState([]);
   const [newEvent, setNewEvent] = useState({ eventName: '', eventDate: '', eventTime: '', status: 'ONGOING' });
   const [showCreateEvent, setShowCreateEvent] = useState(false);
+  const [posterEvent, setPosterEvent] = useState(null);
 
   // Audit State
   const [audits, setAudits] = useState({ content: [], totalElements: 0, totalPages: 0 });
@@ -35,6 +50,12 @@ function AdminDashboard() {
   const [selectedAction, setSelectedAction] = useState('');
   const [dateRange, setDateRange] = useState({ start: '', end: '' });
 
+  // Deletion requests state
+  const [deletionRequests, setDeletionRequests] = useState({ content: [], totalElements: 0, totalPages: 0 });
+  const [deletionPage, setDeletionPage] = useState(0);
+  const [deletionSize] = useState(20);
+  const [deletionFilter, setDeletionFilter] = useState(DELETION_REQUEST_STATUS.PENDING); // PENDING, COMPLETED, REJECTED, or '' for all
+
   // User Management State
   const [users, setUsers] = useState({ content: [], totalElements: 0, totalPages: 0 });
   const [userPage, setUserPage] = useState(0);
@@ -114,15 +135,6 @@ function AdminDashboard() {
     );
   };
 
-  const getAuthHeaders = () => {
-    const token = localStorage.getItem('token');
-    return {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...API_CONFIG.HEADERS
-    };
-  };
-
   const showMessage = (message, isError = false) => {
     if (isError) {
       setError(message);
@@ -138,37 +150,14 @@ function AdminDashboard() {
   };
 
   // Upload Management Functions
-  const fetchUploads = useCallback(async (page = uploadPage, filter = uploadFilter) => {
+  const fetchUploads = useCallback(async (page = uploadPage, filter = uploadFilter, sortBy = uploadSort) => {
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: uploadSize.toString(),
-        sort: 'createdDate,desc'
-      });
-
-      let endpoint = '/api/admin/uploads';
-      switch (filter) {
-        case 'pending':
-          endpoint = '/api/admin/uploads/pending';
-          break;
-        case 'approved':
-          endpoint = '/api/admin/uploads/approved';
-          break;
-        case 'featured':
-          endpoint = '/api/admin/uploads/featured';
-          break;
-        default:
-          endpoint = '/api/admin/uploads';
-      }
-
-      const response = await fetch(`${API_CONFIG.BASE_URL}${endpoint}?${queryParams}`, {
-        headers: getAuthHeaders()
+      const data = await api.admin.listUploads(filter, {
+        page,
+        size: uploadSize,
+        sort: `${sortBy},desc`
       });
-
-      if (!response.ok) throw new Error('Failed to fetch uploads');
-
-      const data = await response.json();
       setUploads(data);
       
       // Calculate stats from all uploads (only when fetching 'all')
@@ -181,25 +170,16 @@ function AdminDashboard() {
         }));
       }
     } catch (error) {
+      console.error('Failed to fetch uploads:', error);
       showMessage('Failed to fetch uploads', true);
     } finally {
       setLoading(false);
     }
-  }, [uploadPage, uploadSize, uploadFilter]);
+  }, [uploadPage, uploadSize, uploadFilter, uploadSort]);
 
   const approveUpload = async (uploadId) => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/upload/${uploadId}`, {
-        method: 'POST',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message);
-      }
-
-      const result = await response.json();
+      const result = await api.admin.approveUpload(uploadId);
       showMessage(result.message);
       fetchUploads();
     } catch (error) {
@@ -211,34 +191,18 @@ function AdminDashboard() {
     if (!confirm('Are you sure you want to delete this upload?')) return;
     
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/upload/${uploadId}`, {
-        method: 'DELETE',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) throw new Error('Failed to delete upload');
-
-      const result = await response.json();
+      const result = await api.admin.deleteUpload(uploadId);
       showMessage(result.message);
       fetchUploads();
     } catch (error) {
+      console.error('Failed to delete upload:', error);
       showMessage('Failed to delete upload', true);
     }
   };
 
   const featureUpload = async (uploadId) => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/feature-upload/${uploadId}`, {
-        method: 'POST',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message);
-      }
-
-      const result = await response.json();
+      const result = await api.admin.featureUpload(uploadId);
       showMessage(result.message);
       fetchUploads();
     } catch (error) {
@@ -250,17 +214,7 @@ function AdminDashboard() {
     if (!confirm('Are you sure you want to unapprove this upload?')) return;
     
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/upload/${uploadId}/approval`, {
-        method: 'DELETE',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message);
-      }
-
-      const result = await response.json();
+      const result = await api.admin.unapproveUpload(uploadId);
       showMessage(result.message);
       fetchUploads();
     } catch (error) {
@@ -272,17 +226,7 @@ function AdminDashboard() {
     if (!confirm('Are you sure you want to unfeature this upload?')) return;
     
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/upload/${uploadId}/featured`, {
-        method: 'DELETE',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message);
-      }
-
-      const result = await response.json();
+      const result = await api.admin.unfeatureUpload(uploadId);
       showMessage(result.message);
       fetchUploads();
     } catch (error) {
@@ -293,16 +237,11 @@ function AdminDashboard() {
   // Event Management Functions
   const fetchEvents = async () => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/events`, {
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch events');
-
-      const data = await response.json();
+      const data = await api.admin.listEvents();
       setEvents(data);
       setStats(prev => ({ ...prev, totalEvents: data.length }));
     } catch (error) {
+      console.error('Failed to fetch events:', error);
       showMessage('Failed to fetch events', true);
     }
   };
@@ -321,29 +260,17 @@ function AdminDashboard() {
         isoDateTime = date.toISOString();
       }
 
-      const formData = new URLSearchParams();
-      formData.append('eventName', newEvent.eventName);
-      formData.append('eventDate', isoDateTime);
-      formData.append('status', newEvent.status);
-
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/create-event`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          'Content-Type': 'application/x-www-form-urlencoded',
-          ...API_CONFIG.HEADERS
-        },
-        body: formData
+      const result = await api.admin.createEvent({
+        eventName: newEvent.eventName,
+        eventDate: isoDateTime,
+        status: newEvent.status
       });
-
-      if (!response.ok) throw new Error('Failed to create event');
-
-      const result = await response.json();
       showMessage(result.message);
       setNewEvent({ eventName: '', eventDate: '', eventTime: '', status: 'ONGOING' });
       setShowCreateEvent(false);
       fetchEvents();
     } catch (error) {
+      console.error('Failed to create event:', error);
       showMessage('Failed to create event', true);
     }
   };
@@ -352,30 +279,23 @@ function AdminDashboard() {
   const fetchAudits = useCallback(async (page = auditPage) => {
     setLoading(true);
     try {
-      let url = `${API_CONFIG.BASE_URL}/api/admin/audit`;
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: auditSize.toString(),
+      const params = {
+        page,
+        size: auditSize,
         sort: 'timestamp,desc'
-      });
+      };
 
+      let data;
       if (selectedAction) {
-        url = `${API_CONFIG.BASE_URL}/api/admin/audit/action/${selectedAction}`;
+        data = await api.admin.listAuditsByAction(selectedAction, params);
       } else if (dateRange.start && dateRange.end) {
-        url = `${API_CONFIG.BASE_URL}/api/admin/audit/daterange`;
-        queryParams.append('start', dateRange.start);
-        queryParams.append('end', dateRange.end);
+        data = await api.admin.listAuditsByDateRange({ ...params, start: dateRange.start, end: dateRange.end });
+      } else {
+        data = await api.admin.listAudits(params);
       }
-
-      const response = await fetch(`${url}?${queryParams}`, {
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch audit logs');
-
-      const data = await response.json();
       setAudits(data);
     } catch (error) {
+      console.error('Failed to fetch audit logs:', error);
       showMessage('Failed to fetch audit logs', true);
     } finally {
       setLoading(false);
@@ -384,16 +304,57 @@ function AdminDashboard() {
 
   const fetchAuditActions = async () => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/audit/actions`, {
-        headers: getAuthHeaders()
+      const data = await api.admin.listAuditActions();
+      setAuditActions(data);
+    } catch (error) {
+      console.error('Failed to fetch audit actions:', error);
+      showMessage('Failed to fetch audit actions', true);
+    }
+  };
+
+  // Deletion Request Functions
+  const fetchDeletionRequests = useCallback(async (page = deletionPage) => {
+    setLoading(true);
+    try {
+      const data = await api.admin.listDeletionRequests({
+        page,
+        size: deletionSize,
+        // Oldest first, so the ones closest to their SLA are on top
+        sort: 'createdDate,asc',
+        status: deletionFilter || undefined
       });
+      setDeletionRequests(data);
+    } catch (error) {
+      console.error('Failed to fetch deletion requests:', error);
+      showMessage('Failed to fetch deletion requests', true);
+    } finally {
+      setLoading(false);
+    }
+  }, [deletionPage, deletionSize, deletionFilter]);
 
-      if (!response.ok) throw new Error('Failed to fetch audit actions');
+  const completeDeletionRequest = async (request) => {
+    if (!confirm(`Delete ${getScopeLabel(request).toLowerCase()} from ${request.requesterEmail}? This cannot be undone.`)) return;
 
-      const data = await response.json();
-      setAuditActions(data);
+    try {
+      const result = await api.admin.completeDeletionRequest(request.id);
+      showMessage(result?.message || 'Deletion request completed');
+      fetchDeletionRequests();
+      fetchUploads();
     } catch (error) {
-      showMessage('Failed to fetch audit actions', true);
+      showMessage(error.message || 'Failed to complete deletion request', true);
+    }
+  };
+
+  const rejectDeletionRequest = async (request) => {
+    const note = prompt('Why is this request being rejected? The member will see this note.');
+    if (!note?.trim()) return;
+
+    try {
+      const result = await api.admin.rejectDeletionRequest(request.id, note.trim());
+      showMessage(result?.message || 'Deletion request rejected');
+      fetchDeletionRequests();
+    } catch (error) {
+      showMessage(error.message || 'Failed to reject deletion request', true);
     }
   };
 
@@ -403,25 +364,15 @@ function AdminDashboard() {
     
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams({
-        page: page.toString(),
-        size: userSize.toString(),
-        sort: 'firstName,asc'
-      });
-
-      if (searchTerm.trim()) {
-        queryParams.append('search', searchTerm.trim());
-      }
-
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/admin/users?${queryParams}`, {
-        headers: getAuthHeaders()
+      const data = await api.admin.listUsers({
+        page,
+        size: userSize,
+        sort: 'firstName,asc',
+        search: searchTerm.trim()
       });
-
-      if (!response.ok) throw new Error('Failed to fetch users');
-
-      const data = await response.json();
       setUsers(data);
     } catch (error) {
+      console.error('Failed to fetch users:', error);
       showMessage('Failed to fetch users', true);
     } finally {
       setLoading(false);
@@ -438,81 +389,45 @@ function AdminDashboard() {
     if (!hasRootPermissions(user)) return;
     
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ADMIN.ROLES}`, {
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch roles');
-
-      const data = await response.json();
+      const data = await api.admin.listRoles();
       setAvailableRoles(data);
       if (data.length > 0) {
         setSelectedRole(data[0]);
       }
     } catch (error) {
+      console.error('Failed to fetch roles:', error);
       showMessage('Failed to fetch available roles', true);
     }
   };
 
   const createUser = async () => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ADMIN.USER_CREATE}`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify(newUser)
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to create user');
-      }
-
-      showMessage(data.message || 'User created successfully');
+      const data = await api.admin.createUser(newUser);
+      showMessage(data?.message || 'User created successfully');
       setNewUser({ firstName: '', lastName: '', email: '', studentNumber: '' });
       setShowCreateUser(false);
       fetchUsers();
     } catch (error) {
-      showMessage(error.message, true);
+      showMessage(error.message || 'Failed to create user', true);
     }
   };
 
   const addRoleToUser = async () => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ADMIN.USER_ADD_ROLE}/${selectedUserId}/add-role`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify(selectedRole)
-      });
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.message || 'Failed to add role');
-      }
-
+      await api.admin.addRole(selectedUserId, selectedRole);
       showMessage('Role added successfully');
       setShowAddRole(false);
       setSelectedUserId(null);
       setSelectedRole('');
       fetchUsers();
     } catch (error) {
-      showMessage(error.message, true);
+      showMessage(error.message || 'Failed to add role', true);
     }
   };
 
   const removeRoleFromUser = async () => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ADMIN.USER_REMOVE_ROLE}/${selectedUserId}/remove-role`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify(selectedRole)
-      });
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.message || 'Failed to remove role');
-      }
-
+      await api.admin.removeRole(selectedUserId, selectedRole);
       showMessage('Role removed successfully');
       setShowRemoveRole(false);
       setSelectedUserId(null);
@@ -520,38 +435,30 @@ function AdminDashboard() {
       setSelectedRole('');
       fetchUsers();
     } catch (error) {
-      showMessage(error.message, true);
+      showMessage(error.message || 'Failed to remove role', true);
     }
   };
 
   const verifyUser = async (userId) => {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ADMIN.USER_VERIFY}`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify({ userId })
-      });
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.message || 'Failed to verify user');
-      }
-
+      await api.admin.verifyUser(userId);
       showMessage('User verified successfully');
       fetchUsers();
     } catch (error) {
-      showMessage(error.message, true);
+      showMessage(error.message || 'Failed to verify user', true);
     }
   };
 
   useEffect(() => {
     if (activeTab === 'audit') {
       fetchAudits();
+    } else if (activeTab === 'deletions') {
+      fetchDeletionRequests();
     } else if (activeTab === 'users' && hasRootPermissions(user)) {
       fetchUsers();
       fetchAvailableRoles();
     }
-  }, [activeTab, fetchAudits, fetchUsers, user]);
+  }, [activeTab, fetchAudits, fetchDeletionRequests, fetchUsers, user]);
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -617,21 +524,6 @@ function AdminDashboard() {
     setShowMediaViewer(false);
   };
 
-  const StatusBadge = ({ approved, featured }) => (
-    <div className="flex gap-2">
-      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
-        approved ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-      }`}>
-        {approved ? 'Approved' : 'Pending'}
-      </span>
-      {featured && (
-        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800">
-          Featured
-        </span>
-      )}
-    </div>
-  );
-
   return (
     <div className="max-w-7xl mx-auto p-4">
       {/* Header */}
@@ -720,6 +612,7 @@ function AdminDashboard() {
               { id: 'uploads', label: 'Upload Management', icon: Image, requiredRole: 'admin' },
               { id: 'events', label: 'Event Management', icon: Calendar, requiredRole: 'admin' },
               { id: 'audit', label: 'Audit Logs', icon: Activity, requiredRole: 'admin' },
+              { id: 'deletions', label: 'Deletion Requests', icon: ShieldOff, requiredRole: 'admin' },
               ...(hasRootPermissions(user) ? [
                 { id: 'users', label: 'User Management', icon: Users, requiredRole: 'root' },
                 { id: 'system', label: 'System Settings', icon: Settings, requiredRole: 'root' },
@@ -753,6 +646,14 @@ function AdminDashboard() {
       </div>
 
       {/* Media Viewer Modal */}
+      {posterEvent && (
+        <EventQrPoster
+          event={posterEvent}
+          eventDate={formatDate(posterEvent.date)}
+          onClose={() => setPosterEvent(null)}
+        />
+      )}
+
       {showMediaViewer && selectedMedia && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
           <div className="relative max-w-4xl max-h-full w-full h-full flex items-center justify-center">
@@ -810,15 +711,27 @@ function AdminDashboard() {
                 <div className="flex-1">
                   <h3 className="font-semibold text-lg mb-1">{selectedMedia.fileName}</h3>
                   <p className="text-sm text-gray-300 mb-2">
-                    {selectedMedia.uploadDescription || 'No description'}
+                    {selectedMedia.caption || selectedMedia.uploadDescription || 'No description'}
                   </p>
+                  {getTagList(selectedMedia.tags).length > 0 && (
+                    <p className="text-xs text-blue-200 mb-2">
+                      {getTagList(selectedMedia.tags).map((tag) => `#${tag}`).join(' ')}
+                    </p>
+                  )}
                   <div className="flex flex-wrap gap-4 text-xs text-gray-400">
                     <span>Type: {selectedMedia.contentType}</span>
                     <span>Uploaded: {formatDate(selectedMedia.createdDate)}</span>
+                    {selectedMedia.captureTime && (
+                      <span>Taken: {formatDate(selectedMedia.captureTime)}</span>
+                    )}
                     <span>Event: {selectedMedia.eventName || 'No Event'}</span>
+                    {selectedMedia.peopleCount != null && (
+                      <span>People: {selectedMedia.peopleCount}</span>
+                    )}
                     {!selectedMedia.anon && (
                       <span>By: {getDisplayName(selectedMedia)}</span>
                     )}
+                    <span>{renderConsentVersion(selectedMedia)}</span>
                   </div>
                 </div>
                 <div className="flex space-x-2">
@@ -888,6 +801,8 @@ function AdminDashboard() {
         return renderEventsTab();
       case 'audit':
         return renderAuditTab();
+      case 'deletions':
+        return renderDeletionRequestsTab();
       case 'users':
         return hasRootPermissions(user) ? renderUsersTab() : renderAccessDenied();
       case 'system':
@@ -904,13 +819,27 @@ function AdminDashboard() {
       <div className="space-y-6">
         <div className="flex justify-between items-center">
           <h3 className="text-xl font-bold text-gray-900">Upload Management</h3>
-          <button
-            onClick={() => fetchUploads()}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-            disabled={loading}
-          >
-            {loading ? 'Loading...' : 'Refresh'}
-          </button>
+          <div className="flex items-center space-x-3">
+            <select
+              value={uploadSort}
+              onChange={(e) => {
+                setUploadSort(e.target.value);
+                setUploadPage(0);
+                fetchUploads(0, uploadFilter, e.target.value);
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="createdDate">Newest uploads</option>
+              <option value="captureTime">Most recently taken</option>
+            </select>
+            <button
+              onClick={() => fetchUploads()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
         </div>
 
         {/* Filter Tabs */}
@@ -990,6 +919,8 @@ function AdminDashboard() {
                             <div className="h-full w-full relative">
                               <video 
                                 src={upload.fileUrl} 
+                                poster={upload.posterUrl}
+                                preload={upload.posterUrl ? 'none' : 'metadata'}
                                 className="h-full w-full object-cover"
                                 muted
                               />
@@ -1011,7 +942,7 @@ function AdminDashboard() {
                     <td className="px-4 py-4">
                       <div className="space-y-1">
                         <div className="text-sm font-medium text-gray-900 truncate max-w-xs">
-                          {upload.uploadDescription || 'No description'}
+                          {upload.caption || upload.uploadDescription || 'No description'}
                         </div>
                         <div className="text-xs text-gray-500 truncate">
                           {upload.fileName}
@@ -1065,6 +996,12 @@ function AdminDashboard() {
                         <div className="text-xs text-gray-500">
                           {formatDate(upload.createdDate)}
                         </div>
+                        {upload.captureTime && (
+                          <div className="text-xs text-gray-400">
+                            Taken {formatDate(upload.captureTime)}
+                          </div>
+                        )}
+                        <div className="text-xs text-gray-400">{renderConsentVersion(upload)}</div>
                       </div>
                     </td>
                     <td className="px-4 py-4 whitespace-nowrap">
@@ -1145,6 +1082,8 @@ function AdminDashboard() {
                     <div className="h-full w-full relative">
                       <video 
                         src={upload.fileUrl} 
+                        poster={upload.posterUrl}
+                        preload={upload.posterUrl ? 'none' : 'metadata'}
                         className="h-full w-full object-cover"
                         muted
                       />
@@ -1167,7 +1106,7 @@ function AdminDashboard() {
                   <div className="flex justify-between items-start mb-2">
                     <div className="flex-1 min-w-0 mr-2">
                       <h3 className="text-sm font-medium text-gray-900 truncate">
-                        {upload.uploadDescription || 'No description'}
+                        {upload.caption || upload.uploadDescription || 'No description'}
                       </h3>
                       <p className="text-xs text-gray-500 truncate">{upload.fileName}</p>
                     </div>
@@ -1177,7 +1116,9 @@ function AdminDashboard() {
                   <div className="space-y-1 text-xs text-gray-600">
                     <div>Event: {upload.eventName || 'No Event'}</div>
                     <div>Date: {formatDate(upload.createdDate)}</div>
+                    {upload.captureTime && <div>Taken: {formatDate(upload.captureTime)}</div>}
                     <div>Type: {upload.contentType}</div>
+                    <div>{renderConsentVersion(upload)}</div>
                     
                     {/* Author Info */}
                     {upload.anon ? (
@@ -1386,6 +1327,13 @@ function AdminDashboard() {
               <p className="text-gray-600 text-sm">
                 Date: {formatDate(event.date)}
               </p>
+              <button
+                onClick={() => setPosterEvent(event)}
+                className="mt-4 text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center space-x-1"
+              >
+                <QrCode className="h-4 w-4" />
+                <span>QR poster</span>
+              </button>
             </div>
           ))}
         </div>
@@ -1524,6 +1472,208 @@ function renderAuditTab() {
   );
 }
 
+  // Which consent text an upload was submitted under; older texts are flagged
+  function renderConsentVersion(upload) {
+    if (!upload.consentVersion) {
+      return 'Consent: not recorded';
+    }
+
+    const isCurrent = upload.consentVersion === LEGAL_CONFIG.UPLOAD_CONSENT.VERSION;
+    return (
+      <span title={upload.consentedAt ? `Consented ${formatDate(upload.consentedAt)}` : undefined}>
+        Consent: {upload.consentVersion}
+        {!isCurrent && <span className="text-amber-600 font-medium"> (previous version)</span>}
+      </span>
+    );
+  }
+
+  function renderSlaBadge(request) {
+    const slaState = getSlaState(request);
+    const daysLeft = getDaysUntilDue(request);
+
+    if (slaState === SLA_STATE.CLOSED) {
+      return (
+        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+          request.status === DELETION_REQUEST_STATUS.COMPLETED ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+        }`}>
+          {request.status === DELETION_REQUEST_STATUS.COMPLETED ? 'Completed' : 'Rejected'}
+        </span>
+      );
+    }
+
+    const styles = {
+      [SLA_STATE.OVERDUE]: 'bg-red-100 text-red-800',
+      [SLA_STATE.DUE_SOON]: 'bg-yellow-100 text-yellow-800',
+      [SLA_STATE.ON_TRACK]: 'bg-blue-100 text-blue-800'
+    };
+    const label = slaState === SLA_STATE.OVERDUE
+      ? `Overdue by ${-daysLeft} ${daysLeft === -1 ? 'day' : 'days'}`
+      : `${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left`;
+
+    return (
+      <span className={`px-2 py-1 rounded-full text-xs font-semibold inline-flex items-center space-x-1 ${styles[slaState]}`}>
+        <Clock className="h-3 w-3" />
+        <span>{label}</span>
+      </span>
+    );
+  }
+
+  function renderDeletionRequestsTab() {
+    return (
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Deletion Requests</h3>
+            <p className="text-sm text-gray-500">
+              Members who withdrew consent. Each request must be handled within {PRIVACY_CONFIG.DELETION_SLA_DAYS} days.
+            </p>
+          </div>
+          <div className="flex space-x-3">
+            <select
+              value={deletionFilter}
+              onChange={(e) => {
+                setDeletionFilter(e.target.value);
+                setDeletionPage(0);
+              }}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={DELETION_REQUEST_STATUS.PENDING}>Open</option>
+              <option value={DELETION_REQUEST_STATUS.COMPLETED}>Completed</option>
+              <option value={DELETION_REQUEST_STATUS.REJECTED}>Rejected</option>
+              <option value="">All Requests</option>
+            </select>
+            <button
+              onClick={() => fetchDeletionRequests()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+        </div>
+
+        {deletionRequests.content.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <ShieldOff className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p>No deletion requests to show.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Requested
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Member
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Scope
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Reason
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Due
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {deletionRequests.content.map((request) => (
+                  <tr
+                    key={request.id}
+                    className={getSlaState(request) === SLA_STATE.OVERDUE ? 'bg-red-50' : 'hover:bg-gray-50'}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatDate(request.createdDate)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <div>{`${request.requesterFirstName || ''} ${request.requesterLastName || ''}`.trim() || 'Unknown User'}</div>
+                      <div className="text-gray-500">{request.requesterEmail}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {getScopeLabel(request)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 max-w-xs">
+                      {request.reason || <span className="text-gray-400">None given</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 space-y-1">
+                      {renderSlaBadge(request)}
+                      <div>
+                        {request.status === DELETION_REQUEST_STATUS.PENDING
+                          ? formatDate(getDeletionDueDate(request))
+                          : request.resolvedDate && formatDate(request.resolvedDate)}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {request.status === DELETION_REQUEST_STATUS.PENDING ? (
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => completeDeletionRequest(request)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete uploads and complete"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => rejectDeletionRequest(request)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Reject request"
+                          >
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="text-gray-500">
+                          <div>{request.resolvedBy}</div>
+                          {request.resolutionNote && (
+                            <div className="text-xs max-w-xs whitespace-normal">{request.resolutionNote}</div>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Deletion Request Pagination */}
+        {deletionRequests.totalPages > 1 && (
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {deletionPage * deletionSize + 1} to {Math.min((deletionPage + 1) * deletionSize, deletionRequests.totalElements)} of {deletionRequests.totalElements} results
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setDeletionPage(Math.max(0, deletionPage - 1))}
+                disabled={deletionPage === 0}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span className="px-3 py-2 text-sm font-medium text-gray-700">
+                Page {deletionPage + 1} of {deletionRequests.totalPages}
+              </span>
+              <button
+                onClick={() => setDeletionPage(Math.min(deletionRequests.totalPages - 1, deletionPage + 1))}
+                disabled={deletionPage >= deletionRequests.totalPages - 1}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
   // Access denied component for unauthorized access to root-only features
   function renderAccessDenied() {
     return (
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate, Link } from 'react-router-dom';
 import { CheckCircle, XCircle, Camera, Loader2, ArrowRight } from 'lucide-react';
-import API_CONFIG from '../config/api';
+import api from '../services/api';
 
 function ConfirmEmail() {
   const [searchParams] = useSearchParams();
@@ -24,96 +24,59 @@ function ConfirmEmail() {
 
   const confirmEmail = async (confirmationToken) => {
     try {
+      const data = await api.auth.verifyEmail(confirmationToken);
+
+      setStatus('success');
+      setMessage('Your email has been successfully confirmed! You can now sign in to your account.');
+      setUserEmail(data?.email || '');
       
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/verify-email`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        },
-        body: JSON.stringify({ token: confirmationToken })
-      });
-
-      console.log('Response status:', response.status);
-      console.log('Response ok:', response.ok);
-
-      // Try to parse response as JSON, but handle cases where it might not be JSON
-      let data;
-      try {
-        const responseText = await response.text();
-        console.log('Raw response:', responseText);
-        
-        // Try to parse as JSON if response has content
-        if (responseText.trim()) {
-          data = JSON.parse(responseText);
-        } else {
-          data = {};
-        }
-      } catch (parseError) {
-        console.log('Response is not JSON, treating as plain text');
-        data = { message: await response.text() };
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login', { 
+          state: { 
+            message: 'Email confirmed successfully! Please sign in.',
+            confirmed: true 
+          }
+        });
+      }, 3000);
+    } catch (error) {
+      console.error('Email confirmation error:', error);
+
+      if (error.isNetworkError) {
+        setStatus('error');
+        setMessage(error.message);
+        return;
       }
 
-      if (response.ok) {
+      const errorMessage = error.message || 'Failed to confirm email. Please try again later.';
+      
+      if (error.status === 400 && errorMessage.toLowerCase().includes('expired')) {
+        setStatus('expired');
+        setMessage('This confirmation link has expired. Please request a new confirmation email.');
+      } else if (error.status === 400 && errorMessage.toLowerCase().includes('already confirmed')) {
         setStatus('success');
-        setMessage('Your email has been successfully confirmed! You can now sign in to your account.');
-        setUserEmail(data.email || '');
-        
-        // Redirect to login after 3 seconds
+        setMessage('Your email is already confirmed! You can sign in to your account.');
         setTimeout(() => {
-          navigate('/login', { 
-            state: { 
-              message: 'Email confirmed successfully! Please sign in.',
-              confirmed: true 
-            }
-          });
-        }, 3000);
+          navigate('/login');
+        }, 2000);
       } else {
-        const errorMessage = data.message || data.error || 'Failed to confirm email. Please try again later.';
-        
-        if (response.status === 400 && errorMessage.toLowerCase().includes('expired')) {
-          setStatus('expired');
-          setMessage('This confirmation link has expired. Please request a new confirmation email.');
-        } else if (response.status === 400 && errorMessage.toLowerCase().includes('already confirmed')) {
-          setStatus('success');
-          setMessage('Your email is already confirmed! You can sign in to your account.');
-          setTimeout(() => {
-            navigate('/login');
-          }, 2000);
-        } else {
-          setStatus('error');
-          setMessage(errorMessage);
-        }
+        setStatus('error');
+        setMessage(errorMessage);
       }
-    } catch (error) {
-      console.error('Email confirmation error:', error);
-      setStatus('error');
-      setMessage('Network error. Please check your connection and try again.');
     }
   };
 
   const resendConfirmation = async () => {
     try {
       setStatus('loading');
-      const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/resend-confirmation`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        },
-        body: JSON.stringify({ email: userEmail })
-      });
-
-      if (response.ok) {
-        setStatus('success');
-        setMessage('A new confirmation email has been sent. Please check your inbox.');
-      } else {
-        setStatus('error');
-        setMessage('Failed to resend confirmation email. Please try again later.');
-      }
+      await api.auth.resendConfirmation(userEmail);
+      setStatus('success');
+      setMessage('A new confirmation email has been sent. Please check your inbox.');
     } catch (error) {
       setStatus('error');
-      setMessage('Network error. Please try again later.');
+      setMessage(error.isNetworkError
+        ? 'Network error. Please try again later.'
+        : 'Failed to resend confirmation email. Please try again later.');
     }
   };
 
@@ -1,18 +1,50 @@
-import { useState, useEffect, useCallback } from 'react';
-import { Search, Filter, Image, Video, Calendar, User, Star, Share2, Award, Sparkles, X, ChevronLeft, ChevronRight, Play, Pause } from 'lucide-react';
-import heic2any from 'heic2any';
-import API_CONFIG from '../config/api';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useSearchParams, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { Search, Filter, Image, Video, Calendar, User, Star, Share2, Award, Sparkles, X, ChevronLeft, ChevronRight, Play, Pause, LayoutGrid, LayoutDashboard, RefreshCw, ArrowLeft } from 'lucide-react';
+import api from '../services/api';
+import { prepareGalleryItems, revokeGalleryItemUrls, getItemAspectRatio } from '../services/galleryItems';
+import { SHARE_RESULT, shareGalleryItem } from '../services/galleryShare';
+import { setPageTitle } from '../services/pageMeta';
+import useInfiniteGallery from '../hooks/useInfiniteGallery';
+import useDebouncedInput from '../hooks/useDebouncedInput';
+import MasonryGrid from '../components/MasonryGrid';
+import GalleryTabs from '../components/GalleryTabs';
+import GalleryFilters from '../components/GalleryFilters';
+import GALLERY_CONFIG from '../config/gallery';
+import { parseGalleryQuery, updateGalleryQuery, getGalleryApiParams, getClearedFilters, countActiveFilters } from '../utils/galleryQuery';
+import { formatCount } from '../utils/format';
+
+const { INFINITE_SCROLL, VIEW_MODE_STORAGE_KEY, PAGE_SIZES } = GALLERY_CONFIG;
+
+// Height of the title/event/author block under each masonry tile
+const MASONRY_CAPTION_HEIGHT = 136;
 
 function Gallery() {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedFilter, setSelectedFilter] = useState('all');
+  // Search, filters, ordering and paging live in the URL (see utils/galleryQuery.js)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = parseGalleryQuery(searchParams);
+  const activeFilterCount = countActiveFilters(query, { includeSearch: false });
+  // /gallery/:id opens the viewer on that item; /gallery/event/:eventId[/:id] is one event's album
+  const { id: viewerId, eventId } = useParams();
+  const basePath = eventId ? `/gallery/event/${eventId}` : '/gallery';
+  const navigate = useNavigate();
+  const location = useLocation();
   const [galleryItems, setGalleryItems] = useState([]);
+  // Read when replacing or unmounting, to revoke the items' object URLs
+  const galleryItemsRef = useRef(galleryItems);
+  galleryItemsRef.current = galleryItems;
   const [hoveredItem, setHoveredItem] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isPaginating, setIsPaginating] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedItem, setSelectedItem] = useState(null);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  // An item opened by permalink that isn't among the loaded ones
+  const [linkedItem, setLinkedItem] = useState(null);
+  const [linkedItemError, setLinkedItemError] = useState(null);
+  const [shareNotice, setShareNotice] = useState(null);
+  const [album, setAlbum] = useState(null);
+  const [albumError, setAlbumError] = useState(null);
+  // Opens already showing when a link arrives with filters set
+  const [showFilters, setShowFilters] = useState(activeFilterCount > 0);
   const [isVideoPlaying, setIsVideoPlaying] = useState(false);
   
   // Pagination state
@@ -20,71 +52,53 @@ function Gallery() {
   const [pageSize, setPageSize] = useState(12);
   const [totalPages, setTotalPages] = useState(0);
   const [totalElements, setTotalElements] = useState(0);
-  const [pageable, setPageable] = useState({
-    page: 0,
-    size: 12,
-    sort: 'date,desc'
+  const pageable = useMemo(() => ({
+    page: query.page,
+    size: query.size
+  }), [query.page, query.size]);
+
+  // Compared as text so the params only count as changed when a value does
+  const apiParamsKey = JSON.stringify({
+    ...getGalleryApiParams(query),
+    // An album is always its own event, whatever the event filter says
+    ...(eventId && { eventId })
   });
+  const apiParams = useMemo(() => JSON.parse(apiParamsKey), [apiParamsKey]);
 
-  // HEIC conversion utility
-  const convertHeicToJpeg = async (imageUrl) => {
-    try {
-      console.log('Converting HEIC image:', imageUrl);
-      
-      // Check if heic2any library is available
-      if (!heic2any) {
-        console.warn('heic2any library not available, returning original URL');
-        return imageUrl;
-      }
-      
-      // Fetch the HEIC file
-      const response = await fetch(imageUrl);
-      const blob = await response.blob();
-      
-      // Check if it's actually a HEIC file
-      if (!blob.type.includes('heic') && !blob.type.includes('heif')) {
-        console.log('Not a HEIC file, returning original URL');
-        return imageUrl;
-      }
-      
-      console.log('Converting HEIC blob to JPEG...');
-      
-      // Convert HEIC to JPEG
-      const convertedBlob = await heic2any({
-        blob: blob,
-        toType: 'image/jpeg',
-        quality: 0.8
-      });
-      
-      // Create object URL for the converted image
-      const convertedUrl = URL.createObjectURL(convertedBlob);
-      console.log('HEIC conversion successful:', convertedUrl);
-      
-      return convertedUrl;
-    } catch (error) {
-      console.error('Error converting HEIC image:', error);
-      // Return original URL as fallback
-      return imageUrl;
-    }
-  };
+  // Each change is a new history entry, so back returns to the previous view
+  const updateQuery = useCallback((changes, options) => {
+    setSearchParams(prev => updateGalleryQuery(prev, changes), options);
+  }, [setSearchParams]);
 
-  // Process gallery items to convert HEIC images
-  const processGalleryItems = async (items) => {
-    const processedItems = await Promise.all(
-      items.map(async (item) => {
-        if (item.type === 'image' && (item.src.toLowerCase().includes('.heic') || item.src.toLowerCase().includes('.heif'))) {
-          const convertedSrc = await convertHeicToJpeg(item.src);
-          return { ...item, src: convertedSrc, originalSrc: item.src };
-        }
-        return item;
-      })
-    );
-    
-    return processedItems;
-  };
+  // 'pages' or 'infinite'
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem(VIEW_MODE_STORAGE_KEY) || 'pages');
+  const isInfinite = viewMode === 'infinite';
+  // Aspect ratios read from loaded media, for items the server has no dimensions for
+  const [measuredRatios, setMeasuredRatios] = useState({});
+  const [scrollTarget, setScrollTarget] = useState(null);
+  // Where the page was, and what was open, when the viewer opened from the grid
+  const viewerOriginRef = useRef(null);
+  const lastViewedIdRef = useRef(null);
 
   // Fetch gallery data from API with pagination
   useEffect(() => {
+    // Infinite scroll loads its own pages
+    if (isInfinite) return;
+
+    // Cancel the in-flight request when filters or page change again
+    const controller = new AbortController();
+
+    // A newer request may have started while these were being prepared
+    const showItems = (processedItems) => {
+      if (controller.signal.aborted) {
+        revokeGalleryItemUrls(processedItems);
+        return false;
+      }
+      revokeGalleryItemUrls(galleryItemsRef.current);
+      setGalleryItems(processedItems);
+      return true;
+    };
+
     const fetchGalleryData = async () => {
       try {
         // Show full loading for initial load, pagination loading for page changes
@@ -95,42 +109,24 @@ function Gallery() {
         }
         setError(null);
         
-        // Build URL with pagination parameters
-        const params = new URLSearchParams({
-          page: pageable.page.toString(),
-          size: pageable.size.toString(),
-          sort: pageable.sort
-        });
-        
-        // Add filter parameters if they exist
-        if (searchTerm) {
-          params.append('search', searchTerm);
-        }
-        
-        if (selectedFilter !== 'all') {
-          if (selectedFilter === 'featured') {
-            params.append('featured', 'true');
-          } else if (selectedFilter === 'images') {
-            params.append('type', 'image');
-          } else if (selectedFilter === 'videos') {
-            params.append('type', 'video');
-          }
-        }
-        
-        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.GALLERY}?${params}`, {
-          headers: API_CONFIG.HEADERS
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
+        // Build query with pagination parameters
+        const params = {
+          ...apiParams,
+          page: pageable.page,
+          size: pageable.size
+        };
         
-        const data = await response.json();
+        const data = await api.gallery.list(params, { signal: controller.signal });
         
         // Handle Spring Boot Page response
         if (data.content) {
-          const processedItems = await processGalleryItems(data.content);
-          setGalleryItems(processedItems);
+          // A link to a page that no longer exists goes to the last one instead
+          if (data.content.length === 0 && pageable.page > 0 && data.totalPages > 0) {
+            updateQuery({ page: data.totalPages - 1 }, { replace: true });
+            return;
+          }
+          const processedItems = await prepareGalleryItems(data.content);
+          if (!showItems(processedItems)) return;
           setCurrentPage(data.number);
           setTotalPages(data.totalPages);
           setTotalElements(data.totalElements);
@@ -138,86 +134,220 @@ function Gallery() {
         } else {
           // Fallback for non-paginated response
           const items = Array.isArray(data) ? data : data.items || [];
-          const processedItems = await processGalleryItems(items);
-          setGalleryItems(processedItems);
+          const processedItems = await prepareGalleryItems(items);
+          if (!showItems(processedItems)) return;
           setTotalElements(processedItems.length);
           setTotalPages(1);
         }
         
       } catch (err) {
+        if (err.isAborted) return;
         console.error('Error fetching gallery data:', err);
         setError(err.message);
       } finally {
-        setIsLoading(false);
-        setIsPaginating(false);
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+          setIsPaginating(false);
+        }
       }
     };
 
     fetchGalleryData();
-  }, [pageable, searchTerm, selectedFilter]);
+    return () => controller.abort();
+  }, [pageable, apiParams, isInfinite, updateQuery]);
+
+  useEffect(() => () => revokeGalleryItemUrls(galleryItemsRef.current), []);
+
+  const infiniteQuery = useMemo(() => ({
+    ...apiParams,
+    size: INFINITE_SCROLL.PAGE_SIZE
+  }), [apiParams]);
+  const infinite = useInfiniteGallery(infiniteQuery, isInfinite);
+
+  // Name, date and counts for an event album's header
+  useEffect(() => {
+    setAlbum(null);
+    setAlbumError(null);
+    if (!eventId) return;
+
+    const controller = new AbortController();
+    api.gallery.getAlbum(eventId, { signal: controller.signal })
+      .then(setAlbum)
+      .catch((err) => {
+        if (err.isAborted) return;
+        console.error('Error fetching album:', err);
+        setAlbumError(err.status === 404 ? "This album doesn't exist." : err.message);
+      });
+    return () => controller.abort();
+  }, [eventId]);
 
   // Update search and filter handlers to reset pagination
-  const [searchInput, setSearchInput] = useState('');
-  
+  const handleFilterChange = (changes) => {
+    updateQuery({ ...changes, page: 0 });
+  };
+
   // Debounce search to avoid too many API calls
-  useEffect(() => {
-    const timeoutId = setTimeout(() => {
-      setSearchTerm(searchInput);
-      setPageable(prev => ({ ...prev, page: 0 }));
-    }, 500);
-    return () => clearTimeout(timeoutId);
-  }, [searchInput]);
+  const [searchInput, setSearchInput] = useDebouncedInput(query.search, (search) => handleFilterChange({ search }));
 
   const handleSearchChange = (value) => {
     setSearchInput(value);
   };
 
-  const handleFilterChange = (filter) => {
-    setSelectedFilter(filter);
-    setPageable(prev => ({ ...prev, page: 0 }));
-  };
-
   // Pagination handlers
   const handlePageChange = (newPage) => {
     if (newPage >= 0 && newPage < totalPages) {
-      setPageable(prev => ({ ...prev, page: newPage }));
+      updateQuery({ page: newPage });
       window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   };
 
   const handlePageSizeChange = (newSize) => {
-    setPageable(prev => ({ ...prev, size: newSize, page: 0 }));
+    updateQuery({ size: newSize, page: 0 });
+  };
+
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    localStorage.setItem(VIEW_MODE_STORAGE_KEY, mode);
+    // Infinite scroll has no page to link to
+    updateQuery({ page: 0 }, { replace: true });
+    window.scrollTo({ top: 0 });
   };
 
   // Use galleryItems directly since filtering is now done server-side
-  const filteredItems = galleryItems;
-  const featuredItems = galleryItems.filter(item => item.featured);
+  const filteredItems = isInfinite ? infinite.items : galleryItems;
+  const featuredItems = filteredItems.filter(item => item.featured);
+  const loading = isInfinite ? infinite.isLoading : isLoading;
+  const loadError = isInfinite ? infinite.error : error;
+  const itemCount = isInfinite ? infinite.totalElements : totalElements;
 
-  const openViewer = (item) => {
-    const index = filteredItems.findIndex(i => i.id === item.id);
-    setCurrentIndex(index);
-    setSelectedItem(item);
+  const getAspectRatio = useCallback(
+    (item) => getItemAspectRatio(item) || measuredRatios[item.id] || null,
+    [measuredRatios]
+  );
+
+  const measureItem = (item, width, height) => {
+    if (!width || !height || getItemAspectRatio(item)) return;
+    setMeasuredRatios(prev => (prev[item.id] ? prev : { ...prev, [item.id]: width / height }));
+  };
+
+  // The viewer follows the URL, so it can be linked to and closed with the back button
+  const currentIndex = viewerId ? filteredItems.findIndex(i => String(i.id) === viewerId) : -1;
+  const selectedItem = currentIndex >= 0
+    ? filteredItems[currentIndex]
+    : linkedItem && String(linkedItem.id) === viewerId ? linkedItem : null;
+
+  // Fetch a linked item on its own once it's clear it isn't in the loaded list
+  useEffect(() => {
+    if (!viewerId || currentIndex >= 0 || loading) return;
+    if (linkedItem && String(linkedItem.id) === viewerId) return;
+
+    const controller = new AbortController();
+
+    const fetchLinkedItem = async () => {
+      try {
+        setLinkedItemError(null);
+        const data = await api.gallery.get(viewerId, { signal: controller.signal });
+        const [item] = await prepareGalleryItems([data]);
+        if (controller.signal.aborted) {
+          revokeGalleryItemUrls([item]);
+          return;
+        }
+        setLinkedItem(item);
+      } catch (err) {
+        if (err.isAborted) return;
+        console.error('Error fetching gallery item:', err);
+        setLinkedItemError(err.status === 404 ? 'This photo or video is no longer in the gallery.' : err.message);
+      }
+    };
+
+    fetchLinkedItem();
+    return () => controller.abort();
+  }, [viewerId, currentIndex, loading, linkedItem]);
+
+  useEffect(() => () => {
+    if (linkedItem) revokeGalleryItemUrls([linkedItem]);
+  }, [linkedItem]);
+
+  // The tab title names the open item
+  useEffect(() => {
+    if (!selectedItem) return;
+    return setPageTitle(`${selectedItem.title} · LensBridge`);
+  }, [selectedItem]);
+
+  // On closing, go back to where the visitor was, or on to the last item they looked at
+  useEffect(() => {
+    if (selectedItem) {
+      lastViewedIdRef.current = selectedItem.id;
+      return;
+    }
+
+    const origin = viewerOriginRef.current;
+    const lastViewedId = lastViewedIdRef.current;
+    viewerOriginRef.current = null;
+    lastViewedIdRef.current = null;
+    if (!origin || !isInfinite) return;
+
+    if (lastViewedId !== origin.itemId) {
+      setScrollTarget({ id: lastViewedId });
+    } else {
+      window.scrollTo({ top: origin.scrollY });
+    }
+  }, [selectedItem, isInfinite]);
+
+  useEffect(() => {
+    if (!shareNotice) return;
+    const timeoutId = setTimeout(() => setShareNotice(null), 3000);
+    return () => clearTimeout(timeoutId);
+  }, [shareNotice]);
+
+  const showItem = (item, options) => {
     setIsVideoPlaying(false);
+    navigate({ pathname: `${basePath}/${item.id}`, search: location.search }, options);
+  };
+
+  const openViewer = (item) => {
+    viewerOriginRef.current = { itemId: item.id, scrollY: window.scrollY };
+    showItem(item);
   };
 
   const closeViewer = () => {
-    setSelectedItem(null);
     setIsVideoPlaying(false);
-    
-    // Clean up any HEIC object URLs to prevent memory leaks
-    if (selectedItem && selectedItem.src && selectedItem.src.startsWith('blob:')) {
-      URL.revokeObjectURL(selectedItem.src);
+    if (viewerOriginRef.current) {
+      // Opened from the grid: step back so the item doesn't stay in the history
+      navigate(-1);
+    } else {
+      navigate({ pathname: basePath, search: location.search });
+    }
+  };
+
+  const handleShare = async (item) => {
+    try {
+      const result = await shareGalleryItem(item);
+      if (result === SHARE_RESULT.COPIED) {
+        setShareNotice('Link copied to clipboard');
+      }
+    } catch (err) {
+      console.error('Error sharing gallery item:', err);
+      setShareNotice("Couldn't share this item. Try copying the address bar instead.");
     }
   };
 
   const navigateViewer = (direction) => {
+    // Opened by permalink and not in the list; there's nothing to step through
+    if (currentIndex < 0) return;
+
+    if (isInfinite && direction === 'next' && infinite.hasMore) {
+      // Fetch ahead, and stop at the last loaded item rather than wrapping around
+      if (currentIndex >= filteredItems.length - 3) infinite.loadMore();
+      if (currentIndex === filteredItems.length - 1) return;
+    }
+
     const newIndex = direction === 'next' 
       ? (currentIndex + 1) % filteredItems.length
       : (currentIndex - 1 + filteredItems.length) % filteredItems.length;
     
-    setCurrentIndex(newIndex);
-    setSelectedItem(filteredItems[newIndex]);
-    setIsVideoPlaying(false);
+    // Stepping through items replaces the entry, so back still closes the viewer
+    showItem(filteredItems[newIndex], { replace: true });
   };
 
   const toggleVideoPlayback = () => {
@@ -233,6 +363,120 @@ function Gallery() {
     }
   };
 
+  // Masonry tiles have a fixed-height caption so the grid can place them before they load
+  const renderGalleryCard = (item, masonry = false) => (
+    <div 
+      key={item.id} 
+      className={`group bg-white rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-500 hover:scale-105 hover:-translate-y-2 border border-gray-200 overflow-hidden cursor-pointer ${
+        masonry ? 'h-full flex flex-col' : ''
+      }`}
+      onClick={() => openViewer(item)}
+      onMouseEnter={(e) => {
+        setHoveredItem(item.id);
+        if (item.type === 'video') {
+          const video = e.currentTarget.querySelector('video');
+          if (video) {
+            video.currentTime = 0;
+            video.play().catch(console.error);
+          }
+        }
+      }}
+      onMouseLeave={(e) => {
+        setHoveredItem(null);
+        if (item.type === 'video') {
+          const video = e.currentTarget.querySelector('video');
+          if (video) {
+            video.pause();
+            video.currentTime = 0;
+          }
+        }
+      }}
+    >
+      <div className={`relative overflow-hidden ${masonry ? 'flex-1 min-h-0' : 'aspect-square'}`}>
+        {item.type === 'video' ? (
+          <video
+            src={item.src}
+            poster={item.posterUrl}
+            alt={item.title}
+            className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
+            muted
+            loop
+            playsInline
+            preload={item.posterUrl ? 'none' : 'metadata'}
+            onLoadedMetadata={masonry ? (e) => measureItem(item, e.currentTarget.videoWidth, e.currentTarget.videoHeight) : undefined}
+          />
+        ) : (
+          <img
+            src={item.src}
+            alt={item.title}
+            className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
+            loading="lazy"
+            onLoad={masonry ? (e) => measureItem(item, e.currentTarget.naturalWidth, e.currentTarget.naturalHeight) : undefined}
+          />
+        )}
+        
+        {/* Overlay */}
+        <div className={`absolute inset-0 bg-gradient-to-t from-black/70 via-black/20 to-transparent transition-opacity duration-300 ${
+          hoveredItem === item.id ? 'opacity-100' : 'opacity-0'
+        }`}>
+          <div className="absolute bottom-4 left-4 right-4 text-white">
+            <div className="flex items-center justify-end mb-2">
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleShare(item);
+                }}
+                title="Share"
+                aria-label={`Share ${item.title}`}
+              >
+                <Share2 className="h-4 w-4 cursor-pointer hover:scale-110 transition-transform" />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Media Type Indicator */}
+        {item.type === 'video' && (
+          <div className="absolute top-4 left-4 bg-black/50 backdrop-blur-sm text-white px-3 py-1 rounded-full text-xs font-semibold flex items-center space-x-1">
+            <Video className="h-3 w-3" />
+            <span>Video</span>
+          </div>
+        )}
+        
+        {/* Featured Badge */}
+        {item.featured && (
+          <div className="absolute top-4 right-4 bg-gradient-to-r from-yellow-400 to-orange-500 text-white px-3 py-1 rounded-full text-xs font-bold flex items-center space-x-1 shadow-lg">
+            <Star className="h-3 w-3" />
+            <span>Featured</span>
+          </div>
+        )}
+      </div>
+      
+      <div className="p-5" style={masonry ? { height: MASONRY_CAPTION_HEIGHT } : undefined}>
+        <h3 className={`font-bold text-gray-900 mb-2 text-lg group-hover:text-blue-600 transition-colors ${masonry ? 'truncate' : ''}`}>
+          {item.title}
+        </h3>
+        <p className={`text-blue-600 font-medium text-sm mb-3 bg-blue-50 px-3 py-1 rounded-full w-fit ${masonry ? 'max-w-full truncate' : ''}`}>
+          {item.event}
+        </p>
+        
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <div className="flex items-center space-x-2">
+            <div className="bg-gray-100 rounded-full p-1">
+              <User className="h-3 w-3" />
+            </div>
+            <span className="font-medium">{item.author}</span>
+          </div>
+          <div className="flex items-center space-x-1">
+            <Calendar className="h-3 w-3" />
+            <span>{new Date(item.date).toLocaleDateString()}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
   // Handle keyboard navigation
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -259,7 +503,7 @@ function Gallery() {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [selectedItem, currentIndex, isVideoPlaying]);
+  }, [selectedItem, currentIndex, isVideoPlaying, filteredItems]);
 
   // Cleanup HEIC object URLs on component unmount
   useEffect(() => {
@@ -275,23 +519,67 @@ function Gallery() {
   return (
     <div className="max-w-7xl mx-auto">
       {/* Header */}
-      <div className="relative overflow-hidden mb-12">
-        <div className="absolute inset-0 bg-gradient-to-br from-purple-50 via-pink-50 to-orange-50 opacity-60"></div>
-        <div className="relative text-center py-16">
-          <div className="mb-6">
-            <div className="inline-flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-4 py-2 rounded-full text-sm font-semibold shadow-lg">
-              <Sparkles className="h-4 w-4" />
-              <span>Community Gallery</span>
+      {eventId ? (
+        <div className="relative overflow-hidden mb-12">
+          <div className="absolute inset-0 bg-gradient-to-br from-purple-50 via-pink-50 to-orange-50 opacity-60"></div>
+          <div className="relative text-center py-12">
+            <Link
+              to="/gallery/albums"
+              className="inline-flex items-center space-x-2 text-sm text-gray-600 hover:text-blue-600 mb-6"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              <span>All albums</span>
+            </Link>
+            {albumError ? (
+              <p className="text-xl text-gray-600">{albumError}</p>
+            ) : !album ? (
+              <div className="animate-pulse bg-gray-300 h-12 w-80 rounded mx-auto"></div>
+            ) : (
+              <>
+                <h1 className="text-5xl font-bold text-gray-900 mb-4">
+                  <span className="bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">{album.eventName}</span>
+                </h1>
+                <div className="flex items-center justify-center space-x-6 text-gray-600">
+                  {album.eventDate && (
+                    <span className="flex items-center space-x-2">
+                      <Calendar className="h-4 w-4" />
+                      <span>{new Date(album.eventDate).toLocaleDateString()}</span>
+                    </span>
+                  )}
+                  <span className="flex items-center space-x-2">
+                    <Image className="h-4 w-4" />
+                    <span>{formatCount(album.photoCount, 'photo')}</span>
+                  </span>
+                  <span className="flex items-center space-x-2">
+                    <Video className="h-4 w-4" />
+                    <span>{formatCount(album.videoCount, 'video')}</span>
+                  </span>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="relative overflow-hidden mb-12">
+          <div className="absolute inset-0 bg-gradient-to-br from-purple-50 via-pink-50 to-orange-50 opacity-60"></div>
+          <div className="relative text-center py-16">
+            <div className="mb-6">
+              <div className="inline-flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-4 py-2 rounded-full text-sm font-semibold shadow-lg">
+                <Sparkles className="h-4 w-4" />
+                <span>Community Gallery</span>
+              </div>
             </div>
+            <h1 className="text-5xl font-bold text-gray-900 mb-4">
+              <span className="bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">Media Gallery</span>
+            </h1>
+            <p className="text-xl text-gray-600 max-w-2xl mx-auto">
+              Explore amazing memories from UTM MSA events and activities shared by our vibrant community
+            </p>
           </div>
-          <h1 className="text-5xl font-bold text-gray-900 mb-4">
-            <span className="bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">Media Gallery</span>
-          </h1>
-          <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-            Explore amazing memories from UTM MSA events and activities shared by our vibrant community
-          </p>
         </div>
-      </div>
+      )}
+
+      {!eventId && <GalleryTabs />}
 
       {/* Stats Bar */}
       <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6 mb-8">
@@ -301,10 +589,10 @@ function Gallery() {
               <Image className="h-6 w-6" />
             </div>
             <div className="text-2xl font-bold text-gray-900">
-              {isLoading ? (
+              {loading ? (
                 <div className="animate-pulse bg-gray-300 h-8 w-12 rounded mx-auto"></div>
               ) : (
-                totalElements
+                itemCount
               )}
             </div>
             <div className="text-sm text-gray-600">Total Media</div>
@@ -314,7 +602,7 @@ function Gallery() {
               <Award className="h-6 w-6" />
             </div>
             <div className="text-2xl font-bold text-gray-900">
-              {isLoading ? (
+              {loading ? (
                 <div className="animate-pulse bg-gray-300 h-8 w-12 rounded mx-auto"></div>
               ) : (
                 featuredItems.length
@@ -333,7 +621,7 @@ function Gallery() {
             <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
             <input
               type="text"
-              placeholder="Search by title, event, or author..."
+              placeholder={eventId ? 'Search this album by title or author...' : 'Search by title, event, or author...'}
               value={searchInput}
               onChange={(e) => handleSearchChange(e.target.value)}
               className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-600 focus:border-transparent transition-all"
@@ -341,31 +629,60 @@ function Gallery() {
           </div>
 
           {/* Filter */}
-          <div className="flex items-center space-x-3">
-            <Filter className="h-5 w-5 text-gray-400" />
-            <select
-              value={selectedFilter}
-              onChange={(e) => handleFilterChange(e.target.value)}
-              className="border border-gray-300 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-600 focus:border-transparent transition-all"
-            >
-              <option value="all">All Media</option>
-              <option value="featured">🌟 Featured</option>
-              <option value="images">📸 Images Only</option>
-              <option value="videos">🎥 Videos Only</option>
-            </select>
+          <button
+            onClick={() => setShowFilters(prev => !prev)}
+            aria-expanded={showFilters}
+            className={`flex items-center space-x-2 border rounded-xl px-4 py-3 transition-all ${
+              showFilters ? 'border-blue-600 text-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <Filter className="h-5 w-5" />
+            <span>Filters</span>
+            {activeFilterCount > 0 && (
+              <span className="bg-blue-600 text-white text-xs font-semibold rounded-full px-2 py-0.5">
+                {activeFilterCount}
+              </span>
+            )}
+          </button>
+
+          {/* View Mode */}
+          <div className="flex items-center border border-gray-300 rounded-xl overflow-hidden">
+            {[
+              { mode: 'pages', label: 'Pages', icon: LayoutGrid },
+              { mode: 'infinite', label: 'Infinite scroll', icon: LayoutDashboard }
+            ].map(({ mode, label, icon }) => {
+              const Icon = icon;
+              return (
+                <button
+                  key={mode}
+                  onClick={() => handleViewModeChange(mode)}
+                  className={`p-3 transition-colors ${
+                    viewMode === mode ? 'bg-blue-600 text-white' : 'text-gray-500 hover:bg-gray-50'
+                  }`}
+                  title={label}
+                  aria-pressed={viewMode === mode}
+                >
+                  <Icon className="h-5 w-5" />
+                </button>
+              );
+            })}
           </div>
         </div>
+
+        {showFilters && (
+          <GalleryFilters query={query} onChange={handleFilterChange} showEvents={!eventId} />
+        )}
       </div>
 
       {/* Gallery Grid */}
-      {error ? (
+      {loadError && !(isInfinite && infinite.items.length > 0) ? (
         <div className="text-center py-20">
           <div className="bg-gradient-to-br from-red-100 to-red-200 rounded-full p-8 w-fit mx-auto mb-6">
             <Image className="h-16 w-16 text-red-400" />
           </div>
           <h3 className="text-2xl font-bold text-gray-900 mb-4">Error Loading Gallery</h3>
           <p className="text-gray-600 text-lg mb-6">
-            {error}
+            {loadError}
           </p>
           <button
             onClick={() => window.location.reload()}
@@ -374,7 +691,7 @@ function Gallery() {
             Try Again
           </button>
         </div>
-      ) : isLoading ? (
+      ) : loading ? (
         <div className="text-center py-20">
           <div className="bg-gradient-to-br from-blue-100 to-blue-200 rounded-full p-8 w-fit mx-auto mb-6 animate-pulse">
             <Image className="h-16 w-16 text-blue-400" />
@@ -393,6 +710,44 @@ function Gallery() {
           <p className="text-gray-600 text-lg">
             Try adjusting your search terms or filters to find what you're looking for
           </p>
+          {countActiveFilters(query) > 0 && (
+            <button
+              onClick={() => handleFilterChange(getClearedFilters())}
+              className="mt-6 text-blue-600 hover:text-blue-700 font-semibold"
+            >
+              Clear search and filters
+            </button>
+          )}
+        </div>
+      ) : isInfinite ? (
+        <div className="mb-12">
+          <MasonryGrid
+            items={filteredItems}
+            getAspectRatio={getAspectRatio}
+            captionHeight={MASONRY_CAPTION_HEIGHT}
+            renderItem={(item) => renderGalleryCard(item, true)}
+            onEndReached={infinite.loadMore}
+            endThreshold={INFINITE_SCROLL.PREFETCH_DISTANCE}
+            scrollTarget={scrollTarget}
+          />
+          <div className="text-center py-8">
+            {infinite.isLoadingMore ? (
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            ) : infinite.error ? (
+              <div>
+                <p className="text-sm text-red-600 mb-3">Couldn't load more media: {infinite.error}</p>
+                <button
+                  onClick={infinite.retry}
+                  className="inline-flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                  <span>Try again</span>
+                </button>
+              </div>
+            ) : !infinite.hasMore && (
+              <p className="text-sm text-gray-500">You've seen all {itemCount} items</p>
+            )}
+          </div>
         </div>
       ) : (
         <div className="relative">
@@ -405,122 +760,26 @@ function Gallery() {
             </div>
           )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 mb-12">
-            {filteredItems.map((item) => (
-              <div 
-                key={item.id} 
-                className="group bg-white rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-500 hover:scale-105 hover:-translate-y-2 border border-gray-200 overflow-hidden cursor-pointer"
-                onClick={() => openViewer(item)}
-                onMouseEnter={(e) => {
-                  setHoveredItem(item.id);
-                  if (item.type === 'video') {
-                    const video = e.currentTarget.querySelector('video');
-                    if (video) {
-                      video.currentTime = 0;
-                      video.play().catch(console.error);
-                    }
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  setHoveredItem(null);
-                  if (item.type === 'video') {
-                    const video = e.currentTarget.querySelector('video');
-                    if (video) {
-                      video.pause();
-                      video.currentTime = 0;
-                    }
-                  }
-                }}
-              >
-                <div className="relative aspect-square overflow-hidden">
-                  {item.type === 'video' ? (
-                    <video
-                      src={item.src}
-                      alt={item.title}
-                      className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
-                      muted
-                      loop
-                      playsInline
-                      preload="metadata"
-                    />
-                  ) : (
-                    <img
-                      src={item.src}
-                      alt={item.title}
-                      className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
-                    />
-                  )}
-                  
-                  {/* Overlay */}
-                  <div className={`absolute inset-0 bg-gradient-to-t from-black/70 via-black/20 to-transparent transition-opacity duration-300 ${
-                    hoveredItem === item.id ? 'opacity-100' : 'opacity-0'
-                  }`}>
-                    <div className="absolute bottom-4 left-4 right-4 text-white">
-                      <div className="flex items-center justify-end mb-2">
-                        <Share2 className="h-4 w-4 cursor-pointer hover:scale-110 transition-transform" />
-                      </div>
-                    </div>
-                  </div>
-
-                  {/* Media Type Indicator */}
-                  {item.type === 'video' && (
-                    <div className="absolute top-4 left-4 bg-black/50 backdrop-blur-sm text-white px-3 py-1 rounded-full text-xs font-semibold flex items-center space-x-1">
-                      <Video className="h-3 w-3" />
-                      <span>Video</span>
-                    </div>
-                  )}
-                  
-                  {/* Featured Badge */}
-                  {item.featured && (
-                    <div className="absolute top-4 right-4 bg-gradient-to-r from-yellow-400 to-orange-500 text-white px-3 py-1 rounded-full text-xs font-bold flex items-center space-x-1 shadow-lg">
-                      <Star className="h-3 w-3" />
-                      <span>Featured</span>
-                    </div>
-                  )}
-                </div>
-                
-                <div className="p-5">
-                  <h3 className="font-bold text-gray-900 mb-2 text-lg group-hover:text-blue-600 transition-colors">
-                    {item.title}
-                  </h3>
-                  <p className="text-blue-600 font-medium text-sm mb-3 bg-blue-50 px-3 py-1 rounded-full w-fit">
-                    {item.event}
-                  </p>
-                  
-                  <div className="flex items-center justify-between text-sm text-gray-500">
-                    <div className="flex items-center space-x-2">
-                      <div className="bg-gray-100 rounded-full p-1">
-                        <User className="h-3 w-3" />
-                      </div>
-                      <span className="font-medium">{item.author}</span>
-                    </div>
-                    <div className="flex items-center space-x-1">
-                      <Calendar className="h-3 w-3" />
-                      <span>{new Date(item.date).toLocaleDateString()}</span>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            ))}
+            {filteredItems.map((item) => renderGalleryCard(item))}
           </div>
         </div>
       )}
 
       {/* Pagination Controls */}
-      {!error && !isLoading && totalPages > 1 && (
+      {!isInfinite && !error && !isLoading && totalPages > 1 && (
         <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6 mb-8">
           <div className="flex flex-col sm:flex-row items-center justify-between space-y-4 sm:space-y-0">
             {/* Page Size Selector */}
             <div className="flex items-center space-x-3">
               <span className="text-sm text-gray-600">Items per page:</span>
               <select
-                value={pageSize}
+                value={pageable.size}
                 onChange={(e) => handlePageSizeChange(Number(e.target.value))}
                 className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
               >
-                <option value={6}>6</option>
-                <option value={12}>12</option>
-                <option value={24}>24</option>
-                <option value={48}>48</option>
+                {PAGE_SIZES.map((size) => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
               </select>
             </div>
 
@@ -604,7 +863,7 @@ function Gallery() {
       )}
 
       {/* Featured Section - Only show on first page with no filters */}
-      {featuredItems.length > 0 && currentPage === 0 && selectedFilter === 'all' && !searchTerm && (
+      {!isInfinite && featuredItems.length > 0 && currentPage === 0 && countActiveFilters(query) === 0 && query.order === 'newest' && (
         <div className="bg-gradient-to-br from-yellow-50 to-orange-50 rounded-2xl p-8 border border-yellow-200">
           <div className="text-center mb-8">
             <div className="inline-flex items-center space-x-2 bg-gradient-to-r from-yellow-500 to-orange-500 text-white px-4 py-2 rounded-full text-sm font-semibold shadow-lg mb-4">
@@ -645,12 +904,13 @@ function Gallery() {
                   {item.type === 'video' ? (
                     <video
                       src={item.src}
+                      poster={item.posterUrl}
                       alt={item.title}
                       className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-110"
                       muted
                       loop
                       playsInline
-                      preload="metadata"
+                      preload={item.posterUrl ? 'none' : 'metadata'}
                     />
                   ) : (
                     <img
@@ -674,6 +934,31 @@ function Gallery() {
         </div>
       )}
 
+      {/* Linked item still loading, or gone */}
+      {viewerId && !selectedItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4">
+          <button
+            onClick={closeViewer}
+            className="absolute top-4 right-4 bg-black bg-opacity-50 hover:bg-opacity-70 text-white rounded-full p-2 transition-all duration-300 hover:scale-110"
+          >
+            <X className="h-6 w-6" />
+          </button>
+          {linkedItemError ? (
+            <div className="text-center text-white">
+              <p className="text-lg mb-6">{linkedItemError}</p>
+              <button
+                onClick={closeViewer}
+                className="bg-gradient-to-r from-blue-600 to-green-600 text-white px-6 py-3 rounded-xl font-semibold hover:shadow-lg transition-all duration-300"
+              >
+                Browse the gallery
+              </button>
+            </div>
+          ) : (
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-white"></div>
+          )}
+        </div>
+      )}
+
       {/* Media Viewer Modal */}
       {selectedItem && (
         <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4">
@@ -687,8 +972,17 @@ function Gallery() {
               <X className="h-6 w-6" />
             </button>
 
+            {/* Share Button */}
+            <button
+              onClick={() => handleShare(selectedItem)}
+              className="absolute top-4 right-16 z-10 bg-black bg-opacity-50 hover:bg-opacity-70 text-white rounded-full p-2 transition-all duration-300 hover:scale-110"
+              title="Share"
+            >
+              <Share2 className="h-6 w-6" />
+            </button>
+
             {/* Navigation Arrows */}
-            {filteredItems.length > 1 && (
+            {filteredItems.length > 1 && currentIndex >= 0 && (
               <>
                 <button
                   onClick={() => navigateViewer('prev')}
@@ -774,7 +1068,7 @@ function Gallery() {
             </div>
 
             {/* Navigation Indicator */}
-            {filteredItems.length > 1 && (
+            {filteredItems.length > 1 && currentIndex >= 0 && (
               <div className="absolute top-4 left-1/2 transform -translate-x-1/2 z-10">
                 <div className="bg-black bg-opacity-50 backdrop-blur-sm rounded-full px-4 py-2 text-white text-sm">
                   {currentIndex + 1} / {filteredItems.length}
@@ -784,6 +1078,12 @@ function Gallery() {
           </div>
         </div>
       )}
+
+      {shareNotice && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[60] bg-gray-900 text-white text-sm px-4 py-2 rounded-full shadow-lg">
+          {shareNotice}
+        </div>
+      )}
     </div>
   );
 }
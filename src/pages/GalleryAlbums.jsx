@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FolderOpen, Image, Video, Calendar, Star } from 'lucide-react';
+import api from '../services/api';
+import { prepareGalleryItems, revokeGalleryItemUrls } from '../services/galleryItems';
+import GalleryTabs from '../components/GalleryTabs';
+import { formatCount } from '../utils/format';
+
+// The cover is the event's first featured item, or its first item when none is featured
+const getCoverUrl = (cover) => (cover.type === 'video' ? cover.posterUrl : cover.src);
+
+function GalleryAlbums() {
+  const [albums, setAlbums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchAlbums = async () => {
+      try {
+        const data = await api.gallery.listAlbums({ signal: controller.signal });
+        // Events nobody has shared anything from yet have nothing to show
+        const withMedia = (data || []).filter((album) => album.photoCount + album.videoCount > 0);
+        const prepared = await Promise.all(
+          withMedia.map(async (album) => {
+            if (!album.cover) return album;
+            const [cover] = await prepareGalleryItems([album.cover]);
+            return { ...album, cover };
+          })
+        );
+        if (controller.signal.aborted) {
+          revokeGalleryItemUrls(prepared.map((album) => album.cover).filter(Boolean));
+          return;
+        }
+        setAlbums(prepared);
+      } catch (err) {
+        if (err.isAborted) return;
+        console.error('Error fetching albums:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchAlbums();
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => () => {
+    revokeGalleryItemUrls(albums.map((album) => album.cover).filter(Boolean));
+  }, [albums]);
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="text-center py-12">
+        <h1 className="text-5xl font-bold text-gray-900 mb-4">
+          <span className="bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">Event Albums</span>
+        </h1>
+        <p className="text-xl text-gray-600 max-w-2xl mx-auto">
+          Browse photos and videos one event at a time
+        </p>
+      </div>
+
+      <GalleryTabs />
+
+      {error ? (
+        <div className="text-center py-20">
+          <h3 className="text-2xl font-bold text-gray-900 mb-4">Error Loading Albums</h3>
+          <p className="text-gray-600 text-lg">{error}</p>
+        </div>
+      ) : isLoading ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {Array.from({ length: 6 }, (_, i) => (
+            <div key={i} className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden animate-pulse">
+              <div className="aspect-video bg-gray-200"></div>
+              <div className="p-5 space-y-3">
+                <div className="h-5 bg-gray-200 rounded w-2/3"></div>
+                <div className="h-4 bg-gray-200 rounded w-1/3"></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : albums.length === 0 ? (
+        <div className="text-center py-20">
+          <div className="bg-gradient-to-br from-gray-100 to-gray-200 rounded-full p-8 w-fit mx-auto mb-6">
+            <FolderOpen className="h-16 w-16 text-gray-400" />
+          </div>
+          <h3 className="text-2xl font-bold text-gray-900 mb-4">No albums yet</h3>
+          <p className="text-gray-600 text-lg">
+            Albums appear here once media from an event has been approved
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-12">
+          {albums.map((album) => (
+            <Link
+              key={album.eventId}
+              to={`/gallery/event/${album.eventId}`}
+              className="group bg-white rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-500 hover:-translate-y-1 border border-gray-200 overflow-hidden"
+            >
+              <div className="relative aspect-video overflow-hidden bg-gradient-to-br from-purple-100 to-pink-100">
+                {album.cover && getCoverUrl(album.cover) ? (
+                  <img
+                    src={getCoverUrl(album.cover)}
+                    alt={album.eventName}
+                    className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-105"
+                    loading="lazy"
+                  />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center">
+                    <FolderOpen className="h-12 w-12 text-purple-300" />
+                  </div>
+                )}
+                {album.cover?.featured && (
+                  <div className="absolute top-4 right-4 bg-gradient-to-r from-yellow-400 to-orange-500 text-white px-3 py-1 rounded-full text-xs font-bold flex items-center space-x-1 shadow-lg">
+                    <Star className="h-3 w-3" />
+                    <span>Featured</span>
+                  </div>
+                )}
+              </div>
+              <div className="p-5">
+                <h3 className="font-bold text-gray-900 mb-2 text-lg group-hover:text-blue-600 transition-colors">
+                  {album.eventName}
+                </h3>
+                <div className="flex items-center justify-between text-sm text-gray-500">
+                  <div className="flex items-center space-x-3">
+                    <span className="flex items-center space-x-1">
+                      <Image className="h-4 w-4" />
+                      <span>{formatCount(album.photoCount, 'photo')}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Video className="h-4 w-4" />
+                      <span>{formatCount(album.videoCount, 'video')}</span>
+                    </span>
+                  </div>
+                  {album.eventDate && (
+                    <span className="flex items-center space-x-1">
+                      <Calendar className="h-3 w-3" />
+                      <span>{new Date(album.eventDate).toLocaleDateString()}</span>
+                    </span>
+                  )}
+                </div>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GalleryAlbums;
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { User, Lock, Eye, EyeOff, Mail, ArrowRight, Camera, CheckCircle } from 'lucide-react';
+import api from '../services/api';
 
 function Login() {
   const location = useLocation();
@@ -44,59 +45,49 @@ function Login() {
     setIsLoading(true);
     
     try {
-      const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-      const response = await fetch(`${apiBaseUrl}/api/auth/signin`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        },
-        body: JSON.stringify({
-          email: formData.email,
-          password: formData.password
-        })
+      const data = await api.auth.signin({
+        email: formData.email,
+        password: formData.password
       });
 
-      const data = await response.json();
-
-      if (response.ok) {
-        // Store authentication token with Bearer type
-        if (data.token) {
-          localStorage.setItem('token', data.token);
-          localStorage.setItem('tokenType', data.type || 'Bearer');
-        }
-        
-        // Store user info
-        const userInfo = {
-          id: data.id,
-          email: data.email,
-          firstName: data.firstName,
-          lastName: data.lastName,
-          roles: data.roles || []
-        };
-        localStorage.setItem('user', JSON.stringify(userInfo));
-
-        // Trigger a custom event to update the header immediately
-        window.dispatchEvent(new Event('auth-change'));
-
-        // Redirect to home page or intended destination
-        const redirectTo = location.state?.from?.pathname || '/';
-        navigate(redirectTo, { replace: true });
-      } else {
-        // Handle specific error cases
-        const errorMessage = data.message || data.error || 'Login failed. Please try again.';
-        
-        if (response.status === 401) {
-          alert('Invalid email or password. Please check your credentials and try again.');
-        } else if (response.status === 403 && errorMessage.toLowerCase().includes('not verified')) {
-          alert('Please verify your email address before signing in. Check your inbox for the confirmation email.');
-        } else {
-          alert(errorMessage);
-        }
+      // Store authentication token with Bearer type
+      if (data.token) {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('tokenType', data.type || 'Bearer');
       }
+      
+      // Store user info
+      const userInfo = {
+        id: data.id,
+        email: data.email,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        roles: data.roles || [],
+        // Accepted legal versions; TermsUpdatePrompt asks again when they're out of date
+        termsVersion: data.termsVersion,
+        privacyVersion: data.privacyVersion
+      };
+      localStorage.setItem('user', JSON.stringify(userInfo));
+
+      // Trigger a custom event to update the header immediately
+      window.dispatchEvent(new Event('auth-change'));
+
+      // Redirect to home page or intended destination
+      // Keep the query too, e.g. the event in an /upload?event= link
+      const from = location.state?.from;
+      const redirectTo = from ? `${from.pathname}${from.search || ''}` : '/';
+      navigate(redirectTo, { replace: true });
     } catch (error) {
       console.error('Login error:', error);
-      alert('Network error. Please check your connection and try again.');
+
+      // Handle specific error cases
+      if (error.status === 401) {
+        alert('Invalid email or password. Please check your credentials and try again.');
+      } else if (error.status === 403 && error.message.toLowerCase().includes('not verified')) {
+        alert('Please verify your email address before signing in. Check your inbox for the confirmation email.');
+      } else {
+        alert(error.message || 'Login failed. Please try again.');
+      }
     } finally {
       setIsLoading(false);
     }
@@ -0,0 +1,508 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FolderOpen,
+  Image,
+  Video,
+  Calendar,
+  Pencil,
+  Undo2,
+  ChevronLeft,
+  ChevronRight,
+  Upload as UploadIcon,
+  AlertCircle,
+  ShieldOff,
+  Clock
+} from 'lucide-react';
+import api from '../services/api';
+import { convertHeicUrl, isHeicUrl } from '../services/heicConversion';
+import useUploadPolicy from '../hooks/useUploadPolicy';
+import StatusBadge from '../components/StatusBadge';
+import WithdrawConsentDialog from '../components/WithdrawConsentDialog';
+import {
+  DELETION_REQUEST_STATUS,
+  DELETION_REQUEST_SCOPE,
+  getDeletionDueDate,
+  getScopeLabel,
+  isUploadCovered
+} from '../utils/deletionRequests';
+import UPLOAD_CONFIG from '../config/upload';
+
+const PAGE_SIZE = 12;
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'featured', label: 'Featured' }
+];
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+function UploadThumbnail({ upload }) {
+  const [src, setSrc] = useState(upload.fileUrl);
+  const isVideo = upload.contentType?.startsWith('video/');
+
+  // Most browsers can't show HEIC, so convert it like the Gallery does
+  useEffect(() => {
+    if (isVideo || !isHeicUrl(upload.fileUrl)) return;
+
+    let objectUrl = null;
+    convertHeicUrl(upload.fileUrl)
+      .then((blob) => {
+        if (!blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch((error) => console.error('Error converting HEIC image:', error));
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [upload.fileUrl, isVideo]);
+
+  if (isVideo) {
+    return upload.posterUrl ? (
+      <div className="relative w-full h-full">
+        <img src={upload.posterUrl} alt={upload.fileName} className="w-full h-full object-cover" />
+        <div className="absolute bottom-2 right-2 bg-black/60 text-white rounded p-1">
+          <Video className="h-3 w-3" />
+        </div>
+      </div>
+    ) : (
+      <div className="w-full h-full flex items-center justify-center bg-gray-100">
+        <Video className="h-10 w-10 text-gray-400" />
+      </div>
+    );
+  }
+
+  return src ? (
+    <img src={src} alt={upload.fileName} className="w-full h-full object-cover" loading="lazy" />
+  ) : (
+    <div className="w-full h-full flex items-center justify-center bg-gray-100">
+      <Image className="h-10 w-10 text-gray-400" />
+    </div>
+  );
+}
+
+function MyUploads() {
+  const [uploads, setUploads] = useState({ content: [], totalElements: 0, totalPages: 0 });
+  const [page, setPage] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // { uuid, eventId, caption, instagramHandle }
+  const [isSaving, setIsSaving] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const [deletionRequests, setDeletionRequests] = useState([]);
+  // { upload } for one upload, { upload: null } for all of them
+  const [consentDialog, setConsentDialog] = useState(null);
+  const [isWithdrawingConsent, setIsWithdrawingConsent] = useState(false);
+  const [consentError, setConsentError] = useState('');
+  const uploadPolicy = useUploadPolicy(editing?.eventId);
+
+  const openDeletionRequests = deletionRequests.filter(
+    (request) => request.status === DELETION_REQUEST_STATUS.PENDING
+  );
+  const hasAllUploadsRequest = openDeletionRequests.some(
+    (request) => request.scope === DELETION_REQUEST_SCOPE.ALL
+  );
+
+  const fetchUploads = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.myUploads.list({
+        page,
+        size: PAGE_SIZE,
+        sort: 'createdDate,desc',
+        status: statusFilter === 'all' ? undefined : statusFilter
+      });
+      setUploads(data);
+    } catch (fetchError) {
+      console.error('Failed to fetch your uploads:', fetchError);
+      setError('Could not load your uploads. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => {
+    fetchUploads();
+  }, [fetchUploads]);
+
+  useEffect(() => {
+    api.privacy
+      .listDeletionRequests()
+      // The endpoint may answer with a page rather than a plain list
+      .then((data) => setDeletionRequests(Array.isArray(data) ? data : data?.content ?? []))
+      .catch((fetchError) => console.error('Failed to fetch deletion requests:', fetchError));
+  }, []);
+
+  const handleFilterChange = (value) => {
+    setStatusFilter(value);
+    setPage(0);
+  };
+
+  const startEditing = (upload) => {
+    setActionError('');
+    setEditing({
+      uuid: upload.uuid,
+      eventId: upload.eventId,
+      caption: upload.caption || upload.uploadDescription || '',
+      instagramHandle: upload.instagramHandle || ''
+    });
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'instagramHandle') {
+      const { pattern, maxLength } = uploadPolicy.instagramHandle;
+      if ((value && !new RegExp(pattern).test(value)) || value.length > maxLength) return;
+    }
+
+    setEditing((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setActionError('');
+    try {
+      const changes = {
+        caption: editing.caption.trim(),
+        instagramHandle: editing.instagramHandle.trim()
+      };
+      const updated = await api.myUploads.update(editing.uuid, changes);
+      setUploads((prev) => ({
+        ...prev,
+        content: prev.content.map((upload) =>
+          upload.uuid === editing.uuid ? { ...upload, ...changes, ...updated } : upload
+        )
+      }));
+      setEditing(null);
+    } catch (saveError) {
+      console.error('Failed to update upload:', saveError);
+      setActionError(saveError.message || 'Could not save your changes.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleWithdraw = async (upload) => {
+    if (!confirm(`Withdraw "${upload.fileName}"? It will be deleted and won't be reviewed.`)) return;
+
+    setActionError('');
+    try {
+      await api.myUploads.withdraw(upload.uuid);
+      // Refetch so the page and totals stay right, stepping back from an emptied page
+      if (uploads.content.length === 1 && page > 0) {
+        setPage(page - 1);
+      } else {
+        fetchUploads();
+      }
+    } catch (withdrawError) {
+      console.error('Failed to withdraw upload:', withdrawError);
+      setActionError(withdrawError.message || 'Could not withdraw this upload.');
+    }
+  };
+
+  const openConsentDialog = (upload = null) => {
+    setConsentError('');
+    setConsentDialog({ upload });
+  };
+
+  const handleWithdrawConsent = async (reason) => {
+    const { upload } = consentDialog;
+    setIsWithdrawingConsent(true);
+    setConsentError('');
+    try {
+      const created = await api.privacy.withdrawConsent({
+        scope: upload ? DELETION_REQUEST_SCOPE.SELECTED : DELETION_REQUEST_SCOPE.ALL,
+        uploadIds: upload ? [upload.uuid] : undefined,
+        reason: reason || undefined
+      });
+      setDeletionRequests((prev) => [created, ...prev]);
+      setConsentDialog(null);
+    } catch (withdrawError) {
+      console.error('Failed to withdraw consent:', withdrawError);
+      setConsentError(withdrawError.message || 'Could not send your request. Please try again.');
+    } finally {
+      setIsWithdrawingConsent(false);
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="text-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center justify-center space-x-2">
+          <FolderOpen className="h-8 w-8 text-blue-600" />
+          <span>My Uploads</span>
+        </h1>
+        <p className="text-gray-600">
+          Everything you've shared, and whether it has been approved or featured.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              type="button"
+              onClick={() => handleFilterChange(filter.value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                statusFilter === filter.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        {uploads.totalElements > 0 && (
+          <div className="flex items-center space-x-4">
+            <p className="text-sm text-gray-500">
+              {uploads.totalElements} {uploads.totalElements === 1 ? 'upload' : 'uploads'}
+            </p>
+            {!hasAllUploadsRequest && (
+              <button
+                type="button"
+                onClick={() => openConsentDialog()}
+                className="inline-flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                <ShieldOff className="h-4 w-4" />
+                <span>Withdraw consent for all</span>
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {openDeletionRequests.length > 0 && (
+        <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <p className="font-medium flex items-center space-x-2 mb-2">
+            <Clock className="h-4 w-4" />
+            <span>Deletion requests in progress</span>
+          </p>
+          <ul className="space-y-1">
+            {openDeletionRequests.map((request) => (
+              <li key={request.id}>
+                {getScopeLabel(request)}, requested {formatDate(request.createdDate)}. We'll act on
+                it by {formatDate(getDeletionDueDate(request))}.
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {actionError && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4" />
+          <span>{actionError}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-16">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button
+            type="button"
+            onClick={fetchUploads}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Try again
+          </button>
+        </div>
+      ) : uploads.content.length === 0 ? (
+        <div className="text-center py-16 bg-white rounded-lg border border-gray-200">
+          <UploadIcon className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 mb-4">
+            {statusFilter === 'all'
+              ? "You haven't uploaded anything yet."
+              : `You have no ${statusFilter} uploads.`}
+          </p>
+          <Link
+            to="/upload"
+            className="inline-flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <UploadIcon className="h-4 w-4" />
+            <span>Upload media</span>
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {uploads.content.map((upload) => {
+            const isEditing = editing?.uuid === upload.uuid;
+            const isPending = !upload.approved;
+            const deletionRequest = openDeletionRequests.find((request) =>
+              isUploadCovered(request, upload)
+            );
+
+            return (
+              <div key={upload.uuid} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                <div className="aspect-video bg-gray-50">
+                  <UploadThumbnail upload={upload} />
+                </div>
+
+                <div className="p-4 space-y-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <p className="text-sm font-medium text-gray-900 truncate" title={upload.fileName}>
+                      {upload.fileName}
+                    </p>
+                    <StatusBadge approved={upload.approved} featured={upload.featured} />
+                  </div>
+
+                  <div className="text-xs text-gray-500 space-y-1">
+                    <p className="flex items-center space-x-1">
+                      <Calendar className="h-3 w-3" />
+                      <span>{upload.eventName || 'No event'}</span>
+                    </p>
+                    <p>Uploaded {formatDate(upload.createdDate)}</p>
+                  </div>
+
+                  {deletionRequest ? (
+                    <p className="text-sm text-amber-700 flex items-center space-x-1">
+                      <Clock className="h-4 w-4" />
+                      <span>Deletion requested {formatDate(deletionRequest.createdDate)}</span>
+                    </p>
+                  ) : isEditing ? (
+                    <form onSubmit={handleSave} className="space-y-2">
+                      <textarea
+                        name="caption"
+                        value={editing.caption}
+                        onChange={handleEditChange}
+                        maxLength={UPLOAD_CONFIG.FILE_DETAILS.CAPTION_MAX_LENGTH}
+                        rows={3}
+                        placeholder="Caption"
+                        aria-label="Caption"
+                        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <div className="relative">
+                        <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-500">@</span>
+                        <input
+                          type="text"
+                          name="instagramHandle"
+                          value={editing.instagramHandle}
+                          onChange={handleEditChange}
+                          placeholder="your_instagram_handle"
+                          aria-label="Instagram handle"
+                          className="w-full pl-7 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => setEditing(null)}
+                          className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={isSaving}
+                          className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                        >
+                          {isSaving ? 'Saving...' : 'Save'}
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <>
+                      <p className="text-sm text-gray-700 line-clamp-3">
+                        {upload.caption || upload.uploadDescription || (
+                          <span className="text-gray-400">No caption</span>
+                        )}
+                      </p>
+                      {upload.instagramHandle && !upload.anon && (
+                        <p className="text-xs text-gray-500">@{upload.instagramHandle}</p>
+                      )}
+                      <div className="flex items-center space-x-2 pt-1">
+                        <button
+                          type="button"
+                          onClick={() => startEditing(upload)}
+                          className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 font-medium"
+                        >
+                          <Pencil className="h-4 w-4" />
+                          <span>Edit</span>
+                        </button>
+                        {isPending && (
+                          <button
+                            type="button"
+                            onClick={() => handleWithdraw(upload)}
+                            className="inline-flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 font-medium"
+                          >
+                            <Undo2 className="h-4 w-4" />
+                            <span>Withdraw</span>
+                          </button>
+                        )}
+                        {/* Pending uploads can simply be withdrawn; reviewed ones need a request */}
+                        {!isPending && (
+                          <button
+                            type="button"
+                            onClick={() => openConsentDialog(upload)}
+                            className="inline-flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 font-medium"
+                          >
+                            <ShieldOff className="h-4 w-4" />
+                            <span>Withdraw consent</span>
+                          </button>
+                        )}
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {uploads.totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-2 mt-8">
+          <button
+            type="button"
+            onClick={() => setPage((prev) => Math.max(0, prev - 1))}
+            disabled={page === 0}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span className="px-3 py-2 text-sm font-medium text-gray-700">
+            Page {page + 1} of {uploads.totalPages}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((prev) => Math.min(uploads.totalPages - 1, prev + 1))}
+            disabled={page >= uploads.totalPages - 1}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {consentDialog && (
+        <WithdrawConsentDialog
+          upload={consentDialog.upload}
+          onConfirm={handleWithdrawConsent}
+          onClose={() => setConsentDialog(null)}
+          isSubmitting={isWithdrawingConsent}
+          error={consentError}
+        />
+      )}
+    </div>
+  );
+}
+
+export default MyUploads;
@@ -1,5 +1,7 @@
 import { Link } from 'react-router-dom';
 import { ArrowLeft, Shield, Eye, Database, Lock, UserCheck, AlertCircle } from 'lucide-react';
+import LEGAL_CONFIG from '../config/legal';
+import PRIVACY_CONFIG from '../config/privacy';
 
 function PrivacyPolicy() {
   return (
@@ -25,7 +27,9 @@ function PrivacyPolicy() {
               <p className="text-gray-600">LensBridge - UTM MSA Media Platform</p>
             </div>
           </div>
-          <p className="text-sm text-gray-500">Last updated: 2025-07-19</p>
+          <p className="text-sm text-gray-500">
+            Last updated: {LEGAL_CONFIG.PRIVACY.UPDATED} (version {LEGAL_CONFIG.PRIVACY.VERSION})
+          </p>
         </div>
 
         {/* Content */}
@@ -69,6 +73,7 @@ function PrivacyPolicy() {
                 <ul className="text-gray-600 leading-relaxed space-y-1 ml-4">
                   <li>• Photos and videos you upload</li>
                   <li>• Metadata associated with your uploads (date, time, file information)</li>
+                  <li>• Camera model and the time a photo was taken. Unless you choose to keep them, location data and device identifiers embedded in JPEG, PNG and WebP photos are removed on your device before upload, and HEIC photos are converted to JPEG without them. Videos are uploaded as recorded and may include the location where they were filmed</li>
                   <li>• Instagram Handles (Should you choose to include)</li>
                   <li>• Captions and descriptions you provide</li>
                 </ul>
@@ -151,7 +156,11 @@ function PrivacyPolicy() {
               <li>• <strong>Access:</strong> Request a copy of the personal information we have about you</li>
               <li>• <strong>Correct:</strong> Ask us to correct any inaccurate information</li>
               <li>• <strong>Delete:</strong> Request deletion of your account and associated data</li>
-              <li>• <strong>Withdraw Consent:</strong> Remove permission for MSA to use your content</li>
+              <li>
+                • <strong>Withdraw Consent:</strong> Remove permission for MSA to use your content, for specific
+                uploads or all of them, from <Link to="/my-uploads" className="text-blue-600 hover:text-blue-500">My Uploads</Link>.
+                This creates a deletion request that we act on within {PRIVACY_CONFIG.DELETION_SLA_DAYS} days
+              </li>
               <li>• <strong>Data Portability:</strong> Request your data in a portable format</li>
             </ul>
           </section>
@@ -215,7 +224,8 @@ function PrivacyPolicy() {
             <p className="text-gray-600 leading-relaxed">
               We may update this privacy policy periodically to reflect changes in our practices or legal requirements. 
               Users will be notified of significant changes via email or platform announcements. The "Last updated" date 
-              at the top of this policy indicates when it was last revised.
+              at the top of this policy indicates when it was last revised. Signed-in users are asked to accept each 
+              new version, and every upload records the version of the consent statement it was submitted under.
             </p>
           </section>
 
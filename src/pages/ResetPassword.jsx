@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate, Link } from 'react-router-dom';
 import { Lock, Eye, EyeOff, CheckCircle, XCircle, Camera, Loader2, ArrowRight } from 'lucide-react';
+import api from '../services/api';
 
 function ResetPassword() {
   const [searchParams] = useSearchParams();
@@ -33,27 +34,12 @@ function ResetPassword() {
 
   const validateToken = async (resetToken) => {
     try {
-      const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-      const response = await fetch(`${apiBaseUrl}/api/auth/validate-reset-token?token=${encodeURIComponent(resetToken)}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        }
-      });
-
-      if (response.ok) {
-        setTokenValid(true);
-      } else {
-        const data = await response.json();
-        const errorMsg = data.message || data.error || 'Invalid or expired reset token.';
-        setTokenValid(false);
-        setErrorMessage(errorMsg);
-      }
+      await api.auth.validateResetToken(resetToken);
+      setTokenValid(true);
     } catch (error) {
       console.error('Token validation error:', error);
       setTokenValid(false);
-      setErrorMessage('Network error. Please check your connection and try again.');
+      setErrorMessage(error.message || 'Invalid or expired reset token.');
     } finally {
       setIsValidating(false);
     }
@@ -100,35 +86,20 @@ function ResetPassword() {
     setErrorMessage('');
     
     try {
-      const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-      const response = await fetch(`${apiBaseUrl}/api/auth/reset-password?token=${encodeURIComponent(token)}&newPassword=${encodeURIComponent(formData.password)}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        }
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setIsSuccess(true);
-        // Redirect to login after 3 seconds
-        setTimeout(() => {
-          navigate('/login', { 
-            state: { 
-              message: 'Password reset successfully! Please sign in with your new password.',
-              confirmed: true 
-            }
-          });
-        }, 3000);
-      } else {
-        const errorMsg = data.message || data.error || 'Failed to reset password. Please try again.';
-        setErrorMessage(errorMsg);
-      }
+      await api.auth.resetPassword(token, formData.password);
+      setIsSuccess(true);
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login', { 
+          state: { 
+            message: 'Password reset successfully! Please sign in with your new password.',
+            confirmed: true 
+          }
+        });
+      }, 3000);
     } catch (error) {
       console.error('Password reset error:', error);
-      setErrorMessage('Network error. Please check your connection and try again.');
+      setErrorMessage(error.message || 'Failed to reset password. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { User, Lock, Eye, EyeOff, Mail, ArrowRight, Camera, UserPlus } from 'lucide-react';
+import api from '../services/api';
+import LEGAL_CONFIG from '../config/legal';
 
 function Signup() {
   const navigate = useNavigate();
@@ -52,37 +54,28 @@ function Signup() {
     setIsLoading(true);
     
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/auth/signup`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'ngrok-skip-browser-warning': 'true'
-        },
-        body: JSON.stringify({
-          firstName: formData.firstName,
-          lastName: formData.lastName,
-          email: formData.email,
-          studentNumber: formData.studentId,
-          password: formData.password
-        })
+      await api.auth.signup({
+        firstName: formData.firstName,
+        lastName: formData.lastName,
+        email: formData.email,
+        studentNumber: formData.studentId,
+        password: formData.password,
+        // The versions shown when the box was ticked
+        termsVersion: LEGAL_CONFIG.TERMS.VERSION,
+        privacyVersion: LEGAL_CONFIG.PRIVACY.VERSION,
+        termsAcceptedAt: new Date().toISOString()
       });
 
-      const data = await response.json();
-
-      if (response.ok) {
-        // Redirect to success page with email confirmation message
-        navigate('/signup-success', { 
-          state: { 
-            email: formData.email,
-            message: 'Account created successfully! Please check your UofT email to confirm your account before signing in.'
-          }
-        });
-      } else {
-        alert(data.message || 'Signup failed. Please try again.');
-      }
+      // Redirect to success page with email confirmation message
+      navigate('/signup-success', { 
+        state: { 
+          email: formData.email,
+          message: 'Account created successfully! Please check your UofT email to confirm your account before signing in.'
+        }
+      });
     } catch (error) {
       console.error('Signup error:', error);
-      alert('Network error. Please check your connection and try again.');
+      alert(error.message || 'Signup failed. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -1,5 +1,6 @@
 import { Link } from 'react-router-dom';
 import { ArrowLeft, Shield, Users, Camera, AlertTriangle } from 'lucide-react';
+import LEGAL_CONFIG from '../config/legal';
 
 function TermsOfService() {
   return (
@@ -25,7 +26,9 @@ function TermsOfService() {
               <p className="text-gray-600">LensBridge - UTM MSA Media Platform</p>
             </div>
           </div>
-          <p className="text-sm text-gray-500">Last updated: 2025-07-19</p>
+          <p className="text-sm text-gray-500">
+            Last updated: {LEGAL_CONFIG.TERMS.UPDATED} (version {LEGAL_CONFIG.TERMS.VERSION})
+          </p>
         </div>
 
         {/* Content */}
@@ -161,7 +164,8 @@ function TermsOfService() {
             <h2 className="text-xl font-semibold text-gray-800 mb-4">10. Changes to Terms</h2>
             <p className="text-gray-600 leading-relaxed">
               We may update these terms from time to time. Users will be notified of significant changes via email 
-              or platform announcements. Continued use of LensBridge constitutes acceptance of updated terms.
+              or platform announcements. When a new version is published, you will be asked to accept it the next 
+              time you use LensBridge, and we keep a record of which version you accepted and when.
             </p>
           </section>
 
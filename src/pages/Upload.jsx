@@ -1,18 +1,74 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import {
   Upload as UploadIcon,
-  X,
-  Image,
-  Video,
   Check,
   AlertCircle,
   ChevronDown,
+  RotateCcw,
+  Trash2,
+  ImageDown,
+  History,
+  Camera,
+  MapPin,
 } from "lucide-react";
-import heic2any from "heic2any";
-import API_CONFIG from "../config/api";
-
-// Test if heic2any is working
-console.log("heic2any library loaded:", typeof heic2any);
+import api from "../services/api";
+import {
+  getPendingChunkedUploads,
+  resumeChunkedUpload,
+  discardChunkedUpload,
+  discardChunkedUploadFor,
+} from "../services/chunkedUpload";
+import useFileUploads, { UPLOAD_STATUS } from "../hooks/useFileUploads";
+import UploadFileTile from "../components/UploadFileTile";
+import PendingUploadsPanel from "../components/PendingUploadsPanel";
+import { enqueueSubmission } from "../services/uploadQueue";
+import useImageCompression, {
+  COMPRESSION_STATUS,
+  getUploadableFile,
+} from "../hooks/useImageCompression";
+import usePhotoMetadata, {
+  getPhotoFields,
+  getPrivacySafeFile,
+  isReadingPhotoMetadata,
+  needsMetadataDecision,
+} from "../hooks/usePhotoMetadata";
+import useFileHashes, {
+  DUPLICATE_TYPE,
+  findSelectionDuplicates,
+  getHashFields,
+  isHashingFile,
+  isSimilarHash,
+} from "../hooks/useFileHashes";
+import useVideoPosters, {
+  getPosterFile,
+  getVideoFields,
+  isReadingVideo,
+} from "../hooks/useVideoPosters";
+import VideoPosterPicker from "../components/VideoPosterPicker";
+import CameraCapture from "../components/CameraCapture";
+import { getCaptureModes, isCameraSupported } from "../services/camera";
+import { isImageProcessingSupported } from "../services/imageProcessing";
+import { convertHeicFile, isHeicFile } from "../services/heicConversion";
+import UPLOAD_CONFIG from "../config/upload";
+import LEGAL_CONFIG from "../config/legal";
+import useUploadPolicy from "../hooks/useUploadPolicy";
+import {
+  REJECTION_REASON,
+  describeUploadPolicy,
+  getAcceptAttribute,
+  getFileMimeType,
+  getMediaKind,
+  validateFileAgainstPolicy,
+} from "../utils/uploadPolicy";
+import { formatBytes } from "../utils/format";
+import { validateFile } from "../services/fileValidation";
+import RejectedFilesPanel from "../components/RejectedFilesPanel";
+import { EMPTY_FILE_DETAILS, getDetailFields } from "../utils/fileDetails";
+import useUploadDraft from "../hooks/useUploadDraft";
+import useSharedFiles from "../hooks/useSharedFiles";
+
+const { UPLOAD_CONSENT } = LEGAL_CONFIG;
 
 function Upload() {
   const [files, setFiles] = useState([]);
@@ -23,6 +79,20 @@ function Upload() {
   const [events, setEvents] = useState([]);
   const [loadingEvents, setLoadingEvents] = useState(true);
   const [eventDropdownOpen, setEventDropdownOpen] = useState(false);
+  const [uploadError, setUploadError] = useState("");
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [isResuming, setIsResuming] = useState(false);
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  // Entry id -> { type } for files the server already has in the selected event
+  const [serverDuplicates, setServerDuplicates] = useState({});
+  const [posterPickerId, setPosterPickerId] = useState(null);
+  const [isCameraOpen, setIsCameraOpen] = useState(false);
+  const [linkedEventError, setLinkedEventError] = useState("");
+  // Files that weren't added, with the reason they were turned away
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const [compressionSettings, setCompressionSettings] = useState(
+    UPLOAD_CONFIG.IMAGE_COMPRESSION.DEFAULTS
+  );
   const [formData, setFormData] = useState({
     instagram: "",
     event: "",
@@ -30,36 +100,106 @@ function Upload() {
     description: "",
     isAnon: false,
     consent: false,
+    consentedAt: null,
   });
   const fileInputRef = useRef(null);
+  const { uploads, uploadAll, uploadOne, cancelUpload, removeUpload, clearUploads } =
+    useFileUploads();
+  useImageCompression(files, setFiles, compressionSettings);
+  usePhotoMetadata(files, setFiles);
+  useFileHashes(files, setFiles);
+  useVideoPosters(files, setFiles);
+  const uploadPolicy = useUploadPolicy(formData.eventId);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Files already uploaded don't belong in a draft
+  const draftFiles = useMemo(
+    () =>
+      files.filter((file) => uploads[file.id]?.status !== UPLOAD_STATUS.DONE),
+    [files, uploads]
+  );
+  const {
+    draft,
+    restoreDraft,
+    discardDraft,
+    saveDraftNow,
+    clearDraft,
+  } = useUploadDraft(draftFiles, formData);
+
+  const selectionDuplicates = useMemo(
+    () => findSelectionDuplicates(files),
+    [files]
+  );
 
-  const fetchEventsFromAPI = async () => {
-    try {
-      setLoadingEvents(true);
-      const token = localStorage.getItem("token");
-      const tokenType = localStorage.getItem("tokenType") || "Bearer";
+  const getDuplicate = (entry) => {
+    const serverDuplicate = serverDuplicates[entry.id];
+    if (serverDuplicate) return { ...serverDuplicate, source: "server" };
 
-      const headers = {
-        "Content-Type": "application/json",
-        "ngrok-skip-browser-warning": "true",
-      };
+    const selectionDuplicate = selectionDuplicates.get(entry.id);
+    return selectionDuplicate && { ...selectionDuplicate, source: "selection" };
+  };
 
-      if (token) {
-        headers["Authorization"] = `${tokenType} ${token}`;
-      }
+  // Exact copies are never sent; near-duplicates are only flagged
+  const isSkippedDuplicate = (entry) =>
+    getDuplicate(entry)?.type === DUPLICATE_TYPE.EXACT;
+
+  // Entries as they should be uploaded: optimized images swapped in, location
+  // and device details stripped unless kept, per-file details (caption, tags,
+  // capture time, content hashes, video duration and resolution) and video
+  // posters attached
+  const toUploadEntry = (entry) => ({
+    ...entry,
+    file: getUploadableFile(
+      { ...entry, file: getPrivacySafeFile(entry) },
+      compressionSettings
+    ),
+    fields: {
+      ...getDetailFields(entry),
+      ...getPhotoFields(entry),
+      ...getHashFields(entry),
+      ...getVideoFields(entry),
+    },
+    poster: getPosterFile(entry),
+  });
 
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.EVENTS}`,
+  // Ask the server which files the selected event already has. Lookup
+  // failures never block an upload.
+  const checkServerDuplicates = async (entries) => {
+    const hashed = entries.filter((entry) => entry.hashes?.sha256);
+    if (hashed.length === 0) return {};
+
+    try {
+      const { exact = [], similar = [] } = await api.upload.findDuplicates(
+        formData.eventId,
         {
-          headers,
+          hashes: hashed.map((entry) => entry.hashes.sha256),
+          perceptualHashes: hashed
+            .map((entry) => entry.hashes.perceptualHash)
+            .filter(Boolean),
         }
       );
 
-      if (!response.ok) {
-        throw new Error("Failed to fetch events");
-      }
+      const found = {};
+      hashed.forEach((entry) => {
+        const { sha256, perceptualHash } = entry.hashes;
+        if (exact.includes(sha256)) {
+          found[entry.id] = { type: DUPLICATE_TYPE.EXACT };
+        } else if (similar.some((hash) => isSimilarHash(hash, perceptualHash))) {
+          found[entry.id] = { type: DUPLICATE_TYPE.SIMILAR };
+        }
+      });
+      return found;
+    } catch (error) {
+      console.warn("Duplicate lookup failed, uploading without it:", error);
+      return {};
+    }
+  };
 
-      const eventsData = await response.json();
+  const fetchEventsFromAPI = async () => {
+    try {
+      setLoadingEvents(true);
+      const eventsData = await api.events.list();
       setEvents(eventsData);
     } catch (error) {
       console.error("Error fetching events:", error);
@@ -69,9 +209,18 @@ function Upload() {
     }
   };
 
+  const loadPendingUploads = async () => {
+    try {
+      setPendingUploads(await getPendingChunkedUploads());
+    } catch (error) {
+      console.error("Error loading interrupted uploads:", error);
+    }
+  };
+
   // Fetch events when component mounts
   useEffect(() => {
     fetchEventsFromAPI();
+    loadPendingUploads();
 
     // Auto-populate user info from authentication
     const userInfo = localStorage.getItem("user");
@@ -85,6 +234,28 @@ function Upload() {
     }
   }, []);
 
+  // /upload?event=<id> links (e.g. venue QR codes) preselect a known event
+  const linkedEventId = new URLSearchParams(location.search).get("event");
+  useEffect(() => {
+    if (!linkedEventId || loadingEvents) return;
+
+    const linkedEvent = events.find(
+      (event) => String(event.id) === linkedEventId
+    );
+    if (linkedEvent) {
+      setFormData((prev) => ({
+        ...prev,
+        event: linkedEvent.name,
+        eventId: linkedEvent.id,
+      }));
+      setLinkedEventError("");
+    } else {
+      setLinkedEventError(
+        "The event in this link couldn't be found. Please choose one below."
+      );
+    }
+  }, [linkedEventId, events, loadingEvents]);
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -111,127 +282,142 @@ function Upload() {
     await handleFiles(selectedFiles);
   };
 
-  const handleFiles = async (newFiles) => {
+  // Build a page entry with a preview for a validated file
+  const createFileEntry = async (file) => {
+    try {
+      const isHeic = isHeicFile(file);
+
+      let processedFile = file;
+      let preview = null;
+
+      if (isHeic) {
+        try {
+          console.log(
+            `Converting HEIC file: ${file.name}, size: ${file.size} bytes`
+          );
+
+          // Convert HEIC to JPEG for preview in the shared worker pool
+          const finalBlob = await convertHeicFile(file);
+
+          // Verify the conversion result
+          if (
+            finalBlob &&
+            finalBlob instanceof Blob &&
+            finalBlob.size > 0
+          ) {
+            preview = URL.createObjectURL(finalBlob);
+            console.log(
+              `✅ HEIC conversion successful for: ${file.name}, converted size: ${finalBlob.size} bytes, preview URL: ${preview}`
+            );
+          } else {
+            console.warn(
+              `❌ HEIC conversion result is not a valid blob for: ${file.name}`,
+              finalBlob
+            );
+            preview = null;
+          }
+        } catch (conversionError) {
+          console.error(
+            `❌ HEIC conversion failed for ${file.name}:`,
+            conversionError
+          );
+          console.error("Error details:", {
+            name: conversionError.name,
+            message: conversionError.message,
+            stack: conversionError.stack,
+          });
+          preview = null; // Will show fallback
+        }
+      } else {
+        try {
+          // For non-HEIC files, create normal preview
+          preview = URL.createObjectURL(file);
+          console.log(`✅ Normal preview created for: ${file.name}`);
+        } catch (previewError) {
+          console.error(
+            `❌ Failed to create preview for: ${file.name}`,
+            previewError
+          );
+          preview = null;
+        }
+      }
+
+      return {
+        file: processedFile, // Always keep original file
+        id: Date.now() + Math.random(),
+        preview: preview,
+        type: getMediaKind(getFileMimeType(file)),
+      };
+    } catch (error) {
+      console.error(`Error processing file ${file.name}:`, error);
+      return {
+        file,
+        id: Date.now() + Math.random(),
+        preview: null, // No preview if processing fails
+        type: getMediaKind(getFileMimeType(file)),
+      };
+    }
+  };
+
+  // Rebuild the saved entries (previews are recreated; hashes, metadata and
+  // compression are redone by their hooks) and put the form back
+  const handleRestoreDraft = async () => {
+    const saved = restoreDraft();
     setIsProcessingFiles(true);
+    setFormData((prev) => ({ ...prev, ...saved.formData }));
+
+    const restored = await Promise.all(
+      saved.entries.map(async ({ file, video, ...entry }) => ({
+        ...(await createFileEntry(file)),
+        ...entry,
+        ...(video && {
+          video: { ...video, posterUrl: URL.createObjectURL(video.poster) },
+        }),
+      }))
+    );
+    setFiles((prev) => [...prev, ...restored]);
+    setIsProcessingFiles(false);
+  };
 
-    const validFiles = newFiles.filter((file) => {
-      const isImage = file.type.startsWith("image/");
-      const isVideo = file.type.startsWith("video/");
+  const handleFiles = async (newFiles) => {
+    setIsProcessingFiles(true);
 
-      // Check for HEIC files by extension since MIME type might not be recognized
-      const fileName = file.name.toLowerCase();
-      const isHeic = fileName.endsWith(".heic") || fileName.endsWith(".heif");
+    const validFiles = [];
+    const rejected = [];
+    const { maxFilesPerBatch } = uploadPolicy;
+    // Files come back labelled with the type sniffed from their contents
+    const results = await Promise.all(
+      newFiles.map((file) => validateFile(file, uploadPolicy))
+    );
 
-      const isValidSize = file.size <= 100 * 1024 * 1024; // 100MB limit
+    results.forEach(({ file, reason: validationReason }) => {
+      let reason = validationReason;
+
+      if (
+        !reason &&
+        maxFilesPerBatch &&
+        files.length + validFiles.length >= maxFilesPerBatch
+      ) {
+        reason = {
+          code: REJECTION_REASON.TOO_MANY_FILES,
+          message: `Only ${maxFilesPerBatch} files can be uploaded at once`,
+        };
+      }
 
-      // Enhanced logging for debugging
       console.log(
-        `File validation - Name: ${file.name}, Type: "${file.type}", Size: ${file.size}, isImage: ${isImage}, isVideo: ${isVideo}, isHeic: ${isHeic}, isValidSize: ${isValidSize}`
+        `File validation - Name: ${file.name}, Type: "${file.type}", Size: ${file.size}, Rejected: ${reason?.code || "no"}`
       );
 
-      return (isImage || isVideo || isHeic) && isValidSize;
+      if (reason) {
+        rejected.push({ id: Date.now() + Math.random(), file, reason });
+      } else {
+        validFiles.push(file);
+      }
     });
+    setRejectedFiles((prev) => [...prev, ...rejected]);
 
     const filesWithPreviews = await Promise.all(
-      validFiles.map(async (file) => {
-        try {
-          const fileName = file.name.toLowerCase();
-          const isHeic =
-            fileName.endsWith(".heic") || fileName.endsWith(".heif");
-
-          let processedFile = file;
-          let preview = null;
-
-          if (isHeic) {
-            try {
-              console.log(
-                `Converting HEIC file: ${file.name}, size: ${file.size} bytes`
-              );
-
-              // Check if heic2any is available
-              if (typeof heic2any !== "function") {
-                throw new Error("heic2any library not available");
-              }
-
-              // Convert HEIC to JPEG for preview
-              console.log("Starting HEIC conversion...");
-              const convertedBlob = await heic2any({
-                blob: file,
-                toType: "image/jpeg",
-                quality: 0.8,
-              });
-
-              console.log("Conversion result:", convertedBlob);
-
-              // heic2any sometimes returns an array, sometimes a single blob
-              const finalBlob = Array.isArray(convertedBlob)
-                ? convertedBlob[0]
-                : convertedBlob;
-
-              // Verify the conversion result
-              if (
-                finalBlob &&
-                finalBlob instanceof Blob &&
-                finalBlob.size > 0
-              ) {
-                preview = URL.createObjectURL(finalBlob);
-                console.log(
-                  `✅ HEIC conversion successful for: ${file.name}, converted size: ${finalBlob.size} bytes, preview URL: ${preview}`
-                );
-              } else {
-                console.warn(
-                  `❌ HEIC conversion result is not a valid blob for: ${file.name}`,
-                  finalBlob
-                );
-                preview = null;
-              }
-            } catch (conversionError) {
-              console.error(
-                `❌ HEIC conversion failed for ${file.name}:`,
-                conversionError
-              );
-              console.error("Error details:", {
-                name: conversionError.name,
-                message: conversionError.message,
-                stack: conversionError.stack,
-              });
-              preview = null; // Will show fallback
-            }
-          } else {
-            try {
-              // For non-HEIC files, create normal preview
-              preview = URL.createObjectURL(file);
-              console.log(`✅ Normal preview created for: ${file.name}`);
-            } catch (previewError) {
-              console.error(
-                `❌ Failed to create preview for: ${file.name}`,
-                previewError
-              );
-              preview = null;
-            }
-          }
-
-          return {
-            file: processedFile, // Always keep original file
-            id: Date.now() + Math.random(),
-            preview: preview,
-            type: file.type.startsWith("image/") || isHeic ? "image" : "video",
-          };
-        } catch (error) {
-          console.error(`Error processing file ${file.name}:`, error);
-          return {
-            file,
-            id: Date.now() + Math.random(),
-            preview: null, // No preview if processing fails
-            type:
-              file.type.startsWith("image/") ||
-              file.name.toLowerCase().endsWith(".heic") ||
-              file.name.toLowerCase().endsWith(".heif")
-                ? "image"
-                : "video",
-          };
-        }
-      })
+      validFiles.map(createFileEntry)
     );
 
     console.log(
@@ -241,28 +427,123 @@ function Upload() {
     setIsProcessingFiles(false);
   };
 
+  useSharedFiles(handleFiles);
+
   const removeFile = (fileId) => {
+    const fileToRemove = files.find((f) => f.id === fileId);
+    const status = uploads[fileId]?.status;
+
+    // Drop any half-finished chunked session so it doesn't come back as "interrupted"
+    if (
+      fileToRemove &&
+      formData.eventId &&
+      (status === UPLOAD_STATUS.FAILED || status === UPLOAD_STATUS.CANCELLED)
+    ) {
+      discardChunkedUploadFor(formData.eventId, toUploadEntry(fileToRemove).file)
+        .then(loadPendingUploads)
+        .catch((error) => console.error("Error discarding upload session:", error));
+    }
+
+    removeUpload(fileId);
     setFiles((prev) => {
       const fileToRemove = prev.find((f) => f.id === fileId);
       if (fileToRemove) {
         URL.revokeObjectURL(fileToRemove.preview);
+        if (fileToRemove.video?.posterUrl) {
+          URL.revokeObjectURL(fileToRemove.video.posterUrl);
+        }
       }
       return prev.filter((f) => f.id !== fileId);
     });
   };
 
+  const handlePosterSelect = (fileId, { poster, posterTime }) => {
+    const previousUrl = files.find((f) => f.id === fileId)?.video?.posterUrl;
+    if (previousUrl) {
+      URL.revokeObjectURL(previousUrl);
+    }
+
+    const posterUrl = URL.createObjectURL(poster);
+    setFiles((prev) =>
+      prev.map((f) =>
+        f.id === fileId
+          ? { ...f, video: { ...f.video, poster, posterTime, posterUrl } }
+          : f
+      )
+    );
+    setPosterPickerId(null);
+  };
+
+  // Move entries that break the upload policy out of the selection and into
+  // the rejected list
+  const rejectEntries = (violations) => {
+    setRejectedFiles((prev) => [
+      ...prev,
+      ...violations.map(({ entry, reason }) => ({
+        id: entry.id,
+        file: entry.file,
+        reason,
+      })),
+    ]);
+    violations.forEach(({ entry }) => removeFile(entry.id));
+  };
+
+  const dismissRejected = (rejectedId) => {
+    setRejectedFiles((prev) => prev.filter((r) => r.id !== rejectedId));
+  };
+
+  // A fixed file replaces its rejection and goes through validation again
+  const handleRejectedFixed = (rejected, fixedFile) => {
+    dismissRejected(rejected.id);
+    handleFiles([fixedFile]);
+  };
+
+  const updateFileDetails = (fileId, details) => {
+    setFiles((prev) =>
+      prev.map((f) => (f.id === fileId ? { ...f, details } : f))
+    );
+  };
+
+  // Copy one file's caption and tags to the rest; people counts stay per file
+  const applyDetailsToAll = (fileId) => {
+    const source = files.find((f) => f.id === fileId)?.details;
+    if (!source) return;
+
+    setFiles((prev) =>
+      prev.map((f) =>
+        uploads[f.id]?.status === UPLOAD_STATUS.DONE
+          ? f
+          : {
+              ...f,
+              details: {
+                ...EMPTY_FILE_DETAILS,
+                ...f.details,
+                caption: source.caption,
+                tags: source.tags,
+              },
+            }
+      )
+    );
+  };
+
+  const toggleKeepMetadata = (fileId) => {
+    setFiles((prev) =>
+      prev.map((f) =>
+        f.id === fileId ? { ...f, keepMetadata: !f.keepMetadata } : f
+      )
+    );
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
 
-    // Handle Instagram validation (similar to backend pattern)
+    // Handle Instagram validation (pattern and length come from the upload policy)
     if (name === "instagram") {
-      // Only allow letters, numbers, dots, and underscores
-      const instagramPattern = /^[a-zA-Z0-9._]*$/;
-      if (value && !instagramPattern.test(value)) {
+      const { pattern, maxLength } = uploadPolicy.instagramHandle;
+      if (value && !new RegExp(pattern).test(value)) {
         return; // Don't update if invalid characters
       }
-      // Limit to 30 characters
-      if (value.length > 30) {
+      if (value.length > maxLength) {
         return;
       }
     }
@@ -270,15 +551,24 @@ function Upload() {
     setFormData((prev) => ({
       ...prev,
       [name]: type === "checkbox" ? checked : value,
+      // When the consent text was agreed to, recorded with each upload
+      ...(name === "consent" && {
+        consentedAt: checked ? new Date().toISOString() : null,
+      }),
     }));
   };
 
   const handleEventSelect = (eventName, eventId) => {
+    // Server duplicate checks are per event
+    if (eventId !== formData.eventId) {
+      setServerDuplicates({});
+    }
     setFormData((prev) => ({
       ...prev,
       event: eventName,
       eventId: eventId,
     }));
+    setLinkedEventError("");
     setEventDropdownOpen(false);
   };
 
@@ -299,131 +589,322 @@ function Upload() {
     });
   };
 
+  const getUploadContext = () => ({
+    eventId: formData.eventId,
+    // For Spring Boot endpoint with @PathVariable and @RequestParam,
+    // we send individual form parameters instead of a JSON object.
+    metadata: {
+      anon: formData.isAnon,
+      ...(formData.instagram && { instagramHandle: formData.instagram }),
+      ...(formData.description && { description: formData.description }),
+      consentVersion: UPLOAD_CONSENT.VERSION,
+      consentedAt: formData.consentedAt,
+    },
+  });
+
+  const finishUpload = ({ queued = false } = {}) => {
+    setQueuedOffline(queued);
+    setUploadComplete(true);
+    clearDraft();
+
+    // Clear form after successful upload
+    setTimeout(() => {
+      setFiles([]);
+      clearUploads();
+      setServerDuplicates({});
+      setRejectedFiles([]);
+      setFormData({
+        instagram: "",
+        event: "",
+        eventId: "",
+        description: "",
+        isAnon: false,
+        consent: false,
+        consentedAt: null,
+      });
+      setUploadComplete(false);
+    }, 3000);
+  };
+
+  // Keep the selection so it can be restored after signing back in
+  const signInAgain = async () => {
+    await saveDraftNow();
+    navigate("/login", {
+      state: {
+        from: location,
+        message:
+          "Your session expired. Sign in again to pick up your upload where you left off.",
+      },
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (files.length === 0 || !formData.consent || !formData.eventId) return;
+    if (files.some(needsMetadataDecision)) return;
 
     // Validate authentication before starting upload
     const token = localStorage.getItem("token");
     const userInfo = localStorage.getItem("user");
 
     if (!token || !userInfo) {
-      alert("Authentication expired. Please sign in again.");
-      window.location.href = "/login";
+      await signInAgain();
       return;
     }
 
     setIsUploading(true);
+    setUploadError("");
 
-    try {
-      // For Spring Boot endpoint with @PathVariable and @RequestParam,
-      // we send individual form parameters instead of a JSON object.
-
-      // Create FormData for multipart request
-      const uploadData = new FormData();
-
-      // Add files as request parameters with corrected MIME types
-      files.forEach((file) => {
-        const fileName = file.file.name.toLowerCase();
-        const isHeic = fileName.endsWith(".heic") || fileName.endsWith(".heif");
-
-        // Fix MIME type for HEIC files if browser didn't set it correctly
-        if (
-          isHeic &&
-          (file.file.type === "application/octet-stream" ||
-            file.file.type === "" ||
-            !file.file.type.startsWith("image/"))
-        ) {
-          // Create a new File object with the correct MIME type
-          const correctedFile = new File([file.file], file.file.name, {
-            type: "image/heic",
-            lastModified: file.file.lastModified,
-          });
-          console.log(
-            `Fixed MIME type for HEIC file: ${file.file.name} from "${file.file.type}" to "image/heic"`
-          );
-          uploadData.append("files", correctedFile);
-        } else {
-          uploadData.append("files", file.file);
-        }
-      });
+    let remaining = files.filter(
+      (file) =>
+        uploads[file.id]?.status !== UPLOAD_STATUS.DONE &&
+        !isSkippedDuplicate(file)
+    );
 
-      // Add other parameters as individual form fields
-      if (formData.instagram) {
-        uploadData.append("instagramHandle", formData.instagram);
-      }
+    // The selected event may have stricter rules than when the files were added
+    const violations = remaining
+      .map((entry) => ({
+        entry,
+        reason: validateFileAgainstPolicy(entry.file, uploadPolicy),
+      }))
+      .filter(({ reason }) => reason);
+    if (violations.length > 0) {
+      rejectEntries(violations);
+      setUploadError(
+        `${violations.length} ${
+          violations.length === 1 ? "file isn't" : "files aren't"
+        } accepted for this event and ${
+          violations.length === 1 ? "was" : "were"
+        } removed. See the list above for details.`
+      );
+      setIsUploading(false);
+      return;
+    }
 
-      if (formData.description) {
-        uploadData.append("description", formData.description);
-      }
+    const { maxFilesPerBatch } = uploadPolicy;
+    if (maxFilesPerBatch && remaining.length > maxFilesPerBatch) {
+      setUploadError(
+        `This event accepts up to ${maxFilesPerBatch} files per upload. Remove ${
+          remaining.length - maxFilesPerBatch
+        } and try again.`
+      );
+      setIsUploading(false);
+      return;
+    }
 
-      // Add anon parameter (required, so always send it)
-      uploadData.append("anon", formData.isAnon);
+    // Stop once so the user can review files the event already has; a second
+    // submit goes ahead (exact copies are still skipped)
+    if (navigator.onLine) {
+      const found = await checkServerDuplicates(remaining);
+      const newlyFound = remaining.filter(
+        (file) => found[file.id] && !serverDuplicates[file.id]
+      );
 
-      // Get authentication token
-      const tokenType = localStorage.getItem("tokenType") || "Bearer";
+      if (newlyFound.length > 0) {
+        setServerDuplicates((prev) => ({ ...prev, ...found }));
+        const exactCount = newlyFound.filter(
+          (file) => found[file.id].type === DUPLICATE_TYPE.EXACT
+        ).length;
+        const similarCount = newlyFound.length - exactCount;
+        setUploadError(
+          [
+            exactCount > 0 &&
+              `${exactCount} ${
+                exactCount === 1 ? "file is" : "files are"
+              } already in this event and will be skipped.`,
+            similarCount > 0 &&
+              `${similarCount} ${
+                similarCount === 1 ? "photo looks" : "photos look"
+              } like existing uploads.`,
+            "Review the flagged files, then submit again.",
+          ]
+            .filter(Boolean)
+            .join(" ")
+        );
+        setIsUploading(false);
+        return;
+      }
 
-      // For FormData uploads, don't set Content-Type - let browser set it automatically
-      const headers = {
-        "ngrok-skip-browser-warning": "true",
-      };
+      remaining = remaining.filter(
+        (file) => found[file.id]?.type !== DUPLICATE_TYPE.EXACT
+      );
+    }
 
-      if (token) {
-        headers["Authorization"] = `${tokenType} ${token}`;
+    if (remaining.length === 0) {
+      setUploadError(
+        "Everything you selected has already been uploaded. Add new files to continue."
+      );
+      setIsUploading(false);
+      return;
+    }
+
+    // Offline: save the submission and let the service worker send it later
+    if (!navigator.onLine) {
+      try {
+        const { eventId, metadata } = getUploadContext();
+        await enqueueSubmission({
+          eventId,
+          eventName: formData.event,
+          metadata,
+          files: remaining.map((file) => {
+            const { file: uploadable, fields, poster } = toUploadEntry(file);
+            return { file: uploadable, fields, poster };
+          }),
+        });
+        finishUpload({ queued: true });
+      } catch (error) {
+        console.error("Error queueing offline upload:", error);
+        setUploadError(
+          "You're offline and this submission couldn't be saved for later. Please try again once you're connected."
+        );
+      } finally {
+        setIsUploading(false);
       }
+      return;
+    }
 
-      // Make actual API call to Spring Boot backend with eventId in path
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.UPLOAD}/${formData.eventId}/batch`,
-        {
-          method: "POST",
-          headers,
-          body: uploadData,
-        }
+    // Each file is sent on its own so one failure doesn't sink the whole batch;
+    // files that already went through are skipped when the form is resubmitted.
+    // The stored token can still be rejected by the server once it expires
+    let allSucceeded;
+    try {
+      allSucceeded = await uploadAll(
+        remaining.map(toUploadEntry),
+        getUploadContext()
       );
+    } catch (error) {
+      setIsUploading(false);
+      if (!error.isUnauthorized) throw error;
+      await signInAgain();
+      return;
+    }
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`${errorData.message || "Upload failed"}`);
-      }
+    setIsUploading(false);
 
-      // Handle different response types from backend
-      let result;
-      const contentType = response.headers.get("content-type");
+    if (allSucceeded) {
+      finishUpload();
+    } else {
+      await loadPendingUploads();
+      setUploadError(
+        "Some files didn't upload. Use Retry on those files, or submit again to retry all of them."
+      );
+    }
+  };
 
-      if (contentType && contentType.includes("application/json")) {
-        result = await response.json();
-      } else {
-        // Backend returned plain text or HTML
-        result = { message: await response.text() };
-      }
+  const handleRetry = async (fileId) => {
+    const file = files.find((f) => f.id === fileId);
+    if (!file || !formData.eventId) return;
 
-      setIsUploading(false);
-      setUploadComplete(true);
+    setUploadError("");
+    let succeeded;
+    try {
+      succeeded = await uploadOne(toUploadEntry(file), getUploadContext());
+    } catch (error) {
+      if (!error.isUnauthorized) throw error;
+      await signInAgain();
+      return;
+    }
+
+    const othersDone = files.every(
+      (f) => f.id === fileId || uploads[f.id]?.status === UPLOAD_STATUS.DONE
+    );
+    if (succeeded && othersDone) {
+      finishUpload();
+    }
+  };
 
-      // Clear form after successful upload
-      setTimeout(() => {
-        setFiles([]);
-        setFormData({
-          instagram: "",
-          event: "",
-          eventId: "",
-          description: "",
-          isAnon: false,
-          consent: false,
+  const handleResumePending = async () => {
+    setIsResuming(true);
+    setUploadError("");
+
+    try {
+      for (const upload of pendingUploads) {
+        await resumeChunkedUpload(upload, {
+          onProgress: (uploaded) => {
+            setPendingUploads((prev) =>
+              prev.map((pending) =>
+                pending.fingerprint === upload.fingerprint
+                  ? { ...pending, offset: uploaded }
+                  : pending
+              )
+            );
+          },
         });
-        setUploadComplete(false);
-      }, 3000);
+      }
+      setUploadComplete(true);
     } catch (error) {
-      console.error("Upload error:", error);
-      setIsUploading(false);
-      alert(`${error.message}`);
+      if (error.isUnauthorized) {
+        await signInAgain();
+        return;
+      }
+      console.error("Resume error:", error);
+      setUploadError(error.message);
+    } finally {
+      setIsResuming(false);
+      await loadPendingUploads();
     }
   };
 
+  const handleDiscardPending = async () => {
+    if (!confirm("Discard all interrupted uploads?")) return;
+
+    await Promise.all(pendingUploads.map((upload) => discardChunkedUpload(upload)));
+    await loadPendingUploads();
+  };
+
   const isFormValid =
     files.length > 0 && formData.event && formData.eventId && formData.consent;
 
+  const canUseCamera =
+    isCameraSupported() && getCaptureModes(uploadPolicy).length > 0;
+
+  const totalBytes = files
+    .filter((file) => !isSkippedDuplicate(file))
+    .reduce((sum, file) => sum + toUploadEntry(file).file.size, 0);
+  const uploadedBytes = files.reduce(
+    (sum, file) => sum + (uploads[file.id]?.uploaded || 0),
+    0
+  );
+  const overallProgress = totalBytes
+    ? Math.round((uploadedBytes / totalBytes) * 100)
+    : 0;
+
+  const isOptimizing =
+    compressionSettings.enabled &&
+    files.some(
+      (file) => file.compression?.status === COMPRESSION_STATUS.PROCESSING
+    );
+  const isPreparingFiles =
+    isOptimizing ||
+    files.some(
+      (file) =>
+        isReadingPhotoMetadata(file) ||
+        isHashingFile(file) ||
+        isReadingVideo(file)
+    );
+  // Photos whose location couldn't be removed wait for a keep/remove choice
+  const awaitingMetadataDecision = files.some(needsMetadataDecision);
+  const optimizedSavings = compressionSettings.enabled
+    ? files.reduce(
+        (sum, file) =>
+          sum + file.file.size - getUploadableFile(file, compressionSettings).size,
+        0
+      )
+    : 0;
+
+  const handleCompressionChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCompressionSettings((prev) => ({
+      ...prev,
+      [name]:
+        type === "checkbox"
+          ? checked
+          : name === "format"
+          ? value
+          : Number(value),
+    }));
+  };
+
   if (uploadComplete) {
     return (
       <div className="max-w-2xl mx-auto">
@@ -432,11 +913,12 @@ function Upload() {
             <Check className="h-8 w-8 text-white" />
           </div>
           <h2 className="text-2xl font-bold text-gray-900 mb-3">
-            Upload Successful!
+            {queuedOffline ? "Saved for Upload" : "Upload Successful!"}
           </h2>
           <p className="text-gray-600 mb-6">
-            Thank you for sharing your memories! We'll review your submission
-            and may feature it on our social media.
+            {queuedOffline
+              ? "You're offline, so your submission has been saved on this device. It will upload automatically when you're back online."
+              : "Thank you for sharing your memories! We'll review your submission and may feature it on our social media."}
           </p>
           <button
             onClick={() => setUploadComplete(false)}
@@ -475,6 +957,109 @@ function Upload() {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-8">
+        {/* Submissions saved while offline, replayed by the service worker */}
+        <PendingUploadsPanel />
+
+        {/* Unfinished submission autosaved on a previous visit */}
+        {draft && (
+          <div className="bg-blue-50 rounded-lg border border-blue-200 p-6">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center space-x-2">
+                  <History className="h-5 w-5 text-blue-600" />
+                  <span>Unfinished Upload</span>
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {draft.entries.length}{" "}
+                  {draft.entries.length === 1 ? "file" : "files"}
+                  {draft.formData.event && ` for ${draft.formData.event}`},
+                  saved {new Date(draft.savedAt).toLocaleString()}. Restore
+                  it to continue where you left off.
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 shrink-0">
+                <button
+                  type="button"
+                  onClick={handleRestoreDraft}
+                  disabled={isUploading}
+                  className="inline-flex items-center space-x-1 bg-blue-600 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                  <span>Restore</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={discardDraft}
+                  disabled={isUploading}
+                  className="inline-flex items-center space-x-1 border border-gray-300 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span>Discard</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Interrupted chunked uploads saved from a previous visit */}
+        {pendingUploads.length > 0 && (
+          <div className="bg-amber-50 rounded-lg border border-amber-200 p-6">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">
+                  Interrupted Uploads
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {pendingUploads.length === 1
+                    ? "1 upload was interrupted"
+                    : `${pendingUploads.length} uploads were interrupted`}
+                  . Resume to continue from where it stopped.
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 shrink-0">
+                <button
+                  type="button"
+                  onClick={handleResumePending}
+                  disabled={isUploading || isResuming}
+                  className="inline-flex items-center space-x-1 bg-blue-600 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RotateCcw
+                    className={`h-4 w-4 ${isResuming ? "animate-spin" : ""}`}
+                  />
+                  <span>{isResuming ? "Resuming..." : "Resume"}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDiscardPending}
+                  disabled={isUploading || isResuming}
+                  className="inline-flex items-center space-x-1 border border-gray-300 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span>Discard</span>
+                </button>
+              </div>
+            </div>
+            <ul className="mt-4 space-y-2">
+              {pendingUploads.map((upload) => (
+                <li key={upload.fingerprint} className="text-sm">
+                  <div className="flex items-center justify-between text-gray-700 mb-1">
+                    <span className="truncate font-medium">{upload.fileName}</span>
+                    <span className="text-gray-500 ml-2">
+                      {Math.round((upload.offset / upload.fileSize) * 100)}%
+                    </span>
+                  </div>
+                  <div className="h-1.5 bg-amber-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-amber-500"
+                      style={{ width: `${(upload.offset / upload.fileSize) * 100}%` }}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* File Upload Area */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -512,77 +1097,167 @@ function Upload() {
                     browse
                   </button>
                 </p>
+                {canUseCamera && (
+                  <button
+                    type="button"
+                    onClick={() => setIsCameraOpen(true)}
+                    className="inline-flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors mb-3"
+                  >
+                    <Camera className="h-4 w-4" />
+                    <span>Use camera</span>
+                  </button>
+                )}
                 <p className="text-sm text-gray-500">
-                  Supports: Images (JPG, PNG, HEIC) and Videos (MP4, MOV, AVI)
-                  up to 100MB
+                  Supports: {describeUploadPolicy(uploadPolicy)}
                 </p>
+                {uploadPolicy.maxFilesPerBatch && (
+                  <p className="text-sm text-gray-500">
+                    Up to {uploadPolicy.maxFilesPerBatch} files per upload
+                  </p>
+                )}
               </>
             )}
             <input
               ref={fileInputRef}
               type="file"
               multiple
-              accept="image/*,video/*,.heic,.heif"
+              accept={getAcceptAttribute(uploadPolicy)}
               onChange={handleFileSelect}
               className="hidden"
             />
           </div>
 
-          {files.length > 0 && (
-            <div className="mt-6 grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-              {files.map((file) => (
-                <div key={file.id} className="relative group">
-                  <div className="aspect-square rounded-lg overflow-hidden bg-gray-50 border border-gray-200 hover:border-gray-300 transition-colors">
-                    {file.type === "image" ? (
-                      file.preview ? (
-                        <img
-                          src={file.preview}
-                          alt={file.file.name}
-                          className="w-full h-full object-cover"
-                          onError={(e) => {
-                            console.log(
-                              `Preview failed for ${file.file.name}, showing placeholder`
-                            );
-                            e.target.style.display = "none";
-                            e.target.nextSibling.style.display = "flex";
-                          }}
-                        />
-                      ) : null
-                    ) : (
-                      <div className="w-full h-full flex items-center justify-center bg-gray-100">
-                        <Video className="h-12 w-12 text-gray-400" />
-                      </div>
-                    )}
-                    {/* Fallback for images that can't be previewed (like HEIC) */}
-                    <div
-                      className="w-full h-full flex flex-col items-center justify-center text-center p-2 bg-gray-50"
-                      style={{
-                        display:
-                          file.type === "image" && !file.preview
-                            ? "flex"
-                            : "none",
-                      }}
+          <RejectedFilesPanel
+            rejectedFiles={rejectedFiles}
+            policy={uploadPolicy}
+            onFixed={handleRejectedFixed}
+            onDismiss={dismissRejected}
+            onDismissAll={() => setRejectedFiles([])}
+          />
+
+          {/* Optional client-side image optimization */}
+          {isImageProcessingSupported() && (
+            <div className="mt-4 rounded-lg border border-gray-200 p-4">
+              <label className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  name="enabled"
+                  checked={compressionSettings.enabled}
+                  onChange={handleCompressionChange}
+                  className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div>
+                  <span className="text-sm font-medium text-gray-700 flex items-center space-x-1">
+                    <ImageDown className="h-4 w-4" />
+                    <span>Reduce image size before uploading</span>
+                  </span>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Resizes and re-encodes photos on your device to save mobile
+                    data. Videos are sent as-is.
+                  </p>
+                </div>
+              </label>
+
+              {compressionSettings.enabled && (
+                <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label
+                      htmlFor="maxDimension"
+                      className="block text-xs font-medium text-gray-700 mb-1"
                     >
-                      <Image className="h-8 w-8 text-gray-400 mb-2" />
-                      <p className="text-xs text-gray-600 font-medium truncate w-full">
-                        {file.file.name}
-                      </p>
-                      <p className="text-xs text-gray-500">
-                        {(file.file.size / 1024 / 1024).toFixed(1)} MB
-                      </p>
-                    </div>
+                      Max size
+                    </label>
+                    <select
+                      id="maxDimension"
+                      name="maxDimension"
+                      value={compressionSettings.maxDimension}
+                      onChange={handleCompressionChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {UPLOAD_CONFIG.IMAGE_COMPRESSION.MAX_DIMENSIONS.map(
+                        (dimension) => (
+                          <option key={dimension} value={dimension}>
+                            {dimension}px
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="format"
+                      className="block text-xs font-medium text-gray-700 mb-1"
+                    >
+                      Format
+                    </label>
+                    <select
+                      id="format"
+                      name="format"
+                      value={compressionSettings.format}
+                      onChange={handleCompressionChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {UPLOAD_CONFIG.IMAGE_COMPRESSION.FORMATS.map((format) => (
+                        <option key={format.value} value={format.value}>
+                          {format.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="quality"
+                      className="block text-xs font-medium text-gray-700 mb-1"
+                    >
+                      Quality ({Math.round(compressionSettings.quality * 100)}%)
+                    </label>
+                    <input
+                      type="range"
+                      id="quality"
+                      name="quality"
+                      min="0.5"
+                      max="0.95"
+                      step="0.05"
+                      value={compressionSettings.quality}
+                      onChange={handleCompressionChange}
+                      className="w-full"
+                    />
                   </div>
-                  <button
-                    type="button"
-                    onClick={() => removeFile(file.id)}
-                    className="absolute -top-2 -right-2 bg-red-500 hover:bg-red-600 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-all duration-200 shadow-sm"
-                  >
-                    <X className="h-4 w-4" />
-                  </button>
-                  <p className="text-xs text-gray-600 mt-2 truncate font-medium">
-                    {file.file.name}
-                  </p>
                 </div>
+              )}
+
+              {optimizedSavings > 0 && (
+                <p className="text-xs text-green-700 mt-3">
+                  Saving {formatBytes(optimizedSavings)} across your selected
+                  photos.
+                </p>
+              )}
+            </div>
+          )}
+
+          {files.length > 0 && (
+            <div className="mt-6 grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {files.map((file) => (
+                <UploadFileTile
+                  key={file.id}
+                  file={file}
+                  upload={uploads[file.id]}
+                  onRemove={removeFile}
+                  onCancel={cancelUpload}
+                  onRetry={handleRetry}
+                  onToggleKeepMetadata={toggleKeepMetadata}
+                  onPickPoster={setPosterPickerId}
+                  onChangeDetails={updateFileDetails}
+                  onApplyDetailsToAll={
+                    files.length > 1 ? applyDetailsToAll : undefined
+                  }
+                  captionPlaceholder={formData.description || undefined}
+                  retryDisabled={!formData.eventId || isResuming}
+                  compression={
+                    compressionSettings.enabled ? file.compression : null
+                  }
+                  duplicate={getDuplicate(file)}
+                />
               ))}
             </div>
           )}
@@ -620,7 +1295,8 @@ function Upload() {
               <p className="text-xs text-gray-500 mt-1">
                 Optional - Only provide if you'd like to be tagged when your
                 content is featured on our social media. Only letters, numbers,
-                dots, and underscores allowed (max 30 characters).
+                dots, and underscores allowed (max{" "}
+                {uploadPolicy.instagramHandle.maxLength} characters).
               </p>
             </div>
 
@@ -715,6 +1391,12 @@ function Upload() {
                 </div>
               )}
             </div>
+            {linkedEventError && (
+              <p className="mt-2 text-sm text-amber-700 flex items-center space-x-1">
+                <AlertCircle className="h-4 w-4" />
+                <span>{linkedEventError}</span>
+              </p>
+            )}
           </div>
 
           <div className="mt-6">
@@ -745,13 +1427,16 @@ function Upload() {
                 className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
               />
               <span className="text-sm text-gray-700">
-                I consent to UTM MSA using my submitted media for promotional
-                purposes on social media platforms. I understand that my content
-                may be featured on UTM MSA's social media accounts, and I agree
-                to the terms of use. I have permission to share these files from
-                everyone in the attached media. *
+                {UPLOAD_CONSENT.TEXT} *
               </span>
             </label>
+            <p className="mt-2 ml-7 text-xs text-gray-500">
+              You can withdraw consent at any time from{" "}
+              <Link to="/my-uploads" className="text-blue-600 hover:underline">
+                My Uploads
+              </Link>
+              .
+            </p>
           </div>
         </div>
 
@@ -789,9 +1474,18 @@ function Upload() {
         <div className="text-center">
           <button
             type="submit"
-            disabled={!isFormValid || isUploading}
+            disabled={
+              !isFormValid ||
+              isUploading ||
+              isResuming ||
+              isPreparingFiles ||
+              awaitingMetadataDecision
+            }
             className={`inline-flex items-center space-x-2 px-8 py-4 rounded-lg font-semibold transition-all duration-200 ${
-              isFormValid && !isUploading
+              isFormValid &&
+              !isUploading &&
+              !isPreparingFiles &&
+              !awaitingMetadataDecision
                 ? "bg-blue-600 text-white hover:bg-blue-700 shadow-sm hover:shadow-md"
                 : "bg-gray-300 text-gray-500 cursor-not-allowed"
             }`}
@@ -799,7 +1493,14 @@ function Upload() {
             {isUploading ? (
               <>
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                <span>Uploading...</span>
+                <span>Uploading... {overallProgress}%</span>
+              </>
+            ) : isPreparingFiles ? (
+              <>
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-gray-500"></div>
+                <span>
+                  {isOptimizing ? "Optimizing images..." : "Preparing files..."}
+                </span>
               </>
             ) : (
               <>
@@ -809,6 +1510,23 @@ function Upload() {
             )}
           </button>
 
+          {uploadError && !isUploading && (
+            <p className="mt-2 text-sm text-red-600 flex items-center justify-center space-x-1">
+              <AlertCircle className="h-4 w-4" />
+              <span>{uploadError}</span>
+            </p>
+          )}
+
+          {awaitingMetadataDecision && !isUploading && (
+            <p className="mt-2 text-sm text-amber-600 flex items-center justify-center space-x-1">
+              <MapPin className="h-4 w-4" />
+              <span>
+                Choose whether to keep or remove photos whose location could
+                not be removed
+              </span>
+            </p>
+          )}
+
           {!isFormValid && (
             <p className="mt-2 text-sm text-gray-500 flex items-center justify-center space-x-1">
               <AlertCircle className="h-4 w-4" />
@@ -819,6 +1537,22 @@ function Upload() {
           )}
         </div>
       </form>
+
+      {posterPickerId && files.some((f) => f.id === posterPickerId) && (
+        <VideoPosterPicker
+          file={files.find((f) => f.id === posterPickerId)}
+          onSelect={(poster) => handlePosterSelect(posterPickerId, poster)}
+          onClose={() => setPosterPickerId(null)}
+        />
+      )}
+
+      {isCameraOpen && (
+        <CameraCapture
+          policy={uploadPolicy}
+          onCapture={(file) => handleFiles([file])}
+          onClose={() => setIsCameraOpen(false)}
+        />
+      )}
     </div>
   );
 }
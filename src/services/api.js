@@ -0,0 +1,366 @@
+import API_CONFIG from '../config/api';
+
+const { ENDPOINTS } = API_CONFIG;
+
+/**
+ * Error thrown by every API call. `status` is the HTTP status (0 when the
+ * request never reached the server) and `data` is the parsed response body.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP_ERROR', data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+
+  get isAborted() {
+    return this.code === 'ABORTED';
+  }
+
+  get isNetworkError() {
+    return this.code === 'NETWORK_ERROR';
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+}
+
+export const getAuthHeader = () => {
+  // The service worker has no localStorage; it passes the header explicitly
+  if (typeof localStorage === 'undefined') return null;
+
+  const token = localStorage.getItem('token');
+  if (!token) return null;
+
+  const tokenType = localStorage.getItem('tokenType') || 'Bearer';
+  return `${tokenType} ${token}`;
+};
+
+export const buildUrl = (path, params) => {
+  const url = `${API_CONFIG.BASE_URL}${path}`;
+  if (!params) return url;
+
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      value.forEach((entry) => query.append(key, entry));
+    } else {
+      query.append(key, value);
+    }
+  });
+
+  const queryString = query.toString();
+  return queryString ? `${url}?${queryString}` : url;
+};
+
+// The backend answers with JSON, plain text or nothing at all depending on the
+// endpoint, so fall back gracefully instead of trusting Content-Type.
+const parseBody = (text) => {
+  if (!text || !text.trim()) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const sendWithFetch = async (url, { method, headers, body, signal }) => {
+  const response = await fetch(url, { method, headers, body, signal });
+  return { status: response.status, text: await response.text() };
+};
+
+// Service workers have no XHR, so requests replayed there go without progress
+const canReportUploadProgress = () => typeof XMLHttpRequest !== 'undefined';
+
+// fetch() has no upload progress events, so progress-tracked requests use XHR
+const sendWithXhr = (url, { method, headers, body, signal }, onUploadProgress) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onUploadProgress(event.loaded, event.total);
+      }
+    };
+    xhr.onload = () => resolve({ status: xhr.status, text: xhr.responseText });
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(new DOMException('Aborted', 'AbortError'));
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+    xhr.send(body ?? null);
+  });
+
+const getErrorMessage = (data, status) => {
+  if (data && typeof data === 'object') {
+    return data.message || data.error || `Request failed with status ${status}`;
+  }
+  if (typeof data === 'string' && data.length < 300) {
+    return data;
+  }
+  return `Request failed with status ${status}`;
+};
+
+/**
+ * Perform a request against the LensBridge backend.
+ *
+ * @param {string} path - Endpoint path, e.g. API_CONFIG.ENDPOINTS.GALLERY
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.params] - Query string parameters; empty values are skipped
+ * @param {*} [options.json] - Value to send as a JSON body
+ * @param {BodyInit} [options.body] - Raw body (FormData, URLSearchParams, Blob)
+ * @param {object} [options.headers] - Extra headers
+ * @param {boolean|string} [options.auth=true] - Attach the stored bearer token if present,
+ *   or an explicit Authorization header value
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {(loaded: number, total: number) => void} [options.onUploadProgress] - Reports request body
+ *   progress; ignored where XMLHttpRequest is unavailable (service workers)
+ * @returns {Promise<*>} Parsed response body
+ * @throws {ApiError}
+ */
+export const request = async (path, {
+  method = 'GET',
+  params,
+  json,
+  body,
+  headers = {},
+  auth = true,
+  signal,
+  onUploadProgress
+} = {}) => {
+  const requestHeaders = { ...API_CONFIG.HEADERS, ...headers };
+
+  if (auth) {
+    const authHeader = typeof auth === 'string' ? auth : getAuthHeader();
+    if (authHeader) {
+      requestHeaders['Authorization'] = authHeader;
+    }
+  }
+
+  let requestBody = body;
+  if (json !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(json);
+  }
+
+  const url = buildUrl(path, params);
+  const init = { method, headers: requestHeaders, body: requestBody, signal };
+
+  let response;
+  try {
+    response = onUploadProgress && canReportUploadProgress()
+      ? await sendWithXhr(url, init, onUploadProgress)
+      : await sendWithFetch(url, init);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ApiError('Request was cancelled', { code: 'ABORTED', cause: error });
+    }
+    throw new ApiError('Network error. Please check your connection and try again.', {
+      code: 'NETWORK_ERROR',
+      cause: error
+    });
+  }
+
+  const data = parseBody(response.text);
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new ApiError(getErrorMessage(data, response.status), {
+      status: response.status,
+      data
+    });
+  }
+
+  return data;
+};
+
+const auth = {
+  signin: (credentials, options) =>
+    request(ENDPOINTS.AUTH.SIGNIN, { method: 'POST', json: credentials, auth: false, ...options }),
+  signup: (details, options) =>
+    request(ENDPOINTS.AUTH.SIGNUP, { method: 'POST', json: details, auth: false, ...options }),
+  verifyEmail: (token, options) =>
+    request(ENDPOINTS.AUTH.VERIFY_EMAIL, { method: 'POST', json: { token }, auth: false, ...options }),
+  resendConfirmation: (email, options) =>
+    request(ENDPOINTS.AUTH.RESEND_CONFIRMATION, { method: 'POST', json: { email }, auth: false, ...options }),
+  forgotPassword: (email, options) =>
+    request(ENDPOINTS.AUTH.FORGOT_PASSWORD, { method: 'POST', params: { email }, auth: false, ...options }),
+  validateResetToken: (token, options) =>
+    request(ENDPOINTS.AUTH.VALIDATE_RESET_TOKEN, { params: { token }, auth: false, ...options }),
+  resetPassword: (token, newPassword, options) =>
+    request(ENDPOINTS.AUTH.RESET_PASSWORD, { method: 'POST', params: { token, newPassword }, auth: false, ...options })
+};
+
+const events = {
+  list: (options) => request(ENDPOINTS.EVENTS, options)
+};
+
+const gallery = {
+  list: (params, options) => request(ENDPOINTS.GALLERY, { params, auth: false, ...options }),
+  get: (id, options) => request(`${ENDPOINTS.GALLERY}/${id}`, { auth: false, ...options }),
+  listAlbums: (options) => request(ENDPOINTS.GALLERY_ALBUMS, { auth: false, ...options }),
+  getAlbum: (eventId, options) =>
+    request(`${ENDPOINTS.GALLERY_ALBUMS}/${eventId}`, { auth: false, ...options })
+};
+
+const upload = {
+  getPolicy: (options) => request(ENDPOINTS.UPLOAD_POLICY, options),
+
+  batch: (eventId, formData, options) =>
+    request(`${ENDPOINTS.UPLOAD}/${eventId}/batch`, { method: 'POST', body: formData, ...options }),
+
+  // Resumable upload sessions: create once, then PATCH chunks at the acknowledged offset
+  createSession: (eventId, details, options) =>
+    request(`${ENDPOINTS.UPLOAD}/${eventId}/sessions`, { method: 'POST', json: details, ...options }),
+  getSession: (uploadId, options) =>
+    request(`${ENDPOINTS.UPLOAD_SESSIONS}/${uploadId}`, options),
+  uploadChunk: (uploadId, offset, chunk, options) =>
+    request(`${ENDPOINTS.UPLOAD_SESSIONS}/${uploadId}`, {
+      method: 'PATCH',
+      body: chunk,
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset)
+      },
+      ...options
+    }),
+  // Replaces the form fields given to createSession, e.g. a caption edited before a resume
+  updateSession: (uploadId, details, options) =>
+    request(`${ENDPOINTS.UPLOAD_SESSIONS}/${uploadId}/details`, { method: 'PUT', json: details, ...options }),
+  cancelSession: (uploadId, options) =>
+    request(`${ENDPOINTS.UPLOAD_SESSIONS}/${uploadId}`, { method: 'DELETE', ...options }),
+  uploadPoster: (uploadId, poster, options) =>
+    request(`${ENDPOINTS.UPLOAD_SESSIONS}/${uploadId}/poster`, {
+      method: 'PUT',
+      body: poster,
+      headers: { 'Content-Type': poster.type || 'image/jpeg' },
+      ...options
+    }),
+
+  // Which of these hashes already belong to uploads in the event: { exact: [sha256], similar: [perceptualHash] }
+  findDuplicates: (eventId, { hashes, perceptualHashes }, options) =>
+    request(`${ENDPOINTS.UPLOAD}/${eventId}/duplicates`, {
+      method: 'POST',
+      json: { hashes, perceptualHashes },
+      ...options
+    })
+};
+
+const myUploads = {
+  list: (params, options) => request(ENDPOINTS.MY_UPLOADS, { params, ...options }),
+  // Only the caption and Instagram handle can be changed after submitting
+  update: (uploadId, { caption, instagramHandle }, options) =>
+    request(`${ENDPOINTS.MY_UPLOADS}/${uploadId}`, {
+      method: 'PATCH',
+      json: { caption, instagramHandle },
+      ...options
+    }),
+  // Withdraw an upload that hasn't been reviewed yet
+  withdraw: (uploadId, options) =>
+    request(`${ENDPOINTS.MY_UPLOADS}/${uploadId}`, { method: 'DELETE', ...options })
+};
+
+const privacy = {
+  acceptTerms: ({ termsVersion, privacyVersion }, options) =>
+    request(ENDPOINTS.TERMS_ACCEPTANCE, {
+      method: 'POST',
+      json: { termsVersion, privacyVersion },
+      ...options
+    }),
+  listDeletionRequests: (options) => request(ENDPOINTS.DELETION_REQUESTS, options),
+  // scope is 'ALL' or 'SELECTED' with uploadIds; creates a deletion request
+  withdrawConsent: ({ scope, uploadIds, reason }, options) =>
+    request(ENDPOINTS.DELETION_REQUESTS, {
+      method: 'POST',
+      json: { scope, uploadIds, reason },
+      ...options
+    })
+};
+
+const ADMIN_UPLOAD_LISTS = {
+  all: ENDPOINTS.ADMIN.UPLOADS,
+  pending: ENDPOINTS.ADMIN.UPLOADS_PENDING,
+  approved: ENDPOINTS.ADMIN.UPLOADS_APPROVED,
+  featured: ENDPOINTS.ADMIN.UPLOADS_FEATURED
+};
+
+const admin = {
+  listUploads: (filter = 'all', params, options) =>
+    request(ADMIN_UPLOAD_LISTS[filter] || ADMIN_UPLOAD_LISTS.all, { params, ...options }),
+  approveUpload: (uploadId, options) =>
+    request(`${ENDPOINTS.ADMIN.UPLOAD_APPROVE}/${uploadId}`, { method: 'POST', ...options }),
+  deleteUpload: (uploadId, options) =>
+    request(`${ENDPOINTS.ADMIN.UPLOAD_DELETE}/${uploadId}`, { method: 'DELETE', ...options }),
+  featureUpload: (uploadId, options) =>
+    request(`${ENDPOINTS.ADMIN.UPLOAD_FEATURE}/${uploadId}`, { method: 'POST', ...options }),
+  unapproveUpload: (uploadId, options) =>
+    request(`${ENDPOINTS.ADMIN.UPLOAD_REMOVE_APPROVAL}/${uploadId}/approval`, { method: 'DELETE', ...options }),
+  unfeatureUpload: (uploadId, options) =>
+    request(`${ENDPOINTS.ADMIN.UPLOAD_REMOVE_FEATURED}/${uploadId}/featured`, { method: 'DELETE', ...options }),
+
+  listEvents: (options) => request(ENDPOINTS.ADMIN.EVENTS, options),
+  createEvent: ({ eventName, eventDate, status }, options) =>
+    request(ENDPOINTS.ADMIN.CREATE_EVENT, {
+      method: 'POST',
+      body: new URLSearchParams({ eventName, eventDate, status }),
+      ...options
+    }),
+
+  listAudits: (params, options) => request(ENDPOINTS.ADMIN.AUDIT, { params, ...options }),
+  listAuditsByAction: (action, params, options) =>
+    request(`${ENDPOINTS.ADMIN.AUDIT_ACTION}/${action}`, { params, ...options }),
+  listAuditsByDateRange: (params, options) =>
+    request(ENDPOINTS.ADMIN.AUDIT_DATERANGE, { params, ...options }),
+  listAuditActions: (options) => request(ENDPOINTS.ADMIN.AUDIT_ACTIONS, options),
+
+  listUsers: (params, options) => request(ENDPOINTS.ADMIN.USERS, { params, ...options }),
+  listRoles: (options) => request(ENDPOINTS.ADMIN.ROLES, options),
+  createUser: (details, options) =>
+    request(ENDPOINTS.ADMIN.USER_CREATE, { method: 'POST', json: details, ...options }),
+  addRole: (userId, role, options) =>
+    request(`${ENDPOINTS.ADMIN.USER_ADD_ROLE}/${userId}/add-role`, { method: 'POST', json: role, ...options }),
+  removeRole: (userId, role, options) =>
+    request(`${ENDPOINTS.ADMIN.USER_REMOVE_ROLE}/${userId}/remove-role`, { method: 'POST', json: role, ...options }),
+  verifyUser: (userId, options) =>
+    request(ENDPOINTS.ADMIN.USER_VERIFY, { method: 'POST', json: { userId }, ...options }),
+
+  listDeletionRequests: (params, options) =>
+    request(ENDPOINTS.ADMIN.DELETION_REQUESTS, { params, ...options }),
+  // Deletes the covered uploads; the server records the audit entry
+  completeDeletionRequest: (requestId, note, options) =>
+    request(`${ENDPOINTS.ADMIN.DELETION_REQUESTS}/${requestId}/complete`, {
+      method: 'POST',
+      json: { note },
+      ...options
+    }),
+  rejectDeletionRequest: (requestId, note, options) =>
+    request(`${ENDPOINTS.ADMIN.DELETION_REQUESTS}/${requestId}/reject`, {
+      method: 'POST',
+      json: { note },
+      ...options
+    })
+};
+
+const api = {
+  request,
+  auth,
+  events,
+  gallery,
+  upload,
+  myUploads,
+  privacy,
+  admin
+};
+
+export default api;
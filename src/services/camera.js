@@ -0,0 +1,138 @@
+import UPLOAD_CONFIG from '../config/upload';
+import { getRecordingType } from './videoCompression';
+
+// Photos and short clips taken with the device camera on the Upload page.
+// Captured files are named like the phone's own camera roll so they read
+// sensibly in the file list and on the server.
+
+const { IDEAL_WIDTH, IDEAL_HEIGHT, PHOTO_QUALITY, VIDEO_BITRATE } = UPLOAD_CONFIG.CAMERA;
+
+export const FACING_MODE = {
+  BACK: 'environment',
+  FRONT: 'user'
+};
+
+export const CAPTURE_MODE = {
+  PHOTO: 'photo',
+  VIDEO: 'video'
+};
+
+export const isCameraSupported = () =>
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Photos are taken as JPEG and clips in whatever the browser can record, so
+// the upload policy may leave room for only one of them (or neither)
+export const getCaptureModes = (policy) => [
+  ...(policy.allowedTypes.image?.includes('image/jpeg') ? [CAPTURE_MODE.PHOTO] : []),
+  ...(getRecordingType(policy.allowedTypes.video || []) ? [CAPTURE_MODE.VIDEO] : [])
+];
+
+// e.g. IMG_20250719_143005.jpg
+const getCaptureName = (prefix, extension) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+  return `${prefix}_${stamp}.${extension}`;
+};
+
+/**
+ * Open the camera. The microphone is only asked for when recording clips.
+ *
+ * @param {object} options
+ * @param {string} options.facingMode - One of FACING_MODE
+ * @param {boolean} options.withAudio
+ * @returns {Promise<MediaStream>}
+ */
+export const openCameraStream = ({ facingMode, withAudio }) =>
+  navigator.mediaDevices.getUserMedia({
+    video: {
+      facingMode: { ideal: facingMode },
+      width: { ideal: IDEAL_WIDTH },
+      height: { ideal: IDEAL_HEIGHT }
+    },
+    audio: withAudio
+  });
+
+export const stopCameraStream = (stream) => {
+  stream?.getTracks().forEach((track) => track.stop());
+};
+
+// A message for the ways getUserMedia fails that people can do something about
+export const getCameraErrorMessage = (error) => {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access is blocked. Allow it in your browser settings to take photos here.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found on this device.';
+    case 'NotReadableError':
+      return 'The camera is being used by another app. Close it and try again.';
+    default:
+      return 'Could not start the camera.';
+  }
+};
+
+/**
+ * Take a JPEG of the frame currently showing in a camera preview.
+ *
+ * @param {HTMLVideoElement} video - Playing the camera stream
+ * @returns {Promise<File>}
+ */
+export const capturePhoto = async (video) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Could not capture a photo'))),
+      'image/jpeg',
+      PHOTO_QUALITY
+    );
+  });
+  return new File([blob], getCaptureName('IMG', 'jpg'), {
+    type: 'image/jpeg',
+    lastModified: Date.now()
+  });
+};
+
+/**
+ * Start recording a clip from the camera stream.
+ *
+ * @param {MediaStream} stream
+ * @param {string[]} allowedTypes - Video MIME types the clip may use
+ * @returns {{ stop: () => void, done: Promise<File> }} `done` settles once stopped
+ */
+export const startClipRecording = (stream, allowedTypes) => {
+  const recording = getRecordingType(allowedTypes);
+  if (!recording) {
+    throw new Error('Your browser cannot record videos');
+  }
+
+  const recorder = new MediaRecorder(stream, {
+    mimeType: recording.mimeType,
+    videoBitsPerSecond: VIDEO_BITRATE
+  });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const done = new Promise((resolve, reject) => {
+    recorder.onstop = () => {
+      resolve(new File(chunks, getCaptureName('VID', recording.extension), {
+        type: recording.type,
+        lastModified: Date.now()
+      }));
+    };
+    recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+  });
+
+  recorder.start(1000);
+  return {
+    stop: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+    },
+    done
+  };
+};
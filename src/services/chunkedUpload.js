@@ -0,0 +1,204 @@
+import API_CONFIG from '../config/api';
+import api from './api';
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord } from './db';
+
+const { THRESHOLD, CHUNK_SIZE, MAX_RETRIES, RETRY_DELAY } = API_CONFIG.CHUNKED_UPLOAD;
+
+export const shouldUploadInChunks = (file) => file.size > THRESHOLD;
+
+// Same file + same event always maps to the same session, so re-selecting a
+// file after a reload picks up where the last attempt stopped.
+export const getUploadFingerprint = (eventId, file) =>
+  [eventId, file.name, file.size, file.lastModified].join(':');
+
+const abortError = () => new DOMException('Upload cancelled', 'AbortError');
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(abortError());
+  }, { once: true });
+});
+
+// Outside a window (e.g. Background Sync in the service worker) there is no
+// reliable online event, so fall through and let the retry budget decide.
+const waitForOnline = (signal) => new Promise((resolve, reject) => {
+  if (navigator.onLine || typeof window === 'undefined') return resolve();
+  if (signal?.aborted) return reject(abortError());
+  window.addEventListener('online', () => resolve(), { once: true });
+  signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+});
+
+const isRetryable = (error) => error.isNetworkError || error.status >= 500;
+
+// Ask the server where the session stands, starting a new one if it expired
+const syncSession = async (record, file, requestOptions) => {
+  if (record.uploadId) {
+    try {
+      const session = await api.upload.getSession(record.uploadId, requestOptions);
+      return { ...record, offset: session.offset };
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 410) throw error;
+    }
+  }
+
+  const session = await api.upload.createSession(record.eventId, {
+    fileName: file.name,
+    fileSize: file.size,
+    contentType: file.type,
+    ...record.metadata
+  }, requestOptions);
+
+  // A new session has not seen the poster either, but has the current details
+  return {
+    ...record,
+    uploadId: session.uploadId,
+    offset: session.offset || 0,
+    posterUploaded: false,
+    detailsOutdated: false
+  };
+};
+
+const hasNewDetails = (stored = {}, current) =>
+  Object.entries(current).some(([key, value]) => stored[key] !== value);
+
+/**
+ * Upload a single file in chunks, persisting the acknowledged offset in
+ * IndexedDB after every chunk so the upload can resume after a reload.
+ *
+ * @param {File} file
+ * @param {object} options
+ * @param {string|number} options.eventId
+ * @param {object} [options.metadata] - Form fields sent when the session is created. When resuming,
+ *   they're merged over the stored ones and the server's copy is updated if anything changed
+ * @param {File} [options.poster] - Video cover image, sent once the session exists
+ * @param {(uploaded: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean|string} [options.auth] - Passed through to the API client
+ * @returns {Promise<string>} The completed upload session id
+ */
+export const uploadInChunks = async (file, { eventId, metadata = {}, poster, onProgress, signal, auth } = {}) => {
+  const requestOptions = { signal, auth };
+  const fingerprint = getUploadFingerprint(eventId, file);
+
+  let record = await getRecord(STORES.CHUNKED_UPLOADS, fingerprint);
+  if (!record) {
+    record = {
+      fingerprint,
+      eventId,
+      metadata,
+      fileName: file.name,
+      fileSize: file.size,
+      uploadId: null,
+      offset: 0,
+      createdAt: Date.now()
+    };
+    await putRecord(STORES.FILES, { id: fingerprint, file });
+  } else if (hasNewDetails(record.metadata, metadata)) {
+    // The form may have changed since the session started (e.g. a caption edited before a retry)
+    record = { ...record, metadata: { ...record.metadata, ...metadata }, detailsOutdated: true };
+    await putRecord(STORES.CHUNKED_UPLOADS, { ...record, updatedAt: Date.now() });
+  }
+  if (poster && !record.posterUploaded) {
+    record = { ...record, poster };
+  }
+
+  let attempt = 0;
+  let synced = false;
+
+  while (
+    !synced ||
+    record.detailsOutdated ||
+    record.offset < file.size ||
+    (record.poster && !record.posterUploaded)
+  ) {
+    try {
+      if (!synced) {
+        record = await syncSession(record, file, requestOptions);
+        synced = true;
+      } else if (record.detailsOutdated) {
+        // Before the last chunk, which completes the upload on the server
+        await api.upload.updateSession(record.uploadId, record.metadata, requestOptions);
+        record = { ...record, detailsOutdated: false };
+      } else if (record.poster && !record.posterUploaded) {
+        await api.upload.uploadPoster(record.uploadId, record.poster, requestOptions);
+        record = { ...record, posterUploaded: true };
+      } else {
+        const { offset } = record;
+        const chunk = file.slice(offset, offset + CHUNK_SIZE);
+        const result = await api.upload.uploadChunk(record.uploadId, offset, chunk, {
+          ...requestOptions,
+          onUploadProgress: (loaded) => onProgress?.(offset + loaded, file.size)
+        });
+        record = { ...record, offset: result?.offset ?? offset + chunk.size };
+      }
+
+      await putRecord(STORES.CHUNKED_UPLOADS, { ...record, updatedAt: Date.now() });
+      onProgress?.(record.offset, file.size);
+      attempt = 0;
+    } catch (error) {
+      if (error.isAborted || error.name === 'AbortError') throw error;
+
+      attempt += 1;
+      if (attempt > MAX_RETRIES) throw error;
+
+      if (error.status === 409) {
+        // Offset mismatch: the server has a different view of what it received
+        synced = false;
+        continue;
+      }
+      if (!isRetryable(error)) throw error;
+
+      await waitForOnline(signal);
+      await wait(RETRY_DELAY * 2 ** (attempt - 1), signal);
+    }
+  }
+
+  await clearChunkedUpload(fingerprint);
+  return record.uploadId;
+};
+
+export const getPendingChunkedUploads = async () => {
+  const records = await getAllRecords(STORES.CHUNKED_UPLOADS);
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const resumeChunkedUpload = async (record, options = {}) => {
+  const stored = await getRecord(STORES.FILES, record.fingerprint);
+  if (!stored) {
+    throw new Error(`The file for ${record.fileName} is no longer available. Please select it again.`);
+  }
+
+  return uploadInChunks(stored.file, {
+    eventId: record.eventId,
+    metadata: record.metadata,
+    ...options
+  });
+};
+
+const clearChunkedUpload = async (fingerprint) => {
+  await deleteRecord(STORES.CHUNKED_UPLOADS, fingerprint);
+  await deleteRecord(STORES.FILES, fingerprint);
+};
+
+export const discardChunkedUpload = async (record) => {
+  await clearChunkedUpload(record.fingerprint);
+
+  if (record.uploadId) {
+    try {
+      await api.upload.cancelSession(record.uploadId);
+    } catch (error) {
+      // The server expires abandoned sessions on its own
+      console.warn('Failed to cancel upload session:', error);
+    }
+  }
+};
+
+export const discardChunkedUploadFor = async (eventId, file) => {
+  const record = await getRecord(STORES.CHUNKED_UPLOADS, getUploadFingerprint(eventId, file));
+  if (record) {
+    await discardChunkedUpload(record);
+  }
+};
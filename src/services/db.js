@@ -0,0 +1,79 @@
+// Thin promise wrapper around the app's IndexedDB database. Usable from both
+// the page and the service worker.
+const DB_NAME = 'lensbridge';
+const DB_VERSION = 4;
+
+export const STORES = {
+  CHUNKED_UPLOADS: 'chunkedUploads',
+  FILES: 'files',
+  UPLOAD_QUEUE: 'uploadQueue',
+  UPLOAD_DRAFTS: 'uploadDrafts',
+  SHARED_FILES: 'sharedFiles'
+};
+
+// Bump DB_VERSION whenever a store is added here
+const STORE_SCHEMAS = {
+  [STORES.CHUNKED_UPLOADS]: { keyPath: 'fingerprint' },
+  [STORES.FILES]: { keyPath: 'id' },
+  [STORES.UPLOAD_QUEUE]: { keyPath: 'id' },
+  [STORES.UPLOAD_DRAFTS]: { keyPath: 'owner' },
+  [STORES.SHARED_FILES]: { keyPath: 'id' }
+};
+
+let dbPromise = null;
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+
+      openRequest.onupgradeneeded = () => {
+        const db = openRequest.result;
+        Object.entries(STORE_SCHEMAS).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, options);
+          }
+        });
+      };
+
+      openRequest.onsuccess = () => {
+        const db = openRequest.result;
+        // Let a newer tab upgrade the schema instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      openRequest.onerror = () => {
+        dbPromise = null;
+        reject(openRequest.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runInStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const storeRequest = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(storeRequest ? storeRequest.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getRecord = (storeName, key) =>
+  runInStore(storeName, 'readonly', (store) => store.get(key));
+
+export const getAllRecords = (storeName) =>
+  runInStore(storeName, 'readonly', (store) => store.getAll());
+
+export const putRecord = (storeName, record) =>
+  runInStore(storeName, 'readwrite', (store) => store.put(record));
+
+export const deleteRecord = (storeName, key) =>
+  runInStore(storeName, 'readwrite', (store) => store.delete(key));
@@ -0,0 +1,72 @@
+import QRCode from 'qrcode';
+
+// Printable posters with a QR code that opens the Upload page with an event
+// already selected, for putting up at the venue.
+
+const QR_OPTIONS = {
+  // Survives a smudged or partly covered printout
+  errorCorrectionLevel: 'Q',
+  margin: 2
+};
+
+/**
+ * Deep link to the Upload page with the event preselected.
+ *
+ * @param {string|number} eventId
+ */
+export const getEventUploadUrl = (eventId) =>
+  `${window.location.origin}/upload?event=${encodeURIComponent(eventId)}`;
+
+// SVG stays sharp at any print size
+export const createQrSvg = (url) => QRCode.toString(url, { ...QR_OPTIONS, type: 'svg' });
+
+export const createQrPng = (url, width = 1024) => QRCode.toDataURL(url, { ...QR_OPTIONS, width });
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Open the poster in a new window and show the print dialog.
+ *
+ * @param {object} poster
+ * @param {string} poster.eventName
+ * @param {string} poster.eventDate - Already formatted for display
+ * @param {string} poster.url - From getEventUploadUrl
+ * @param {string} poster.qrSvg - From createQrSvg
+ * @returns {boolean} False when the window was blocked
+ */
+export const printEventPoster = ({ eventName, eventDate, url, qrSvg }) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.write(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(eventName)} - LensBridge</title>
+  <style>
+    @page { size: letter portrait; margin: 0.75in; }
+    body { font-family: system-ui, -apple-system, sans-serif; text-align: center; color: #111827; margin: 0; }
+    h1 { font-size: 40pt; margin: 0 0 8pt; }
+    .date { font-size: 16pt; color: #4b5563; margin: 0 0 24pt; }
+    .prompt { font-size: 22pt; margin: 0 0 24pt; }
+    .qr { width: 5in; height: 5in; margin: 0 auto 24pt; }
+    .qr svg { width: 100%; height: 100%; }
+    .url { font-size: 11pt; color: #6b7280; word-break: break-all; }
+    .brand { font-size: 14pt; font-weight: 600; color: #2563eb; margin-top: 24pt; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(eventName)}</h1>
+  ${eventDate ? `<p class="date">${escapeHtml(eventDate)}</p>` : ''}
+  <p class="prompt">Scan to share your photos and videos</p>
+  <div class="qr">${qrSvg}</div>
+  <p class="url">${escapeHtml(url)}</p>
+  <p class="brand">LensBridge · UTM MSA</p>
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
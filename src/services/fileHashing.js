@@ -0,0 +1,56 @@
+import { createWorkerClient } from './workerClient';
+
+const runInWorker = createWorkerClient(
+  () => new Worker(new URL('../workers/fileHasher.worker.js', import.meta.url), { type: 'module' })
+);
+
+export const isFileHashingSupported = () =>
+  typeof Worker !== 'undefined' && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+// SHA-256 per file, shared by everything that needs it (duplicate checks, the
+// HEIC conversion cache) so each file is only read once
+const contentHashes = new WeakMap();
+
+/**
+ * SHA-256 of a file's bytes, computed in a Web Worker once per file.
+ *
+ * @param {File} file
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFileContents = (file) => {
+  if (!contentHashes.has(file)) {
+    const hash = runInWorker({ blob: file }).then(({ sha256 }) => sha256);
+    // Let a failed attempt be retried
+    hash.catch(() => contentHashes.delete(file));
+    contentHashes.set(file, hash);
+  }
+  return contentHashes.get(file);
+};
+
+/**
+ * Hash a file in a Web Worker.
+ *
+ * @param {File} file - Hashed byte-for-byte with SHA-256
+ * @param {Blob} [imageSource] - Decodable image for the perceptual hash; omit for videos
+ * @returns {Promise<{ sha256: string, perceptualHash: string|null }>}
+ */
+export const hashFile = async (file, imageSource) => {
+  const [sha256, { perceptualHash }] = await Promise.all([
+    hashFileContents(file),
+    imageSource ? runInWorker({ imageSource }) : { perceptualHash: null }
+  ]);
+  return { sha256, perceptualHash };
+};
+
+// Number of differing bits between two hex-encoded hashes of equal length
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
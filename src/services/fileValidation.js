@@ -0,0 +1,204 @@
+import UPLOAD_CONFIG from '../config/upload';
+import {
+  REJECTION_REASON,
+  getFileMimeType,
+  getMediaKind,
+  getTypeLabel,
+  validateFileAgainstPolicy
+} from '../utils/uploadPolicy';
+import { detectFileType, readFileSignature } from '../utils/fileSignature';
+import { convertImage, isImageProcessingSupported } from './imageProcessing';
+import { convertHeicFile, isHeicFile } from './heicConversion';
+import { compressVideo, isVideoCompressionSupported } from './videoCompression';
+
+const { DEFAULTS, MAX_DIMENSIONS } = UPLOAD_CONFIG.IMAGE_COMPRESSION;
+
+export const FIX_TYPE = {
+  COMPRESS_IMAGE: 'compress-image',
+  CONVERT_TO_JPEG: 'convert-to-jpeg',
+  COMPRESS_VIDEO: 'compress-video'
+};
+
+// Types whose leading bytes detectFileType knows, so no match means a damaged file
+const SNIFFABLE_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'video/mp4',
+  'video/quicktime',
+  'video/x-msvideo',
+  'video/webm'
+];
+
+// Same contents and name, labelled with the type found in its header
+const withDetectedType = (file, detectedType) =>
+  file.type === detectedType
+    ? file
+    : new File([file], file.name, { type: detectedType, lastModified: file.lastModified });
+
+/**
+ * Identify a file from its leading bytes, then check it against the upload
+ * policy. The returned file carries the sniffed MIME type, which is what
+ * validation, previews and the upload request use from then on.
+ *
+ * @returns {Promise<{ file: File, reason: { code: string, message: string }|null }>}
+ *   `reason` is null when the file can be added
+ */
+export const validateFile = async (file, policy) => {
+  let signature;
+  try {
+    signature = await readFileSignature(file);
+  } catch (error) {
+    console.warn(`Could not read ${file.name}:`, error);
+    return {
+      file,
+      reason: {
+        code: REJECTION_REASON.UNREADABLE,
+        message: "This file couldn't be read from your device"
+      }
+    };
+  }
+
+  if (signature.length === 0) {
+    return { file, reason: { code: REJECTION_REASON.UNREADABLE, message: 'This file is empty' } };
+  }
+
+  const detectedType = detectFileType(signature);
+  if (!detectedType) {
+    const claimedType = getFileMimeType(file);
+    const reason = SNIFFABLE_TYPES.includes(claimedType)
+      ? {
+          code: REJECTION_REASON.CORRUPT,
+          message: `This doesn't look like a valid ${getTypeLabel(claimedType)} file`
+        }
+      : validateFileAgainstPolicy(file, policy);
+    return { file, reason };
+  }
+
+  const typedFile = withDetectedType(file, detectedType);
+  return { file: typedFile, reason: validateFileAgainstPolicy(typedFile, policy) };
+};
+
+/**
+ * A fix the Upload page can apply to a rejected file itself, if any.
+ *
+ * @returns {{ type: string, label: string }|null}
+ */
+export const getRejectionFix = (file, reason, policy) => {
+  const kind = getMediaKind(getFileMimeType(file));
+  const canMakeJpeg = policy.allowedTypes.image?.includes('image/jpeg');
+  const canRecordVideo = isVideoCompressionSupported(policy.allowedTypes.video || []);
+
+  if (reason.code === REJECTION_REASON.TOO_LARGE) {
+    if (kind === 'image' && canMakeJpeg && isImageProcessingSupported()) {
+      return { type: FIX_TYPE.COMPRESS_IMAGE, label: 'Compress this image' };
+    }
+    if (kind === 'video' && canRecordVideo) {
+      return { type: FIX_TYPE.COMPRESS_VIDEO, label: 'Compress this video' };
+    }
+  }
+
+  if (reason.code === REJECTION_REASON.UNSUPPORTED_TYPE) {
+    if (kind === 'image' && canMakeJpeg && (isHeicFile(file) || isImageProcessingSupported())) {
+      return { type: FIX_TYPE.CONVERT_TO_JPEG, label: 'Convert to JPEG' };
+    }
+    if (kind === 'video' && canRecordVideo) {
+      return { type: FIX_TYPE.COMPRESS_VIDEO, label: 'Convert this video' };
+    }
+  }
+
+  return null;
+};
+
+// What the user can do themselves when there's no automatic fix (or it fails)
+export const getRejectionHint = (file, reason) => {
+  const kind = getMediaKind(getFileMimeType(file));
+
+  switch (reason.code) {
+    case REJECTION_REASON.UNSUPPORTED_TYPE:
+      if (kind === 'image') return 'Save or export it as a JPEG, then add it again.';
+      if (kind === 'video') return 'Export it as an MP4 from your phone or editing app, then add it again.';
+      return 'Only photos and videos can be uploaded.';
+    case REJECTION_REASON.TOO_LARGE:
+      return kind === 'video'
+        ? 'Trim it or export it at 1080p or lower, then add it again.'
+        : 'Export it at a lower resolution, then add it again.';
+    case REJECTION_REASON.TOO_MANY_FILES:
+      return 'Upload it in a separate submission once this one is done.';
+    case REJECTION_REASON.UNREADABLE:
+      return 'If it lives in iCloud, Google Photos or another cloud drive, download it to your device first.';
+    case REJECTION_REASON.CORRUPT:
+      return 'It may be damaged or only partly copied. Copy it again from the original device.';
+    default:
+      return '';
+  }
+};
+
+const renameAsJpeg = (fileName) => `${fileName.replace(/\.[^.]+$/, '')}.jpg`;
+
+// Try successively smaller sizes until the image fits under the limit
+const compressImageToFit = async (file, maxSize) => {
+  const source = isHeicFile(file) ? await convertHeicFile(file) : file;
+
+  for (const maxDimension of [...MAX_DIMENSIONS].reverse()) {
+    const { file: converted } = await convertImage(
+      file,
+      { maxDimension, format: 'image/jpeg', quality: DEFAULTS.quality },
+      source
+    );
+    if (!maxSize || converted.size <= maxSize) return converted;
+  }
+
+  throw new Error("Couldn't get this image under the size limit");
+};
+
+const convertToJpeg = async (file) => {
+  if (isHeicFile(file)) {
+    const blob = await convertHeicFile(file);
+    return new File([blob], renameAsJpeg(file.name), {
+      type: 'image/jpeg',
+      lastModified: file.lastModified
+    });
+  }
+
+  const { file: converted } = await convertImage(file, {
+    maxDimension: Infinity,
+    format: 'image/jpeg',
+    quality: DEFAULTS.quality
+  });
+  return converted;
+};
+
+/**
+ * Apply a fix from getRejectionFix and return the replacement file. The
+ * result still needs validating like any newly added file.
+ *
+ * @param {File} file
+ * @param {string} fixType - One of FIX_TYPE
+ * @param {object} policy - Resolved upload policy
+ * @param {object} [options]
+ * @param {(progress: number) => void} [options.onProgress] - Video fixes only
+ * @param {AbortSignal} [options.signal] - Video fixes only
+ * @returns {Promise<File>}
+ */
+export const applyRejectionFix = (file, fixType, policy, { onProgress, signal } = {}) => {
+  switch (fixType) {
+    case FIX_TYPE.COMPRESS_IMAGE:
+      return compressImageToFit(file, policy.maxFileSize.image);
+    case FIX_TYPE.CONVERT_TO_JPEG:
+      return convertToJpeg(file);
+    case FIX_TYPE.COMPRESS_VIDEO:
+      // Not async on purpose: compressVideo has to start inside the click handler
+      return compressVideo(file, {
+        maxSize: policy.maxFileSize.video,
+        allowedTypes: policy.allowedTypes.video,
+        onProgress,
+        signal
+      });
+    default:
+      return Promise.reject(new Error(`Unknown fix: ${fixType}`));
+  }
+};
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import { validateFile, getRejectionHint } from './fileValidation';
+import { REJECTION_REASON } from '../utils/uploadPolicy';
+import UPLOAD_CONFIG from '../config/upload';
+import { HEADERS, makeFile } from '../test/fileHeaders';
+
+const policy = UPLOAD_CONFIG.DEFAULT_POLICY;
+
+describe('validateFile', () => {
+  it('accepts a file whose contents match its name', async () => {
+    const file = makeFile(HEADERS.jpeg, 'photo.jpg', 'image/jpeg');
+    const result = await validateFile(file, policy);
+    expect(result.reason).toBeNull();
+    expect(result.file).toBe(file);
+  });
+
+  it('labels an unlabelled file with the type found in its header', async () => {
+    const { file, reason } = await validateFile(makeFile(HEADERS.heic, 'IMG_0001.HEIC'), policy);
+    expect(reason).toBeNull();
+    expect(file.type).toBe('image/heic');
+    expect(file.name).toBe('IMG_0001.HEIC');
+  });
+
+  it.each([
+    ['a HEIC photo renamed to .jpg', HEADERS.heic, 'photo.jpg', 'image/jpeg', 'image/heic'],
+    ['a PNG renamed to .jpg', HEADERS.png, 'screenshot.jpg', 'image/jpeg', 'image/png'],
+    ['a MOV renamed to .mp4', HEADERS.mov, 'clip.mp4', 'video/mp4', 'video/quicktime'],
+    ['an MP4 with no extension', HEADERS.mp4, 'clip', '', 'video/mp4']
+  ])('uses the contents for %s', async (_, header, name, claimedType, actualType) => {
+    const { file, reason } = await validateFile(makeFile(header, name, claimedType), policy);
+    expect(reason).toBeNull();
+    expect(file.type).toBe(actualType);
+  });
+
+  it('rejects a container the policy does not allow, even with an allowed extension', async () => {
+    const { file, reason } = await validateFile(makeFile(HEADERS.webm, 'clip.mp4', 'video/mp4'), policy);
+    expect(file.type).toBe('video/webm');
+    expect(reason.code).toBe(REJECTION_REASON.UNSUPPORTED_TYPE);
+    expect(reason.message).toContain('WebM');
+  });
+
+  it('rejects an empty file as unreadable', async () => {
+    const { reason } = await validateFile(makeFile(new Uint8Array(), 'empty.jpg', 'image/jpeg'), policy);
+    expect(reason.code).toBe(REJECTION_REASON.UNREADABLE);
+  });
+
+  it('rejects a file that cannot be read as unreadable', async () => {
+    const file = makeFile(HEADERS.jpeg, 'cloud.jpg', 'image/jpeg');
+    file.slice = () => ({ arrayBuffer: () => Promise.reject(new Error('NotReadableError')) });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { reason } = await validateFile(file, policy);
+    warn.mockRestore();
+    expect(reason.code).toBe(REJECTION_REASON.UNREADABLE);
+  });
+
+  it.each([
+    ['a damaged JPEG', HEADERS.text, 'photo.jpg', 'image/jpeg', 'JPG'],
+    ['a truncated PNG', HEADERS.png.subarray(0, 4), 'image.png', 'image/png', 'PNG'],
+    ['a damaged MP4 with no type', HEADERS.text, 'clip.mp4', '', 'MP4']
+  ])('rejects %s as corrupt', async (_, header, name, type, label) => {
+    const { reason } = await validateFile(makeFile(header, name, type), policy);
+    expect(reason.code).toBe(REJECTION_REASON.CORRUPT);
+    expect(reason.message).toContain(label);
+  });
+
+  it('rejects unknown contents with an unknown type as unsupported', async () => {
+    const { reason } = await validateFile(makeFile(HEADERS.text, 'notes.txt', 'text/plain'), policy);
+    expect(reason.code).toBe(REJECTION_REASON.UNSUPPORTED_TYPE);
+  });
+
+  it('rejects a file over the size limit for its kind', async () => {
+    const small = { ...policy, maxFileSize: { ...policy.maxFileSize, image: 32 } };
+    const { reason } = await validateFile(makeFile(HEADERS.jpeg, 'photo.jpg', 'image/jpeg'), small);
+    expect(reason.code).toBe(REJECTION_REASON.TOO_LARGE);
+  });
+});
+
+describe('getRejectionHint', () => {
+  it('suggests re-copying a corrupt file', () => {
+    const file = makeFile(HEADERS.text, 'photo.jpg', 'image/jpeg');
+    expect(getRejectionHint(file, { code: REJECTION_REASON.CORRUPT })).toMatch(/Copy it again/);
+  });
+
+  it('suggests exporting an unsupported video as MP4', () => {
+    const file = makeFile(HEADERS.webm, 'clip.webm', 'video/webm');
+    expect(getRejectionHint(file, { code: REJECTION_REASON.UNSUPPORTED_TYPE })).toMatch(/MP4/);
+  });
+});
@@ -0,0 +1,40 @@
+import { convertHeicUrl, isHeicUrl } from './heicConversion';
+
+// Gallery items as returned by /api/gallery, made ready to display. HEIC
+// images are swapped for converted object URLs, which the owner revokes with
+// revokeGalleryItemUrls when the items go away.
+
+const convertHeicToJpeg = async (imageUrl) => {
+  try {
+    // Converted in a worker and cached, so revisiting a page is instant
+    const convertedBlob = await convertHeicUrl(imageUrl);
+    return convertedBlob ? URL.createObjectURL(convertedBlob) : imageUrl;
+  } catch (error) {
+    console.error('Error converting HEIC image:', error);
+    // Return original URL as fallback
+    return imageUrl;
+  }
+};
+
+export const prepareGalleryItems = (items) =>
+  Promise.all(
+    items.map(async (item) => {
+      if (item.type === 'image' && isHeicUrl(item.src)) {
+        const convertedSrc = await convertHeicToJpeg(item.src);
+        return { ...item, src: convertedSrc, originalSrc: item.src };
+      }
+      return item;
+    })
+  );
+
+export const revokeGalleryItemUrls = (items) => {
+  items.forEach((item) => {
+    if (item.src && item.src.startsWith('blob:')) {
+      URL.revokeObjectURL(item.src);
+    }
+  });
+};
+
+// Width / height from the server when it knows them; null until measured otherwise
+export const getItemAspectRatio = (item) =>
+  item.width > 0 && item.height > 0 ? item.width / item.height : null;
@@ -0,0 +1,43 @@
+// Links to single gallery items, shared through the system share sheet
+// where there is one and copied to the clipboard everywhere else.
+
+export const SHARE_RESULT = {
+  SHARED: 'shared',
+  COPIED: 'copied',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Permalink that opens the Gallery viewer on this item.
+ *
+ * @param {string|number} id
+ */
+export const getGalleryItemUrl = (id) =>
+  `${window.location.origin}/gallery/${encodeURIComponent(id)}`;
+
+/**
+ * Share an item's permalink. Rejects only if the link couldn't be copied either.
+ *
+ * @param {{ id: *, title: string, event?: string }} item
+ * @returns {Promise<string>} One of SHARE_RESULT
+ */
+export const shareGalleryItem = async (item) => {
+  const url = getGalleryItemUrl(item.id);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({
+        title: item.title,
+        text: item.event ? `${item.title} · ${item.event}` : item.title,
+        url
+      });
+      return SHARE_RESULT.SHARED;
+    } catch (error) {
+      if (error.name === 'AbortError') return SHARE_RESULT.CANCELLED;
+      // Share sheet unavailable here (e.g. not allowed in this context); copy instead
+    }
+  }
+
+  await navigator.clipboard.writeText(url);
+  return SHARE_RESULT.COPIED;
+};
@@ -0,0 +1,104 @@
+import UPLOAD_CONFIG from '../config/upload';
+import { createWorkerPool } from './workerClient';
+import { hashFileContents, isFileHashingSupported } from './fileHashing';
+
+const { MAX_WORKERS, QUALITY, CACHE_NAME, MAX_CACHE_ENTRIES } = UPLOAD_CONFIG.HEIC_CONVERSION;
+
+const runInWorker = createWorkerPool(
+  () => new Worker(new URL('../workers/heicConverter.worker.js', import.meta.url), { type: 'module' }),
+  MAX_WORKERS
+);
+
+// Conversions in flight, so the same image requested twice is converted once
+const inFlight = new Map();
+
+// The type is sniffed from the contents when files are added, so it wins over the name
+export const isHeicFile = (file) =>
+  file.type ? /^image\/hei[cf]/.test(file.type) : /\.(heic|heif)$/i.test(file.name);
+
+export const isHeicUrl = (url) => /\.(heic|heif)/i.test(url);
+
+// Cache Storage is keyed by request URL; local files get a synthetic one per content hash
+// (or per name, size and date where hashing is unavailable). The hash is the one
+// computed for the Upload page's duplicate check, so files aren't read twice.
+const fileCacheKey = (id) => `/__heic-conversions__/${id}`;
+
+const openCache = async () => {
+  if (typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch {
+    return null;
+  }
+};
+
+const readCached = async (key) => {
+  const cache = await openCache();
+  const response = await cache?.match(key);
+  return response ? response.blob() : null;
+};
+
+const writeCached = async (key, blob) => {
+  const cache = await openCache();
+  if (!cache) return;
+
+  await cache.put(key, new Response(blob, { headers: { 'Content-Type': blob.type } }));
+
+  // Keys come back in insertion order; drop the oldest beyond the cap
+  const keys = await cache.keys();
+  await Promise.all(
+    keys.slice(0, Math.max(0, keys.length - MAX_CACHE_ENTRIES)).map((request) => cache.delete(request))
+  );
+};
+
+const convertWithCache = (key, loadBlob) => {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const conversion = (async () => {
+    const cached = await readCached(key).catch(() => null);
+    if (cached) return cached;
+
+    const source = await loadBlob();
+    if (!source) return null;
+
+    const { blob } = await runInWorker({ blob: source, quality: QUALITY });
+    writeCached(key, blob).catch((error) => console.warn('Could not cache HEIC conversion:', error));
+    return blob;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, conversion);
+  return conversion;
+};
+
+/**
+ * Convert a local HEIC/HEIF file to a JPEG blob in a worker, reusing a
+ * cached result for identical file contents.
+ *
+ * @param {File} file
+ * @returns {Promise<Blob>}
+ */
+export const convertHeicFile = async (file) => {
+  const key = isFileHashingSupported()
+    ? fileCacheKey(await hashFileContents(file))
+    : fileCacheKey(encodeURIComponent(`${file.name}-${file.size}-${file.lastModified}`));
+
+  return convertWithCache(key, () => file);
+};
+
+/**
+ * Fetch a remote image and convert it to a JPEG blob if it turns out to be
+ * HEIC/HEIF. Resolves to null when the server already sends something else.
+ *
+ * @param {string} url
+ * @returns {Promise<Blob|null>}
+ */
+export const convertHeicUrl = (url) =>
+  convertWithCache(url, async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url} (${response.status})`);
+    }
+
+    const blob = await response.blob();
+    return /hei[cf]/.test(blob.type) ? blob : null;
+  });
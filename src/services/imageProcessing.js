@@ -0,0 +1,81 @@
+import UPLOAD_CONFIG from '../config/upload';
+import { createWorkerClient } from './workerClient';
+import { isHeicFile } from './heicConversion';
+
+const { FORMATS } = UPLOAD_CONFIG.IMAGE_COMPRESSION;
+
+const runInWorker = createWorkerClient(
+  () => new Worker(new URL('../workers/imageProcessor.worker.js', import.meta.url), { type: 'module' })
+);
+
+export const isImageProcessingSupported = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+// Most browsers can't decode HEIC, but its preview is already a converted JPEG
+export const getDecodableImage = async (entry) => {
+  if (!isHeicFile(entry.file)) return entry.file;
+
+  if (!entry.preview) {
+    throw new Error('HEIC preview unavailable');
+  }
+  const response = await fetch(entry.preview);
+  return response.blob();
+};
+
+const renameForType = (fileName, type) => {
+  const format = FORMATS.find((entry) => entry.value === type);
+  const extension = format ? format.extension : type.split('/')[1];
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  return `${baseName}.${extension}`;
+};
+
+/**
+ * Re-encode an image in a Web Worker, whatever the resulting size.
+ *
+ * @param {File} file - Original file, used for naming
+ * @param {object} settings
+ * @param {number} settings.maxDimension - Longest edge in pixels
+ * @param {string} settings.format - Output MIME type (image/jpeg or image/webp)
+ * @param {number} settings.quality - Encoder quality between 0 and 1
+ * @param {Blob} [source] - Decodable pixels when the original can't be decoded (e.g. converted HEIC)
+ * @returns {Promise<{ file: File, width: number, height: number }>}
+ */
+export const convertImage = async (file, { maxDimension, format, quality }, source = file) => {
+  const result = await runInWorker({ blob: source, maxDimension, format, quality });
+
+  // Browsers that can't encode the requested format fall back to PNG
+  const convertedFile = new File([result.blob], renameForType(file.name, result.blob.type), {
+    type: result.blob.type,
+    lastModified: file.lastModified
+  });
+
+  return { file: convertedFile, width: result.width, height: result.height };
+};
+
+/**
+ * Downscale and re-encode an image in a Web Worker.
+ *
+ * Resolves with `skipped: true` (and the original file) when the result would
+ * not be smaller, so callers can always upload `result.file`.
+ *
+ * Takes the same arguments as convertImage.
+ */
+export const compressImage = async (file, settings, source = file) => {
+  const result = await convertImage(file, settings, source);
+
+  const originalSize = file.size;
+  const processedSize = result.file.size;
+
+  if (processedSize >= originalSize) {
+    return { file, originalSize, processedSize: originalSize, skipped: true };
+  }
+
+  return {
+    file: result.file,
+    originalSize,
+    processedSize,
+    width: result.width,
+    height: result.height,
+    skipped: false
+  };
+};
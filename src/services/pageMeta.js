@@ -0,0 +1,17 @@
+// Document title for the current view. Link preview tags can't be set from
+// here (crawlers don't run JavaScript); gallery permalinks get theirs from
+// api/gallery-item.js, and every other page keeps the defaults in index.html.
+
+/**
+ * Set the page title.
+ *
+ * @param {string} title
+ * @returns {() => void} Puts back the previous title
+ */
+export const setPageTitle = (title) => {
+  const previousTitle = document.title;
+  document.title = title;
+  return () => {
+    document.title = previousTitle;
+  };
+};
@@ -0,0 +1,86 @@
+import { readExif, stripExif, findExifHeader, readTiffExif } from '../utils/exif';
+import { readImageMetadata, stripImageMetadata } from '../utils/imageMetadata';
+import { convertHeicFile, isHeicFile } from './heicConversion';
+
+// EXIF and XMP live in APP segments at the start of a JPEG; APP1 is capped
+// at 64 KB, so this comfortably covers them plus a large ICC profile. HEIF
+// files usually store their EXIF block within this range too.
+const METADATA_READ_LENGTH = 256 * 1024;
+
+const isJpegFile = (file) =>
+  file.type ? file.type === 'image/jpeg' : /\.(jpe?g)$/i.test(file.name);
+
+// PNG and WebP metadata may follow the image data, so they're read whole
+const isPngOrWebpFile = (file) =>
+  file.type ? ['image/png', 'image/webp'].includes(file.type) : /\.(png|webp)$/i.test(file.name);
+
+const needsStripping = ({ hasGps, hasIdentifyingTags, hasXmp }) =>
+  hasGps || hasIdentifyingTags || hasXmp;
+
+// The fields callers see; XMP only matters for deciding whether to strip
+const toPhotoMetadata = (
+  { make, model, orientation, captureTime, hasGps, hasIdentifyingTags },
+  strippedFile
+) => ({ make, model, orientation, captureTime, hasGps, hasIdentifyingTags, strippedFile });
+
+const toFile = (parts, file, name = file.name, type = file.type) =>
+  new File(parts, name, { type, lastModified: file.lastModified });
+
+const readJpegMetadata = async (file) => {
+  const head = await file.slice(0, METADATA_READ_LENGTH).arrayBuffer();
+  const exif = readExif(head);
+  if (!exif) return null;
+
+  const parts = needsStripping(exif) ? stripExif(head, file) : null;
+  return toPhotoMetadata(exif, parts ? toFile(parts, file) : null);
+};
+
+const readPngOrWebpMetadata = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const metadata = readImageMetadata(buffer);
+  if (!metadata) return null;
+
+  const parts = needsStripping(metadata) ? stripImageMetadata(buffer, file) : null;
+  return toPhotoMetadata(metadata, parts ? toFile(parts, file) : null);
+};
+
+// HEIF metadata can't be rewritten in place here, so the stripped copy is the
+// JPEG conversion (which carries no metadata at all). Without an EXIF block
+// near the start its contents are unknown, so the copy is always offered.
+const readHeicMetadata = async (file) => {
+  const head = await file.slice(0, METADATA_READ_LENGTH).arrayBuffer();
+  const exifOffset = findExifHeader(head);
+  const exif = exifOffset >= 0 ? readTiffExif(head.slice(exifOffset)) : null;
+  const converted = await convertHeicFile(file);
+
+  return toPhotoMetadata(
+    {
+      make: null,
+      model: null,
+      orientation: 1,
+      captureTime: null,
+      hasGps: false,
+      hasIdentifyingTags: false,
+      ...exif
+    },
+    toFile([converted], file, file.name.replace(/\.[^.]+$/, '') + '.jpg', 'image/jpeg')
+  );
+};
+
+/**
+ * Read capture details from a photo and, when it carries GPS coordinates or
+ * identifying tags, prepare a copy with them removed. JPEG, PNG and WebP
+ * copies keep everything else; HEIC/HEIF photos are converted to a JPEG.
+ *
+ * Resolves to null for other files.
+ *
+ * @param {File} file
+ * @returns {Promise<{ captureTime: string|null, orientation: number, make: string|null,
+ *   model: string|null, hasGps: boolean, hasIdentifyingTags: boolean, strippedFile: File|null }|null>}
+ */
+export const readPhotoMetadata = async (file) => {
+  if (isJpegFile(file)) return readJpegMetadata(file);
+  if (isPngOrWebpFile(file)) return readPngOrWebpMetadata(file);
+  if (isHeicFile(file)) return readHeicMetadata(file);
+  return null;
+};
@@ -0,0 +1,58 @@
+import { STORES, getAllRecords, putRecord, deleteRecord } from './db';
+
+// Files shared to the installed app from another app's share sheet. The
+// service worker receives the share target POST, stores the files in
+// IndexedDB and sends the user to the Upload page, which takes them from here.
+
+// Must match share_target in the manifest (vite.config.js)
+export const SHARE_TARGET_PATH = '/share-target';
+const SHARE_TARGET_FILES_FIELD = 'media';
+
+const SHARED_FILES_LOCK = 'lensbridge-shared-files';
+
+// Two tabs (or a StrictMode double mount) mustn't both take the same files
+const withSharedFilesLock = (callback) =>
+  navigator.locks ? navigator.locks.request(SHARED_FILES_LOCK, callback) : callback();
+
+/**
+ * Service worker handler for the share target POST. Always redirects to the
+ * Upload page so a failed share still opens the app.
+ *
+ * @param {{ request: Request }} options - As passed to Workbox route handlers
+ * @returns {Promise<Response>}
+ */
+export const handleShareTargetRequest = async ({ request }) => {
+  try {
+    const formData = await request.formData();
+    const files = formData
+      .getAll(SHARE_TARGET_FILES_FIELD)
+      .filter((value) => value instanceof File && value.size > 0);
+
+    if (files.length > 0) {
+      await putRecord(STORES.SHARED_FILES, {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        files,
+        sharedAt: Date.now()
+      });
+    }
+  } catch (error) {
+    console.error('Error receiving shared files:', error);
+  }
+
+  return Response.redirect('/upload?shared=1', 303);
+};
+
+/**
+ * Take every share waiting for the Upload page, oldest first. Taken shares
+ * are removed so they're only added once.
+ *
+ * @returns {Promise<File[]>}
+ */
+export const takeSharedFiles = () =>
+  withSharedFilesLock(async () => {
+    const shares = await getAllRecords(STORES.SHARED_FILES);
+    await Promise.all(shares.map((share) => deleteRecord(STORES.SHARED_FILES, share.id)));
+
+    shares.sort((a, b) => a.sharedAt - b.sharedAt);
+    return shares.flatMap((share) => share.files);
+  });
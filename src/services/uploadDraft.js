@@ -0,0 +1,70 @@
+import UPLOAD_CONFIG from '../config/upload';
+import { STORES, getRecord, putRecord, deleteRecord } from './db';
+
+// Unfinished Upload page submissions, kept per signed-in user so a reload or
+// an expired session doesn't lose the selected files. The draft record holds
+// the form and per-file settings; each file's contents are a separate FILES
+// record so autosaving a keystroke doesn't rewrite every blob.
+
+const { MAX_AGE } = UPLOAD_CONFIG.DRAFTS;
+
+const draftFileKey = (owner, entryId) => `draft:${owner}:${entryId}`;
+
+// Drafts belong to whoever was signed in when they were saved
+export const getDraftOwner = () => {
+  try {
+    const user = JSON.parse(localStorage.getItem('user'));
+    return user?.email || user?.id || null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveDraftFile = (owner, entryId, file) =>
+  putRecord(STORES.FILES, { id: draftFileKey(owner, entryId), file });
+
+export const deleteDraftFile = (owner, entryId) =>
+  deleteRecord(STORES.FILES, draftFileKey(owner, entryId));
+
+/**
+ * Write the draft record. Files must already be saved with saveDraftFile.
+ *
+ * @param {string} owner - From getDraftOwner
+ * @param {object} draft
+ * @param {object} draft.formData - Upload form fields
+ * @param {object[]} draft.entries - Per-file settings, each with the entry `id`
+ */
+export const saveDraft = (owner, { formData, entries }) =>
+  putRecord(STORES.UPLOAD_DRAFTS, { owner, formData, entries, savedAt: Date.now() });
+
+export const discardDraft = async (owner) => {
+  const draft = await getRecord(STORES.UPLOAD_DRAFTS, owner);
+  if (!draft) return;
+
+  await Promise.all(draft.entries.map((entry) => deleteDraftFile(owner, entry.id)));
+  await deleteRecord(STORES.UPLOAD_DRAFTS, owner);
+};
+
+/**
+ * Read a saved draft with each entry's file attached. Expired drafts are
+ * discarded, and entries whose file is missing are dropped.
+ *
+ * @returns {Promise<{ formData: object, entries: object[], savedAt: number }|null>}
+ */
+export const loadDraft = async (owner) => {
+  const draft = await getRecord(STORES.UPLOAD_DRAFTS, owner);
+  if (!draft) return null;
+
+  if (Date.now() - draft.savedAt > MAX_AGE) {
+    await discardDraft(owner);
+    return null;
+  }
+
+  const entries = await Promise.all(
+    draft.entries.map(async (entry) => {
+      const record = await getRecord(STORES.FILES, draftFileKey(owner, entry.id));
+      return record ? { ...entry, file: record.file } : null;
+    })
+  );
+  return { ...draft, entries: entries.filter(Boolean) };
+};
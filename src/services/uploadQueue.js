@@ -0,0 +1,199 @@
+import { getAuthHeader } from './api';
+import { uploadFile } from './uploader';
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord } from './db';
+
+// Offline submission queue. Submissions are written to IndexedDB by the Upload
+// page and replayed by the service worker's Background Sync handler, or by the
+// page itself in browsers without Background Sync.
+
+export const UPLOAD_QUEUE_SYNC_TAG = 'lensbridge-upload-queue';
+
+const QUEUE_CHANNEL = 'lensbridge-upload-queue';
+const QUEUE_LOCK = 'lensbridge-upload-queue';
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  FAILED: 'failed'
+};
+
+const notifyQueueChanged = () => {
+  if (typeof BroadcastChannel === 'undefined') return;
+
+  const channel = new BroadcastChannel(QUEUE_CHANNEL);
+  channel.postMessage({ type: 'queue-updated' });
+  channel.close();
+};
+
+export const subscribeToQueue = (callback) => {
+  if (typeof BroadcastChannel === 'undefined') return () => {};
+
+  const channel = new BroadcastChannel(QUEUE_CHANNEL);
+  channel.onmessage = () => callback();
+  return () => channel.close();
+};
+
+// Only one context (a tab or the service worker) replays the queue at a time.
+// Without `wait`, nothing happens while another context holds the lock.
+const withQueueLock = async (callback, { wait = false } = {}) => {
+  if (!navigator.locks) return callback();
+
+  if (wait) return navigator.locks.request(QUEUE_LOCK, callback);
+  return navigator.locks.request(QUEUE_LOCK, { ifAvailable: true }, (lock) =>
+    lock ? callback() : undefined
+  );
+};
+
+export const isBackgroundSyncSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'SyncManager' in window;
+
+export const requestBackgroundSync = async () => {
+  if (!isBackgroundSyncSupported()) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync.register(UPLOAD_QUEUE_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Background Sync registration failed:', error);
+    return false;
+  }
+};
+
+const saveSubmission = async (submission) => {
+  await putRecord(STORES.UPLOAD_QUEUE, { ...submission, updatedAt: Date.now() });
+  notifyQueueChanged();
+};
+
+/**
+ * Persist a submission for later upload and ask the service worker to replay
+ * it once connectivity returns.
+ *
+ * @param {object} submission
+ * @param {string|number} submission.eventId
+ * @param {string} submission.eventName
+ * @param {object} submission.metadata - Form fields (instagramHandle, description, anon)
+ * @param {{ file: File, fields?: object, poster?: File }[]} submission.files - Files with their per-file form fields
+ */
+export const enqueueSubmission = async ({ eventId, eventName, metadata, files }) => {
+  const id = crypto.randomUUID();
+
+  const queuedFiles = [];
+  for (const [index, { file, fields = {}, poster }] of files.entries()) {
+    const fileId = `${id}:${index}`;
+    await putRecord(STORES.FILES, { id: fileId, file, poster });
+    queuedFiles.push({ id: fileId, name: file.name, size: file.size, type: file.type, fields });
+  }
+
+  await saveSubmission({
+    id,
+    eventId,
+    eventName,
+    metadata,
+    files: queuedFiles,
+    // Captured now because the service worker cannot read localStorage
+    authHeader: getAuthHeader(),
+    status: QUEUE_STATUS.PENDING,
+    error: null,
+    createdAt: Date.now()
+  });
+
+  await requestBackgroundSync();
+  return id;
+};
+
+export const getQueuedSubmissions = async () => {
+  const submissions = await getAllRecords(STORES.UPLOAD_QUEUE);
+  return submissions.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const removeQueuedSubmission = async (id) => {
+  const submission = await getRecord(STORES.UPLOAD_QUEUE, id);
+  if (!submission) return;
+
+  await Promise.all(submission.files.map((file) => deleteRecord(STORES.FILES, file.id)));
+  await deleteRecord(STORES.UPLOAD_QUEUE, id);
+  notifyQueueChanged();
+};
+
+export const retryQueuedSubmission = async (id) => {
+  const submission = await getRecord(STORES.UPLOAD_QUEUE, id);
+  if (!submission) return;
+
+  // A refreshed login in this tab should be used for the retry
+  await saveSubmission({
+    ...submission,
+    authHeader: getAuthHeader() || submission.authHeader,
+    status: QUEUE_STATUS.PENDING,
+    error: null
+  });
+
+  if (!(await requestBackgroundSync()) && navigator.onLine) {
+    await processUploadQueue();
+  }
+};
+
+// Upload a submission file by file, dropping each one from the record as soon
+// as it succeeds so a later replay only sends what is left.
+const replaySubmission = async (submission) => {
+  let current = { ...submission, status: QUEUE_STATUS.UPLOADING, error: null };
+  await saveSubmission(current);
+
+  for (const queuedFile of submission.files) {
+    const stored = await getRecord(STORES.FILES, queuedFile.id);
+
+    if (stored) {
+      await uploadFile(stored.file, {
+        eventId: submission.eventId,
+        metadata: { ...submission.metadata, ...queuedFile.fields },
+        poster: stored.poster,
+        auth: submission.authHeader || true
+      });
+      await deleteRecord(STORES.FILES, queuedFile.id);
+    }
+
+    current = { ...current, files: current.files.filter((file) => file.id !== queuedFile.id) };
+    await saveSubmission(current);
+  }
+
+  await deleteRecord(STORES.UPLOAD_QUEUE, submission.id);
+  notifyQueueChanged();
+};
+
+/**
+ * Replay every pending submission. Rejects when the network is still
+ * unavailable so Background Sync schedules another attempt.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.waitForLock] - Wait for a replay in another context to
+ *   finish rather than skipping. The service worker's sync handler needs this, or
+ *   the sync would count as done without anything being sent.
+ */
+export const processUploadQueue = ({ waitForLock = false } = {}) => withQueueLock(async () => {
+  const submissions = await getQueuedSubmissions();
+
+  for (const submission of submissions) {
+    if (submission.status === QUEUE_STATUS.FAILED) continue;
+
+    try {
+      await replaySubmission(submission);
+    } catch (error) {
+      const latest = (await getRecord(STORES.UPLOAD_QUEUE, submission.id)) || submission;
+
+      if (error.isNetworkError) {
+        await saveSubmission({ ...latest, status: QUEUE_STATUS.PENDING, error: error.message });
+        throw error;
+      }
+
+      await saveSubmission({
+        ...latest,
+        status: QUEUE_STATUS.FAILED,
+        error: error.isUnauthorized
+          ? 'Your session expired. Sign in again and retry.'
+          : error.message
+      });
+    }
+  }
+}, { wait: waitForLock });
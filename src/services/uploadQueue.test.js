@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// In-memory stand-in for IndexedDB, which Node doesn't have
+const stores = new Map();
+const storeFor = (name) => {
+  if (!stores.has(name)) stores.set(name, new Map());
+  return stores.get(name);
+};
+
+vi.mock('./db', () => ({
+  STORES: { UPLOAD_QUEUE: 'uploadQueue', FILES: 'files', CHUNKED_UPLOADS: 'chunkedUploads' },
+  getRecord: async (store, key) => storeFor(store).get(key),
+  getAllRecords: async (store) => [...storeFor(store).values()],
+  putRecord: async (store, record) => {
+    storeFor(store).set(record.id ?? record.fingerprint, record);
+  },
+  deleteRecord: async (store, key) => {
+    storeFor(store).delete(key);
+  }
+}));
+
+const { processUploadQueue, QUEUE_STATUS } = await import('./uploadQueue');
+const { putRecord } = await import('./db');
+
+const queueSubmission = async (file) => {
+  await putRecord('files', { id: 'submission-1:0', file });
+  await putRecord('uploadQueue', {
+    id: 'submission-1',
+    eventId: 7,
+    eventName: 'Eid Banquet',
+    metadata: { consentVersion: '2024-01' },
+    files: [{ id: 'submission-1:0', name: file.name, size: file.size, type: file.type, fields: {} }],
+    authHeader: 'Bearer queued-token',
+    status: QUEUE_STATUS.PENDING,
+    error: null,
+    createdAt: 1
+  });
+};
+
+describe('processUploadQueue in a service worker', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    stores.clear();
+    // Service workers have fetch and navigator, but no XMLHttpRequest
+    expect(typeof XMLHttpRequest).toBe('undefined');
+    vi.stubGlobal('navigator', { onLine: true });
+    fetchMock = vi.fn(async () => new Response(JSON.stringify({ ok: true }), { status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends queued files with fetch and empties the queue', async () => {
+    await queueSubmission(new File(['photo'], 'photo.jpg', { type: 'image/jpeg' }));
+
+    await processUploadQueue({ waitForLock: true });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toContain('/7/batch');
+    expect(init.headers.Authorization).toBe('Bearer queued-token');
+    expect(storeFor('uploadQueue').size).toBe(0);
+    expect(storeFor('files').size).toBe(0);
+  });
+
+  it('sends large files in chunks with fetch', async () => {
+    const API_CONFIG = (await import('../config/api')).default;
+    const size = API_CONFIG.CHUNKED_UPLOAD.THRESHOLD + 1;
+    fetchMock.mockImplementation(async (url, init) => {
+      if (init.method === 'POST') return Response.json({ uploadId: 'session-1', offset: 0 });
+      const offset = Number(init.headers['Upload-Offset']);
+      return Response.json({ offset: offset + init.body.size });
+    });
+
+    await queueSubmission(new File([new Uint8Array(size)], 'clip.mp4', { type: 'video/mp4' }));
+    await processUploadQueue({ waitForLock: true });
+
+    const chunkCalls = fetchMock.mock.calls.filter(([, init]) => init.method === 'PATCH');
+    expect(chunkCalls.length).toBeGreaterThan(0);
+    expect(storeFor('uploadQueue').size).toBe(0);
+  });
+});
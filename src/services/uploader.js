@@ -0,0 +1,41 @@
+import api from './api';
+import { shouldUploadInChunks, uploadInChunks } from './chunkedUpload';
+
+/**
+ * Upload one file to an event, choosing between the batch endpoint and a
+ * resumable chunked session based on its size. The file's type is sent as
+ * is, so it should be the sniffed one from validateFile.
+ *
+ * @param {File} file
+ * @param {object} options
+ * @param {string|number} options.eventId
+ * @param {object} [options.metadata] - Form fields (instagramHandle, description, anon, consentVersion,
+ *   consentedAt, captureTime)
+ * @param {File} [options.poster] - Cover image for a video
+ * @param {(uploaded: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean|string} [options.auth] - Passed through to the API client
+ */
+export const uploadFile = async (file, { eventId, metadata = {}, poster, onProgress, signal, auth } = {}) => {
+  if (shouldUploadInChunks(file)) {
+    return uploadInChunks(file, { eventId, metadata, poster, onProgress, signal, auth });
+  }
+
+  const uploadData = new FormData();
+  uploadData.append('files', file);
+  if (poster) {
+    uploadData.append('poster', poster);
+  }
+  Object.entries(metadata).forEach(([key, value]) => {
+    uploadData.append(key, value);
+  });
+
+  const result = await api.upload.batch(eventId, uploadData, {
+    signal,
+    auth,
+    // Multipart framing makes the request slightly larger than the file itself
+    onUploadProgress: (loaded, total) => onProgress?.(Math.round((loaded / total) * file.size), file.size)
+  });
+  onProgress?.(file.size, file.size);
+  return result;
+};
@@ -0,0 +1,161 @@
+import UPLOAD_CONFIG from '../config/upload';
+import { waitForEvent } from './videoPoster';
+
+const {
+  MAX_DIMENSION,
+  FRAME_RATE,
+  AUDIO_BITRATE,
+  MIN_VIDEO_BITRATE,
+  MAX_VIDEO_BITRATE,
+  SIZE_TARGET
+} = UPLOAD_CONFIG.VIDEO_COMPRESSION;
+
+// Preferred recorder formats; MP4 where the browser can record it
+const RECORDING_TYPES = [
+  { mimeType: 'video/mp4;codecs=avc1,mp4a', type: 'video/mp4', extension: 'mp4' },
+  { mimeType: 'video/mp4', type: 'video/mp4', extension: 'mp4' },
+  { mimeType: 'video/webm;codecs=vp9,opus', type: 'video/webm', extension: 'webm' },
+  { mimeType: 'video/webm', type: 'video/webm', extension: 'webm' }
+];
+
+// The first recorder format the browser supports among the allowed types, or null
+export const getRecordingType = (allowedTypes) => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return RECORDING_TYPES.find(
+    ({ mimeType, type }) => allowedTypes.includes(type) && MediaRecorder.isTypeSupported(mimeType)
+  ) || null;
+};
+
+/**
+ * Whether this browser can re-encode videos into one of the given types.
+ *
+ * @param {string[]} allowedTypes - Video MIME types the upload policy accepts
+ */
+export const isVideoCompressionSupported = (allowedTypes) =>
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+  typeof AudioContext !== 'undefined' &&
+  Boolean(getRecordingType(allowedTypes));
+
+/**
+ * Re-encode a video at a lower resolution and bitrate, into a type the
+ * browser can record, so it fits under `maxSize`. The video is played back
+ * silently and recorded, so this takes as long as the video runs and needs
+ * the tab to stay in the foreground.
+ *
+ * Must be started from a user gesture: playback and audio capture are
+ * subject to the browser's autoplay rules.
+ *
+ * @param {File} file
+ * @param {object} options
+ * @param {number|null} options.maxSize - Size limit in bytes, if any
+ * @param {string[]} options.allowedTypes - Video MIME types the result may use
+ * @param {(progress: number) => void} [options.onProgress] - Called with 0..1
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<File>}
+ */
+export const compressVideo = async (file, { maxSize, allowedTypes, onProgress, signal }) => {
+  const recording = getRecordingType(allowedTypes);
+  if (!recording) {
+    throw new Error('Your browser cannot compress videos');
+  }
+
+  // Created before any await so it starts within the user gesture
+  const audioContext = new AudioContext();
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  let recorder = null;
+  let frameHandle = null;
+
+  try {
+    const loaded = waitForEvent(video, 'loadedmetadata');
+    video.src = url;
+    await loaded;
+
+    const { duration } = video;
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error('Could not read the video length');
+    }
+
+    const videoBitrate = maxSize
+      ? Math.min(MAX_VIDEO_BITRATE, Math.floor((maxSize * SIZE_TARGET * 8) / duration) - AUDIO_BITRATE)
+      : MAX_VIDEO_BITRATE;
+    if (videoBitrate < MIN_VIDEO_BITRATE) {
+      throw new Error('This video is too long to fit under the size limit. Trim it and try again.');
+    }
+
+    // Encoders want even dimensions
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round((video.videoWidth * scale) / 2) * 2;
+    canvas.height = Math.round((video.videoHeight * scale) / 2) * 2;
+    const context = canvas.getContext('2d');
+
+    // Route the soundtrack into the recording instead of the speakers
+    const audioDestination = audioContext.createMediaStreamDestination();
+    audioContext.createMediaElementSource(video).connect(audioDestination);
+
+    const stream = new MediaStream([
+      ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+      ...audioDestination.stream.getAudioTracks()
+    ]);
+    recorder = new MediaRecorder(stream, {
+      mimeType: recording.mimeType,
+      videoBitsPerSecond: videoBitrate,
+      audioBitsPerSecond: AUDIO_BITRATE
+    });
+
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = waitForEvent(recorder, 'stop');
+
+    const drawFrame = () => {
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      onProgress?.(Math.min(1, video.currentTime / duration));
+      frameHandle = requestAnimationFrame(drawFrame);
+    };
+
+    const ended = waitForEvent(video, 'ended');
+    const aborted = new Promise((resolve, reject) => {
+      if (signal?.aborted) reject(new DOMException('Compression cancelled', 'AbortError'));
+      signal?.addEventListener('abort', () =>
+        reject(new DOMException('Compression cancelled', 'AbortError'))
+      );
+    });
+
+    await audioContext.resume();
+    recorder.start(1000);
+    await video.play();
+    drawFrame();
+    await Promise.race([ended, aborted]);
+
+    cancelAnimationFrame(frameHandle);
+    recorder.stop();
+    await stopped;
+
+    const blob = new Blob(chunks, { type: recording.type });
+    if (maxSize && blob.size > maxSize) {
+      throw new Error('The compressed video is still over the size limit. Trim it and try again.');
+    }
+
+    onProgress?.(1);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    return new File([blob], `${baseName}.${recording.extension}`, {
+      type: recording.type,
+      lastModified: file.lastModified
+    });
+  } finally {
+    cancelAnimationFrame(frameHandle);
+    if (recorder?.state === 'recording') recorder.stop();
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+    audioContext.close();
+  }
+};
@@ -0,0 +1,90 @@
+import UPLOAD_CONFIG from '../config/upload';
+
+const { MAX_DIMENSION, QUALITY, DEFAULT_TIME } = UPLOAD_CONFIG.VIDEO_POSTER;
+
+export const waitForEvent = (target, eventName) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    target.removeEventListener(eventName, onEvent);
+    target.removeEventListener('error', onError);
+  };
+  const onEvent = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = () => {
+    cleanup();
+    reject(new Error('This video format cannot be previewed in your browser'));
+  };
+
+  target.addEventListener(eventName, onEvent);
+  target.addEventListener('error', onError);
+});
+
+export const getDefaultPosterTime = (duration) =>
+  Number.isFinite(duration) ? Math.min(DEFAULT_TIME, duration / 2) : 0;
+
+export const seekVideo = async (video, time) => {
+  if (video.readyState >= 2 && Math.abs(video.currentTime - time) < 0.01) return;
+
+  const seeked = waitForEvent(video, 'seeked');
+  video.currentTime = time;
+  await seeked;
+};
+
+/**
+ * Draw the video's current frame to a canvas and encode it as a JPEG,
+ * scaled down to the configured poster size.
+ *
+ * @param {HTMLVideoElement} video - Must have decoded the current frame
+ * @returns {Promise<Blob>}
+ */
+export const captureVideoFrame = (video) => new Promise((resolve, reject) => {
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Could not capture video frame'))),
+    'image/jpeg',
+    QUALITY
+  );
+});
+
+/**
+ * Load a video in a detached element to read its duration and resolution and
+ * capture a default poster frame.
+ *
+ * @param {File} file
+ * @returns {Promise<{ duration: number, width: number, height: number, posterTime: number, poster: Blob }>}
+ */
+export const readVideoDetails = async (file) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  try {
+    const loaded = waitForEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+
+    const duration = Number.isFinite(video.duration) ? video.duration : 0;
+    const posterTime = getDefaultPosterTime(duration);
+    await seekVideo(video, posterTime);
+
+    return {
+      duration,
+      width: video.videoWidth,
+      height: video.videoHeight,
+      posterTime,
+      poster: await captureVideoFrame(video)
+    };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
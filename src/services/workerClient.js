@@ -0,0 +1,82 @@
+/**
+ * Promise-based request/response wrapper around a Web Worker that replies to
+ * `{ id, ...message }` with `{ id, ...result }` or `{ id, error }`.
+ *
+ * The worker is created lazily on first use and recreated after a crash.
+ *
+ * @param {() => Worker} createWorker - Must call `new Worker(new URL(...))` itself so Vite can bundle it
+ * @returns {(message: object) => Promise<object>}
+ */
+export const createWorkerClient = (createWorker) => {
+  let worker = null;
+  let nextRequestId = 0;
+  const pendingRequests = new Map();
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+
+      worker.onmessage = (event) => {
+        const { id, error, ...result } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+
+        pendingRequests.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      };
+
+      worker.onerror = (event) => {
+        pendingRequests.forEach(({ reject }) => reject(new Error(event.message || 'Worker crashed')));
+        pendingRequests.clear();
+        worker.terminate();
+        worker = null;
+      };
+    }
+    return worker;
+  };
+
+  return (message) => new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, ...message });
+  });
+};
+
+/**
+ * Spread requests over up to `size` workers, each handling one request at a
+ * time. Extra requests wait in a FIFO queue.
+ *
+ * @param {() => Worker} createWorker - Must call `new Worker(new URL(...))` itself so Vite can bundle it
+ * @param {number} size
+ * @returns {(message: object) => Promise<object>}
+ */
+export const createWorkerPool = (createWorker, size) => {
+  const slots = Array.from({ length: size }, () => ({
+    run: createWorkerClient(createWorker),
+    busy: false
+  }));
+  const queue = [];
+
+  const dispatch = () => {
+    const slot = slots.find((candidate) => !candidate.busy);
+    if (!slot || queue.length === 0) return;
+
+    const { message, resolve, reject } = queue.shift();
+    slot.busy = true;
+    slot.run(message)
+      .then(resolve, reject)
+      .finally(() => {
+        slot.busy = false;
+        dispatch();
+      });
+  };
+
+  return (message) => new Promise((resolve, reject) => {
+    queue.push({ message, resolve, reject });
+    dispatch();
+  });
+};
@@ -0,0 +1,69 @@
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { clientsClaim } from 'workbox-core';
+import { UPLOAD_QUEUE_SYNC_TAG, processUploadQueue } from './services/uploadQueue';
+import { SHARE_TARGET_PATH, handleShareTargetRequest } from './services/shareTarget';
+
+self.skipWaiting();
+clientsClaim();
+
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the SPA shell for client-side routes
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+// "Share → LensBridge" from another app; the files are handed to the Upload page
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === SHARE_TARGET_PATH,
+  handleShareTargetRequest,
+  'POST'
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 10,
+        maxAgeSeconds: 60 * 60 * 24 * 365
+      })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'gstatic-fonts-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 10,
+        maxAgeSeconds: 60 * 60 * 24 * 365
+      })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url }) => /\.(?:png|jpg|jpeg|svg|gif|webp)$/.test(url.pathname),
+  new CacheFirst({
+    cacheName: 'images-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 60,
+        maxAgeSeconds: 60 * 60 * 24 * 30
+      })
+    ]
+  })
+);
+
+// Replay submissions queued while offline once connectivity returns
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_QUEUE_SYNC_TAG) {
+    event.waitUntil(processUploadQueue({ waitForLock: true }));
+  }
+});
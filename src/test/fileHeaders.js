@@ -0,0 +1,55 @@
+// Leading bytes of each container detectFileType knows, padded like a real
+// file would be. Just enough for the signature checks; none of them decode.
+
+const bytesOf = (...parts) =>
+  Uint8Array.from(
+    parts.flatMap((part) =>
+      typeof part === 'string' ? [...part].map((char) => char.charCodeAt(0)) : part
+    )
+  );
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+
+const padded = (bytes, length = 64) => {
+  const result = new Uint8Array(Math.max(length, bytes.length));
+  result.set(bytes);
+  return result;
+};
+
+// ISO base media "ftyp" box: size, type, major brand, minor version, compatible brands
+export const ftyp = (majorBrand, compatibleBrands = []) => {
+  const size = 16 + compatibleBrands.length * 4;
+  return padded(bytesOf(uint32(size), 'ftyp', majorBrand, uint32(0), ...compatibleBrands));
+};
+
+export const HEADERS = {
+  jpeg: padded(bytesOf([0xff, 0xd8, 0xff, 0xe1], [0x00, 0x10], 'Exif\0\0')),
+  png: padded(bytesOf([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], uint32(13), 'IHDR')),
+  gif: padded(bytesOf('GIF89a', [0x01, 0x00, 0x01, 0x00])),
+  webp: padded(bytesOf('RIFF', [0x24, 0, 0, 0], 'WEBP', 'VP8 ')),
+  avi: padded(bytesOf('RIFF', [0x24, 0, 0, 0], 'AVI ', 'LIST')),
+  webm: padded(bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82, 0x84], 'webm')),
+  mkv: padded(bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0xa3, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82, 0x88], 'matroska')),
+  heic: ftyp('heic', ['mif1', 'heic']),
+  heif: ftyp('mif1', ['mif1']),
+  heifWithHeic: ftyp('mif1', ['mif1', 'heic']),
+  avif: ftyp('avif', ['avif', 'mif1']),
+  avifUnderMif1: ftyp('mif1', ['mif1', 'avif']),
+  mp4: ftyp('isom', ['isom', 'iso2', 'avc1', 'mp41']),
+  m4v: ftyp('M4V ', ['M4V ', 'M4A ', 'mp42', 'isom']),
+  mov: ftyp('qt  ', ['qt  ']),
+  // Old QuickTime files that start with a movie atom rather than ftyp
+  legacyMov: padded(bytesOf(uint32(8), 'wide', uint32(0x100), 'mdat')),
+  // HEIF listed as compatible under a movie major brand, as some phones write it
+  heicUnderMovieBrand: ftyp('mp42', ['mp42', 'heic']),
+  text: padded(bytesOf('Hello, this is not an image.'))
+};
+
+/**
+ * A File with the given header, name and (claimed) type.
+ *
+ * @param {Uint8Array} header
+ * @param {string} name
+ * @param {string} [type]
+ */
+export const makeFile = (header, name, type = '') => new File([header], name, { type });
@@ -0,0 +1,56 @@
+import PRIVACY_CONFIG from '../config/privacy';
+
+// Deletion requests are created when a member withdraws consent for some or
+// all of their uploads. The server records an audit entry when one is made
+// and again when an admin completes or rejects it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DELETION_REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  REJECTED: 'REJECTED'
+};
+
+export const DELETION_REQUEST_SCOPE = {
+  SELECTED: 'SELECTED',
+  ALL: 'ALL'
+};
+
+export const SLA_STATE = {
+  ON_TRACK: 'on-track',
+  DUE_SOON: 'due-soon',
+  OVERDUE: 'overdue',
+  CLOSED: 'closed'
+};
+
+// The server's due date when it sends one, otherwise the SLA from when the request was made
+export const getDeletionDueDate = (request) =>
+  request.dueDate
+    ? new Date(request.dueDate)
+    : new Date(new Date(request.createdDate).getTime() + PRIVACY_CONFIG.DELETION_SLA_DAYS * DAY_MS);
+
+// Whole days until the request is due; negative once it is overdue
+export const getDaysUntilDue = (request, now = Date.now()) =>
+  Math.ceil((getDeletionDueDate(request).getTime() - now) / DAY_MS);
+
+export const getSlaState = (request, now = Date.now()) => {
+  if (request.status !== DELETION_REQUEST_STATUS.PENDING) return SLA_STATE.CLOSED;
+
+  const daysLeft = getDaysUntilDue(request, now);
+  if (daysLeft < 0) return SLA_STATE.OVERDUE;
+  if (daysLeft <= PRIVACY_CONFIG.DELETION_DUE_SOON_DAYS) return SLA_STATE.DUE_SOON;
+  return SLA_STATE.ON_TRACK;
+};
+
+// An "all uploads" request covers everything sent before it was made
+export const isUploadCovered = (request, upload) =>
+  request.scope === DELETION_REQUEST_SCOPE.ALL
+    ? new Date(upload.createdDate) <= new Date(request.createdDate)
+    : (request.uploadIds || []).includes(upload.uuid);
+
+export const getScopeLabel = (request) => {
+  if (request.scope === DELETION_REQUEST_SCOPE.ALL) return 'All uploads';
+  const count = request.uploadCount ?? request.uploadIds?.length ?? 0;
+  return `${count} ${count === 1 ? 'upload' : 'uploads'}`;
+};
@@ -0,0 +1,341 @@
+// Minimal JPEG EXIF reader and scrubber. Only the tags the Upload page needs
+// are decoded; everything else is copied through untouched. The TIFF helpers
+// also serve the EXIF blocks of PNG, WebP and HEIF files.
+
+const MARKER_SOS = 0xffda;
+const MARKER_EOI = 0xffd9;
+const MARKER_APP1 = 0xffe1;
+
+// "Exif\0\0" precedes the TIFF header inside the APP1 segment
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/';
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011
+};
+
+// Tags that can tie a photo to a person or a specific device
+const IDENTIFYING_TAGS = [
+  0x013b, // Artist
+  0x013c, // HostComputer
+  0x9c9d, // XPAuthor
+  0x927c, // MakerNote (vendor blob, often holds serial numbers)
+  0xa420, // ImageUniqueID
+  0xa430, // CameraOwnerName
+  0xa431, // BodySerialNumber
+  0xa435 // LensSerialNumber
+];
+
+export const ORIENTATION_LABELS = {
+  2: 'Mirrored',
+  3: 'Rotated 180°',
+  4: 'Mirrored vertically',
+  5: 'Mirrored, rotated 90°',
+  6: 'Rotated 90°',
+  7: 'Mirrored, rotated 270°',
+  8: 'Rotated 270°'
+};
+
+const matchesBytes = (view, offset, bytes) =>
+  offset + bytes.length <= view.byteLength &&
+  bytes.every((byte, index) => view.getUint8(offset + index) === byte);
+
+const readAscii = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint8(offset + i);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text.trim();
+};
+
+// Walk the JPEG marker segments that precede the image data. Stops early when
+// a segment runs past the end of the (possibly truncated) buffer.
+const readSegments = (view) => {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xff00) !== 0xff00 || marker === MARKER_SOS || marker === MARKER_EOI) break;
+
+    const end = offset + 2 + view.getUint16(offset + 2);
+    segments.push({ marker, start: offset, dataStart: offset + 4, end });
+    if (end > view.byteLength) break;
+    offset = end;
+  }
+  return { segments, end: offset };
+};
+
+const isExifSegment = (view, segment) =>
+  segment.marker === MARKER_APP1 && matchesBytes(view, segment.dataStart, EXIF_HEADER);
+
+const isXmpSegment = (view, segment) =>
+  segment.marker === MARKER_APP1 &&
+  readAscii(view, segment.dataStart, XMP_NAMESPACE.length) === XMP_NAMESPACE;
+
+const createTiffReader = (view, tiffStart) => {
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+
+  const little = byteOrder === 0x4949;
+  if (view.getUint16(tiffStart + 2, little) !== 42) return null;
+
+  const readEntries = (ifdOffset) => {
+    const start = tiffStart + ifdOffset;
+    if (!ifdOffset || start + 2 > view.byteLength) return [];
+
+    const count = view.getUint16(start, little);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entryOffset = start + 2 + i * 12;
+      if (entryOffset + 12 > view.byteLength) break;
+
+      const type = view.getUint16(entryOffset + 2, little);
+      const valueCount = view.getUint32(entryOffset + 4, little);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      const valueOffset = size <= 4
+        ? entryOffset + 8
+        : tiffStart + view.getUint32(entryOffset + 8, little);
+
+      entries.push({
+        tag: view.getUint16(entryOffset, little),
+        type,
+        count: valueCount,
+        size,
+        entryOffset,
+        valueOffset,
+        inline: size <= 4
+      });
+    }
+    return entries;
+  };
+
+  const readValue = (entry) => {
+    if (!entry || entry.valueOffset + entry.size > view.byteLength) return undefined;
+    if (entry.type === 2) return readAscii(view, entry.valueOffset, entry.count);
+    if (entry.type === 3) return view.getUint16(entry.valueOffset, little);
+    if (entry.type === 4) return view.getUint32(entry.valueOffset, little);
+    return undefined;
+  };
+
+  return {
+    little,
+    ifd0Offset: view.getUint32(tiffStart + 4, little),
+    readEntries,
+    readValue
+  };
+};
+
+// "2024:06:03 16:12:45" (+ optional "+02:00") -> "2024-06-03T16:12:45+02:00"
+const toIsoTimestamp = (exifDate, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(exifDate || '');
+  if (!match || match[1] === '0000') return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`;
+};
+
+const findTag = (entries, tag) => entries.find((entry) => entry.tag === tag);
+
+// Scrubbed values are zeroed rather than removed, so check for actual content
+const hasContent = (view, entry) => {
+  const end = Math.min(entry.valueOffset + entry.size, view.byteLength);
+  for (let offset = entry.valueOffset; offset < end; offset++) {
+    if (view.getUint8(offset) !== 0) return true;
+  }
+  return false;
+};
+
+const parseTiff = (view, tiffStart) => {
+  if (tiffStart + 8 > view.byteLength) return null;
+  const reader = createTiffReader(view, tiffStart);
+  if (!reader) return null;
+
+  const ifd0 = reader.readEntries(reader.ifd0Offset);
+  const exifIfd = reader.readEntries(reader.readValue(findTag(ifd0, TAGS.EXIF_IFD)));
+  const allEntries = [...ifd0, ...exifIfd];
+
+  return {
+    make: reader.readValue(findTag(ifd0, TAGS.MAKE)) || null,
+    model: reader.readValue(findTag(ifd0, TAGS.MODEL)) || null,
+    orientation: reader.readValue(findTag(ifd0, TAGS.ORIENTATION)) || 1,
+    captureTime:
+      toIsoTimestamp(
+        reader.readValue(findTag(exifIfd, TAGS.DATE_TIME_ORIGINAL)),
+        reader.readValue(findTag(exifIfd, TAGS.OFFSET_TIME_ORIGINAL))
+      ) || toIsoTimestamp(reader.readValue(findTag(ifd0, TAGS.DATE_TIME))),
+    hasGps: Boolean(findTag(ifd0, TAGS.GPS_IFD)),
+    hasIdentifyingTags: allEntries.some(
+      (entry) => IDENTIFYING_TAGS.includes(entry.tag) && hasContent(view, entry)
+    )
+  };
+};
+
+const parseExifSegment = (view, segment) =>
+  parseTiff(view, segment.dataStart + EXIF_HEADER.length);
+
+const isJpeg = (view) => view.byteLength >= 2 && view.getUint16(0) === 0xffd8;
+
+/**
+ * Read capture details and privacy-relevant flags from the start of a JPEG.
+ * Returns null for anything that isn't a JPEG.
+ *
+ * @param {ArrayBuffer} buffer - The first few hundred KB of the file is enough
+ */
+export const readExif = (buffer) => {
+  const view = new DataView(buffer);
+  if (!isJpeg(view)) return null;
+
+  const { segments } = readSegments(view);
+  const exifSegment = segments.find(
+    (segment) => segment.end <= view.byteLength && isExifSegment(view, segment)
+  );
+  const exif = exifSegment ? parseExifSegment(view, exifSegment) : null;
+
+  return {
+    make: null,
+    model: null,
+    orientation: 1,
+    captureTime: null,
+    hasGps: false,
+    hasIdentifyingTags: false,
+    ...exif,
+    hasXmp: segments.some((segment) => isXmpSegment(view, segment))
+  };
+};
+
+/**
+ * Find the EXIF block of a HEIF image ("Exif\0\0" followed by a TIFF header)
+ * within the start of the file. Returns its offset, or -1 when it isn't there
+ * (e.g. stored further in).
+ *
+ * @param {ArrayBuffer} buffer
+ */
+export const findExifHeader = (buffer) => {
+  const view = new DataView(buffer);
+  for (let offset = 0; offset + EXIF_HEADER.length + 4 <= view.byteLength; offset++) {
+    if (view.getUint8(offset) !== EXIF_HEADER[0] || !matchesBytes(view, offset, EXIF_HEADER)) continue;
+
+    const byteOrder = view.getUint16(offset + EXIF_HEADER.length);
+    if (byteOrder === 0x4949 || byteOrder === 0x4d4d) return offset;
+  }
+  return -1;
+};
+
+const zeroBytes = (bytes, start, length) => {
+  bytes.fill(0, start, Math.min(start + length, bytes.length));
+};
+
+// Remove the GPS pointer from IFD0 and blank the GPS IFD and identifying
+// values in place. Offsets elsewhere in the block stay valid.
+const scrubTiff = (bytes, tiffStart) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const reader = createTiffReader(view, tiffStart);
+  if (!reader) return bytes;
+
+  const ifd0 = reader.readEntries(reader.ifd0Offset);
+  const exifIfd = reader.readEntries(reader.readValue(findTag(ifd0, TAGS.EXIF_IFD)));
+
+  [...ifd0, ...exifIfd]
+    .filter((entry) => IDENTIFYING_TAGS.includes(entry.tag))
+    .forEach((entry) => zeroBytes(bytes, entry.valueOffset, entry.size));
+
+  const gpsEntry = findTag(ifd0, TAGS.GPS_IFD);
+  if (gpsEntry) {
+    const gpsOffset = reader.readValue(gpsEntry);
+    const gpsEntries = reader.readEntries(gpsOffset);
+    gpsEntries
+      .filter((entry) => !entry.inline)
+      .forEach((entry) => zeroBytes(bytes, entry.valueOffset, entry.size));
+    zeroBytes(bytes, tiffStart + gpsOffset, 2 + gpsEntries.length * 12 + 4);
+
+    // Drop the pointer entry itself by shifting the rest of IFD0 down
+    const ifd0Start = tiffStart + reader.ifd0Offset;
+    const ifd0End = ifd0Start + 2 + ifd0.length * 12 + 4;
+    bytes.copyWithin(gpsEntry.entryOffset, gpsEntry.entryOffset + 12, ifd0End);
+    zeroBytes(bytes, ifd0End - 12, 12);
+    view.setUint16(ifd0Start, ifd0.length - 1, reader.little);
+  }
+
+  return bytes;
+};
+
+/**
+ * Scrub GPS and identifying tags from a TIFF-structured EXIF block in place,
+ * as embedded in PNG and WebP files. A leading "Exif\0\0" is skipped.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The same bytes
+ */
+export const scrubTiffExif = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return scrubTiff(bytes, matchesBytes(view, 0, EXIF_HEADER) ? EXIF_HEADER.length : 0);
+};
+
+/**
+ * Read capture details and privacy-relevant flags from a TIFF-structured EXIF
+ * block, as embedded in PNG, WebP and HEIF files. A leading "Exif\0\0" is
+ * skipped. Returns null without a valid TIFF header.
+ *
+ * @param {ArrayBuffer} buffer
+ */
+export const readTiffExif = (buffer) => {
+  const view = new DataView(buffer);
+  return parseTiff(view, matchesBytes(view, 0, EXIF_HEADER) ? EXIF_HEADER.length : 0);
+};
+
+/**
+ * Build the parts of a JPEG with GPS, identifying EXIF tags and XMP packets
+ * removed. Returns null when the buffer isn't a JPEG or has nothing to strip.
+ *
+ * @param {ArrayBuffer} buffer - The start of the file, containing its metadata segments
+ * @param {Blob} file - The full file, sliced for everything that isn't rewritten
+ * @returns {BlobPart[]|null}
+ */
+export const stripExif = (buffer, file) => {
+  const view = new DataView(buffer);
+  if (!isJpeg(view)) return null;
+
+  const { segments, end } = readSegments(view);
+  const parts = [file.slice(0, 2)];
+  let changed = false;
+
+  for (const segment of segments) {
+    if (segment.end > view.byteLength) {
+      parts.push(file.slice(segment.start));
+      return changed ? parts : null;
+    }
+
+    if (isXmpSegment(view, segment)) {
+      changed = true;
+    } else if (isExifSegment(view, segment)) {
+      const exif = parseExifSegment(view, segment);
+      if (exif?.hasGps || exif?.hasIdentifyingTags) {
+        parts.push(scrubTiff(
+          new Uint8Array(buffer.slice(segment.start, segment.end)),
+          4 + EXIF_HEADER.length
+        ));
+        changed = true;
+      } else {
+        parts.push(file.slice(segment.start, segment.end));
+      }
+    } else {
+      parts.push(file.slice(segment.start, segment.end));
+    }
+  }
+
+  parts.push(file.slice(end));
+  return changed ? parts : null;
+};
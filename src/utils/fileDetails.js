@@ -0,0 +1,40 @@
+import UPLOAD_CONFIG from '../config/upload';
+
+const { MAX_TAGS, TAG_MAX_LENGTH } = UPLOAD_CONFIG.FILE_DETAILS;
+
+export const EMPTY_FILE_DETAILS = { caption: '', tags: [], peopleCount: '' };
+
+// "#Opening Night " -> "opening night"
+export const normalizeTag = (tag) =>
+  tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, TAG_MAX_LENGTH);
+
+// Add tags typed as "a, b, #c" to a list, skipping blanks and repeats
+export const addTags = (tags, input) => {
+  const next = [...tags];
+  input.split(',').map(normalizeTag).forEach((tag) => {
+    if (tag && !next.includes(tag) && next.length < MAX_TAGS) next.push(tag);
+  });
+  return next;
+};
+
+export const hasFileDetails = (details) =>
+  Boolean(details && (details.caption.trim() || details.tags.length > 0 || details.peopleCount !== ''));
+
+/**
+ * Per-file form fields for an Upload page entry's caption, tags and people
+ * count, sent alongside the batch-wide fields. Blank values are left out.
+ */
+export const getDetailFields = (entry) => {
+  const { caption, tags, peopleCount } = entry.details || EMPTY_FILE_DETAILS;
+  return {
+    ...(caption.trim() && { caption: caption.trim() }),
+    ...(tags.length > 0 && { tags: tags.join(',') }),
+    ...(peopleCount !== '' && { peopleCount })
+  };
+};
+
+// Tags as stored on an upload: an array, or the comma-separated form field
+export const getTagList = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  return tags ? tags.split(',').filter(Boolean) : [];
+};
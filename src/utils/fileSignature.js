@@ -0,0 +1,81 @@
+// Identifies media containers from their leading bytes ("magic numbers").
+
+// Enough for every signature below, including the ftyp brand list
+export const SIGNATURE_LENGTH = 64;
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, index) => bytes[offset + index] === byte);
+
+// ISO base media brands that mean a still image rather than a movie. HEIC
+// brands name the HEVC codec; the generic HEIF ones don't say which codec
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// ISO BMFF (MP4, MOV, HEIF, AVIF): size, "ftyp", major brand, version, compatible brands
+const detectIsoMedia = (bytes) => {
+  if (ascii(bytes, 4, 4) !== 'ftyp') return null;
+
+  const boxSize = Math.min(
+    ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0,
+    bytes.length
+  );
+  const brands = [ascii(bytes, 8, 4)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(bytes, offset, 4));
+  }
+
+  const [majorBrand] = brands;
+  const hasBrand = (list) => brands.some((brand) => list.includes(brand));
+
+  if (HEIC_BRANDS.includes(majorBrand)) return 'image/heic';
+  if (AVIF_BRANDS.includes(majorBrand)) return 'image/avif';
+  if (HEIF_BRANDS.includes(majorBrand)) {
+    if (hasBrand(AVIF_BRANDS)) return 'image/avif';
+    return hasBrand(HEIC_BRANDS) ? 'image/heic' : 'image/heif';
+  }
+  if (majorBrand === 'qt  ') return 'video/quicktime';
+  // Some phones write a movie major brand with HEIF listed as compatible
+  if (hasBrand([...HEIC_BRANDS, ...HEIF_BRANDS]) && !brands.includes('isom')) return 'image/heic';
+  return 'video/mp4';
+};
+
+/**
+ * Work out the real container of a file from its first bytes. Used instead of
+ * File.type and the extension, which are often missing or wrong (HEIC photos
+ * labelled as JPEG, videos with no type at all).
+ *
+ * @param {Uint8Array} bytes - At least SIGNATURE_LENGTH bytes where available
+ * @returns {string|null} A MIME type, or null when no known signature matches
+ */
+export const detectFileType = (bytes) => {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(bytes, 0, 4) === 'GIF8') return 'image/gif';
+
+  if (ascii(bytes, 0, 4) === 'RIFF') {
+    const format = ascii(bytes, 8, 4);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'AVI ') return 'video/x-msvideo';
+    return null;
+  }
+
+  // EBML header; WebM is the only Matroska flavour browsers produce or play
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(bytes, 0, bytes.length).includes('matroska') ? 'video/x-matroska' : 'video/webm';
+  }
+
+  const isoType = detectIsoMedia(bytes);
+  if (isoType) return isoType;
+
+  // Old QuickTime files can start with other top-level atoms instead of ftyp
+  if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(ascii(bytes, 4, 4))) return 'video/quicktime';
+
+  return null;
+};
+
+export const readFileSignature = async (file) =>
+  new Uint8Array(await file.slice(0, SIGNATURE_LENGTH).arrayBuffer());
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { detectFileType, readFileSignature, SIGNATURE_LENGTH } from './fileSignature';
+import { HEADERS, ftyp, makeFile } from '../test/fileHeaders';
+
+describe('detectFileType', () => {
+  it.each([
+    ['jpeg', 'image/jpeg'],
+    ['png', 'image/png'],
+    ['gif', 'image/gif'],
+    ['webp', 'image/webp'],
+    ['avi', 'video/x-msvideo'],
+    ['webm', 'video/webm'],
+    ['mkv', 'video/x-matroska'],
+    ['mp4', 'video/mp4'],
+    ['m4v', 'video/mp4'],
+    ['mov', 'video/quicktime'],
+    ['legacyMov', 'video/quicktime']
+  ])('identifies %s', (name, type) => {
+    expect(detectFileType(HEADERS[name])).toBe(type);
+  });
+
+  describe('HEIF family brands', () => {
+    it.each([
+      ['heic', 'image/heic'],
+      ['heif', 'image/heif'],
+      ['heifWithHeic', 'image/heic'],
+      ['avif', 'image/avif'],
+      ['avifUnderMif1', 'image/avif'],
+      ['heicUnderMovieBrand', 'image/heic']
+    ])('identifies %s', (name, type) => {
+      expect(detectFileType(HEADERS[name])).toBe(type);
+    });
+
+    it.each(['heix', 'heim', 'heis', 'hevc', 'hevx'])('treats the %s major brand as HEIC', (brand) => {
+      expect(detectFileType(ftyp(brand))).toBe('image/heic');
+    });
+
+    it('treats the msf1 major brand as HEIF', () => {
+      expect(detectFileType(ftyp('msf1', ['msf1']))).toBe('image/heif');
+    });
+
+    it('keeps an isom movie that also lists HEIF as a video', () => {
+      expect(detectFileType(ftyp('mp42', ['isom', 'mif1']))).toBe('video/mp4');
+    });
+  });
+
+  it('returns null for unknown contents', () => {
+    expect(detectFileType(HEADERS.text)).toBeNull();
+  });
+
+  it('returns null for a RIFF container that is neither WebP nor AVI', () => {
+    const wave = Uint8Array.from([...'RIFF\x24\0\0\0WAVEfmt '].map((char) => char.charCodeAt(0)));
+    expect(detectFileType(wave)).toBeNull();
+  });
+
+  describe('truncated and damaged headers', () => {
+    it('returns null for no bytes at all', () => {
+      expect(detectFileType(new Uint8Array())).toBeNull();
+    });
+
+    it.each([
+      ['jpeg', 2],
+      ['png', 4],
+      ['gif', 3],
+      ['webp', 10],
+      ['heic', 6]
+    ])('returns null for %s cut off after %i bytes', (name, length) => {
+      expect(detectFileType(HEADERS[name].subarray(0, length))).toBeNull();
+    });
+
+    it('still identifies an ftyp box cut off inside its brand list', () => {
+      expect(detectFileType(HEADERS.heic.subarray(0, 12))).toBe('image/heic');
+    });
+
+    it('ignores a box size larger than the bytes read', () => {
+      const header = ftyp('mif1', ['mif1', 'heic']);
+      header.set([0x7f, 0xff, 0xff, 0xff]);
+      expect(detectFileType(header)).toBe('image/heic');
+    });
+
+    it('returns null for a JPEG with its first bytes zeroed', () => {
+      const header = HEADERS.jpeg.slice();
+      header.fill(0, 0, 4);
+      expect(detectFileType(header)).toBeNull();
+    });
+
+    it('returns null for a PNG with a damaged signature', () => {
+      const header = HEADERS.png.slice();
+      header[5] = 0x00;
+      expect(detectFileType(header)).toBeNull();
+    });
+  });
+});
+
+describe('readFileSignature', () => {
+  it('reads the first SIGNATURE_LENGTH bytes', async () => {
+    const file = makeFile(new Uint8Array(SIGNATURE_LENGTH * 4).fill(7), 'big.bin');
+    const signature = await readFileSignature(file);
+    expect(signature).toHaveLength(SIGNATURE_LENGTH);
+    expect(signature.every((byte) => byte === 7)).toBe(true);
+  });
+
+  it('reads everything from a file shorter than that', async () => {
+    const signature = await readFileSignature(makeFile(HEADERS.jpeg.subarray(0, 3), 'tiny.jpg'));
+    expect(detectFileType(signature)).toBe('image/jpeg');
+  });
+});
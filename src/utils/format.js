@@ -0,0 +1,25 @@
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+export const formatSpeed = (bytesPerSecond) => `${formatBytes(bytesPerSecond)}/s`;
+
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds)) return '--';
+
+  const rounded = Math.max(0, Math.round(seconds));
+  if (rounded < 60) return `${rounded}s`;
+
+  const minutes = Math.floor(rounded / 60);
+  if (minutes < 60) return `${minutes}m ${rounded % 60}s`;
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// "1 photo", "3 photos"
+export const formatCount = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
@@ -0,0 +1,151 @@
+import GALLERY_CONFIG from '../config/gallery';
+
+// Gallery search, filters, ordering and paging as kept in the page URL, e.g.
+// /gallery?q=eid+banquet&type=video&featured=1&page=3 — so a filtered view
+// can be linked to and the back button steps through earlier views.
+
+export const GALLERY_TYPES = ['all', 'image', 'video'];
+
+// Which date the range and ordering use, and the API field behind it
+export const GALLERY_DATE_FIELDS = {
+  uploaded: 'date',
+  taken: 'captureTime'
+};
+
+export const GALLERY_ORDERS = ['newest', 'oldest', 'featured'];
+
+export const DEFAULT_GALLERY_QUERY = {
+  search: '',
+  type: 'all',
+  featured: false,
+  from: '',
+  to: '',
+  events: [],
+  uploader: '',
+  dateField: 'uploaded',
+  order: 'newest',
+  page: 0,
+  size: GALLERY_CONFIG.DEFAULT_PAGE_SIZE
+};
+
+// Everything a visitor can narrow the results by (ordering and paging aside)
+const FILTER_KEYS = ['search', 'type', 'featured', 'from', 'to', 'events', 'uploader'];
+
+// Short URL names; `page` is 1-based in the URL and 0-based everywhere else
+const PARAM_NAMES = {
+  search: 'q',
+  type: 'type',
+  featured: 'featured',
+  from: 'from',
+  to: 'to',
+  events: 'events',
+  uploader: 'uploader',
+  dateField: 'date',
+  order: 'order',
+  page: 'page',
+  size: 'size'
+};
+
+// Links from before type and featured could be combined
+const LEGACY_FILTERS = {
+  featured: { featured: true },
+  images: { type: 'image' },
+  videos: { type: 'video' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseCount = (value) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) ? number : null;
+};
+
+const parseDate = (value) => (DATE_PATTERN.test(value) ? value : '');
+
+const isDefault = (key, value) =>
+  Array.isArray(value) ? value.length === 0 : value === DEFAULT_GALLERY_QUERY[key];
+
+const serialize = (key, value) => {
+  if (key === 'page') return value + 1;
+  if (key === 'featured') return '1';
+  if (key === 'events') return value.join(',');
+  return value;
+};
+
+// Anything missing or not recognised falls back to the default
+export const parseGalleryQuery = (searchParams) => {
+  const get = (key) => searchParams.get(PARAM_NAMES[key]);
+  const type = get('type');
+  const dateField = get('dateField');
+  const order = get('order');
+  const page = parseCount(get('page'));
+  const size = parseCount(get('size'));
+
+  return {
+    search: get('search') || DEFAULT_GALLERY_QUERY.search,
+    type: GALLERY_TYPES.includes(type) ? type : DEFAULT_GALLERY_QUERY.type,
+    featured: get('featured') === '1',
+    from: parseDate(get('from')),
+    to: parseDate(get('to')),
+    events: (get('events') || '').split(',').filter(Boolean),
+    uploader: get('uploader') || DEFAULT_GALLERY_QUERY.uploader,
+    dateField: Object.hasOwn(GALLERY_DATE_FIELDS, dateField) ? dateField : DEFAULT_GALLERY_QUERY.dateField,
+    order: GALLERY_ORDERS.includes(order) ? order : DEFAULT_GALLERY_QUERY.order,
+    page: page > 0 ? page - 1 : DEFAULT_GALLERY_QUERY.page,
+    size: GALLERY_CONFIG.PAGE_SIZES.includes(size) ? size : DEFAULT_GALLERY_QUERY.size,
+    ...LEGACY_FILTERS[searchParams.get('filter')]
+  };
+};
+
+// A copy of searchParams with `changes` applied; defaults are left out to keep links short
+export const updateGalleryQuery = (searchParams, changes) => {
+  const next = new URLSearchParams(searchParams);
+  next.delete('filter');
+
+  Object.entries(changes).forEach(([key, value]) => {
+    const name = PARAM_NAMES[key];
+    if (isDefault(key, value)) {
+      next.delete(name);
+    } else {
+      next.set(name, serialize(key, value));
+    }
+  });
+
+  return next;
+};
+
+const getFilterKeys = (includeSearch) =>
+  includeSearch ? FILTER_KEYS : FILTER_KEYS.filter((key) => key !== 'search');
+
+// Changes that put every filter back to its default
+export const getClearedFilters = ({ includeSearch = true } = {}) =>
+  Object.fromEntries(getFilterKeys(includeSearch).map((key) => [key, DEFAULT_GALLERY_QUERY[key]]));
+
+// How many filters are narrowing the results, e.g. for the Filters button badge
+export const countActiveFilters = (query, { includeSearch = true } = {}) =>
+  getFilterKeys(includeSearch).filter((key) => !isDefault(key, query[key])).length;
+
+/**
+ * /api/gallery params for a query, other than page and size.
+ *
+ * @param {object} query - As returned by parseGalleryQuery
+ * @returns {object}
+ */
+export const getGalleryApiParams = (query) => {
+  const dateField = GALLERY_DATE_FIELDS[query.dateField];
+  const direction = query.order === 'oldest' ? 'asc' : 'desc';
+  // Several sort params are applied in turn; "most featured" puts featured items first
+  const sort = query.order === 'featured'
+    ? ['featured,desc', `${dateField},desc`]
+    : [`${dateField},${direction}`];
+
+  return {
+    search: query.search,
+    uploader: query.uploader,
+    eventId: query.events,
+    sort,
+    ...(query.type !== 'all' && { type: query.type }),
+    ...(query.featured && { featured: true }),
+    ...((query.from || query.to) && { dateField, from: query.from, to: query.to })
+  };
+};
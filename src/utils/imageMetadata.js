@@ -0,0 +1,203 @@
+// PNG and WebP counterparts of the JPEG handling in exif.js: find the EXIF,
+// XMP and text blocks of a file, and rebuild it with them scrubbed or removed.
+// Image data is sliced from the original file rather than copied.
+import { readTiffExif, scrubTiffExif } from './exif';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+// Free-form text (author, comment, XMP packets) that may identify someone
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt'];
+
+// VP8X flag announcing an XMP chunk
+const WEBP_XMP_FLAG = 0x04;
+
+const ascii = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + i));
+  return text;
+};
+
+const NO_EXIF = {
+  make: null,
+  model: null,
+  orientation: 1,
+  captureTime: null,
+  hasGps: false,
+  hasIdentifyingTags: false
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// PNG chunk CRC, covering the type and data
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const isPng = (view) =>
+  view.byteLength >= PNG_SIGNATURE.length &&
+  PNG_SIGNATURE.every((byte, index) => view.getUint8(index) === byte);
+
+const isWebp = (view) =>
+  view.byteLength >= 12 && ascii(view, 0, 4) === 'RIFF' && ascii(view, 8, 4) === 'WEBP';
+
+// Length, type, data, CRC. Stops at IEND or a chunk running past the end.
+const readPngChunks = (view) => {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= view.byteLength) {
+    const type = ascii(view, offset + 4, 4);
+    const end = offset + 12 + view.getUint32(offset);
+    if (end > view.byteLength) break;
+
+    chunks.push({ type, start: offset, dataStart: offset + 8, dataEnd: end - 4, end });
+    if (type === 'IEND') break;
+    offset = end;
+  }
+  return chunks;
+};
+
+// FourCC, little-endian size, data padded to an even length
+const readWebpChunks = (view) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    const end = Math.min(offset + 8 + size + (size % 2), view.byteLength);
+    chunks.push({
+      type: ascii(view, offset, 4),
+      start: offset,
+      dataStart: offset + 8,
+      dataEnd: Math.min(offset + 8 + size, view.byteLength),
+      end
+    });
+    offset = end;
+  }
+  return chunks;
+};
+
+const readChunkExif = (buffer, chunk) => readTiffExif(buffer.slice(chunk.dataStart, chunk.dataEnd));
+
+const needsScrubbing = (exif) => Boolean(exif?.hasGps || exif?.hasIdentifyingTags);
+
+const scrubChunkExif = (buffer, chunk) =>
+  scrubTiffExif(new Uint8Array(buffer.slice(chunk.dataStart, chunk.dataEnd)));
+
+const summarize = (exif, hasXmp) => ({ ...NO_EXIF, ...exif, hasXmp });
+
+/**
+ * Read capture details and privacy-relevant flags from a PNG or WebP, in the
+ * shape readExif uses for JPEGs (`hasXmp` also covers PNG text chunks).
+ * Returns null for anything else.
+ *
+ * @param {ArrayBuffer} buffer - The whole file; their metadata may follow the image data
+ */
+export const readImageMetadata = (buffer) => {
+  const view = new DataView(buffer);
+
+  if (isPng(view)) {
+    const chunks = readPngChunks(view);
+    const exifChunk = chunks.find((chunk) => chunk.type === 'eXIf');
+    return summarize(
+      exifChunk && readChunkExif(buffer, exifChunk),
+      chunks.some((chunk) => PNG_TEXT_CHUNKS.includes(chunk.type))
+    );
+  }
+
+  if (isWebp(view)) {
+    const chunks = readWebpChunks(view);
+    const exifChunk = chunks.find((chunk) => chunk.type === 'EXIF');
+    return summarize(
+      exifChunk && readChunkExif(buffer, exifChunk),
+      chunks.some((chunk) => chunk.type === 'XMP ')
+    );
+  }
+
+  return null;
+};
+
+const stripPng = (buffer, view, file) => {
+  const parts = [file.slice(0, PNG_SIGNATURE.length)];
+  let changed = false;
+  let end = PNG_SIGNATURE.length;
+
+  for (const chunk of readPngChunks(view)) {
+    end = chunk.end;
+    if (PNG_TEXT_CHUNKS.includes(chunk.type)) {
+      changed = true;
+    } else if (chunk.type === 'eXIf' && needsScrubbing(readChunkExif(buffer, chunk))) {
+      // Same length, so only the CRC changes
+      const data = scrubChunkExif(buffer, chunk);
+      const typeAndData = new Uint8Array(4 + data.length);
+      typeAndData.set(new Uint8Array(buffer, chunk.start + 4, 4));
+      typeAndData.set(data, 4);
+      const crc = new Uint8Array(4);
+      new DataView(crc.buffer).setUint32(0, crc32(typeAndData));
+
+      parts.push(file.slice(chunk.start, chunk.start + 4), typeAndData, crc);
+      changed = true;
+    } else {
+      parts.push(file.slice(chunk.start, chunk.end));
+    }
+  }
+
+  parts.push(file.slice(end));
+  return changed ? parts : null;
+};
+
+const stripWebp = (buffer, view, file) => {
+  const parts = [];
+  let size = 4;
+  let changed = false;
+
+  for (const chunk of readWebpChunks(view)) {
+    if (chunk.type === 'XMP ') {
+      changed = true;
+      continue;
+    }
+
+    if (chunk.type === 'EXIF' && needsScrubbing(readChunkExif(buffer, chunk))) {
+      parts.push(
+        file.slice(chunk.start, chunk.dataStart),
+        scrubChunkExif(buffer, chunk),
+        file.slice(chunk.dataEnd, chunk.end)
+      );
+      changed = true;
+    } else if (chunk.type === 'VP8X') {
+      // The extended header must no longer announce the removed XMP
+      const header = new Uint8Array(buffer.slice(chunk.start, chunk.end));
+      header[8] &= ~WEBP_XMP_FLAG;
+      parts.push(header);
+    } else {
+      parts.push(file.slice(chunk.start, chunk.end));
+    }
+    size += chunk.end - chunk.start;
+  }
+  if (!changed) return null;
+
+  const riffHeader = new Uint8Array(buffer.slice(0, 12));
+  new DataView(riffHeader.buffer).setUint32(4, size, true);
+  return [riffHeader, ...parts];
+};
+
+/**
+ * Build the parts of a PNG or WebP with GPS and identifying EXIF tags scrubbed
+ * and XMP and text chunks removed. Returns null for other files or when there
+ * is nothing to strip.
+ *
+ * @param {ArrayBuffer} buffer - The whole file
+ * @param {Blob} file - The same file, sliced for everything that isn't rewritten
+ * @returns {BlobPart[]|null}
+ */
+export const stripImageMetadata = (buffer, file) => {
+  const view = new DataView(buffer);
+  if (isPng(view)) return stripPng(buffer, view, file);
+  if (isWebp(view)) return stripWebp(buffer, view, file);
+  return null;
+};
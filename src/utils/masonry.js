@@ -0,0 +1,31 @@
+/**
+ * Place items in the shortest column, top to bottom, keeping their order as
+ * much as the column heights allow.
+ *
+ * @param {number[]} heights - Height of each item at the column width
+ * @param {object} options
+ * @param {number} options.columnCount
+ * @param {number} options.columnWidth
+ * @param {number} options.gap - Space between columns and between items
+ * @returns {{ positions: { top: number, left: number, height: number }[], height: number }}
+ */
+export const computeMasonryLayout = (heights, { columnCount, columnWidth, gap }) => {
+  const columnHeights = new Array(columnCount).fill(0);
+
+  const positions = heights.map((height) => {
+    const column = columnHeights.indexOf(Math.min(...columnHeights));
+    const top = columnHeights[column];
+    columnHeights[column] = top + height + gap;
+    return { top, left: column * (columnWidth + gap), height };
+  });
+
+  return { positions, height: Math.max(0, Math.max(...columnHeights) - gap) };
+};
+
+// Columns for a container width, matching the grid's sm/lg/xl breakpoints
+export const getColumnCount = (width) => {
+  if (width >= 1200) return 4;
+  if (width >= 900) return 3;
+  if (width >= 560) return 2;
+  return 1;
+};
@@ -0,0 +1,119 @@
+// Incremental SHA-256 (FIPS 180-4). crypto.subtle can only digest a whole
+// buffer at once, which means holding a large video in memory; this takes the
+// input a piece at a time instead.
+
+const K = Uint32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLOCK_SIZE = 64;
+
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+/**
+ * Start a SHA-256 hash that can be fed in pieces.
+ *
+ * @returns {{ update: (bytes: Uint8Array) => void, digest: () => Uint8Array }}
+ *   `digest` finishes the hash; don't call `update` after it
+ */
+export const createSha256 = () => {
+  const state = Uint32Array.from(INITIAL_STATE);
+  const words = new Uint32Array(64);
+  const buffer = new Uint8Array(BLOCK_SIZE);
+  let buffered = 0;
+  let length = 0;
+
+  const processBlock = (bytes, offset) => {
+    for (let i = 0; i < 16; i++) {
+      const at = offset + i * 4;
+      words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = words[i - 15];
+      const w2 = words[i - 2];
+      const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+      const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + choice + K[i] + words[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  };
+
+  const update = (bytes) => {
+    length += bytes.length;
+    let offset = 0;
+
+    // Top up a partial block left over from the last piece first
+    if (buffered > 0) {
+      const take = Math.min(BLOCK_SIZE - buffered, bytes.length);
+      buffer.set(bytes.subarray(0, take), buffered);
+      buffered += take;
+      offset = take;
+      if (buffered < BLOCK_SIZE) return;
+      processBlock(buffer, 0);
+      buffered = 0;
+    }
+
+    for (; offset + BLOCK_SIZE <= bytes.length; offset += BLOCK_SIZE) {
+      processBlock(bytes, offset);
+    }
+
+    buffer.set(bytes.subarray(offset), 0);
+    buffered = bytes.length - offset;
+  };
+
+  const digest = () => {
+    // Padding: a 1 bit, zeros, then the message length in bits as 64-bit big-endian
+    const bitLength = length * 8;
+    const padding = new Uint8Array((buffered < 56 ? 56 : 120) - buffered + 8);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bitLength / 2 ** 32));
+    view.setUint32(padding.length - 4, bitLength >>> 0);
+    update(padding);
+
+    const result = new Uint8Array(32);
+    const resultView = new DataView(result.buffer);
+    state.forEach((word, index) => resultView.setUint32(index * 4, word));
+    return result;
+  };
+
+  return { update, digest };
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { createSha256 } from './sha256';
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const hashInPieces = (bytes, pieceSize) => {
+  const hash = createSha256();
+  for (let offset = 0; offset < bytes.length; offset += pieceSize) {
+    hash.update(bytes.subarray(offset, offset + pieceSize));
+  }
+  return toHex(hash.digest());
+};
+
+describe('createSha256', () => {
+  it.each([
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    [
+      'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+      '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+    ]
+  ])('matches the published digest of %j', (text, expected) => {
+    const hash = createSha256();
+    hash.update(new TextEncoder().encode(text));
+    expect(toHex(hash.digest())).toBe(expected);
+  });
+
+  it.each([55, 56, 63, 64, 65, 1000])('handles %i bytes, around the padding boundaries', (length) => {
+    const bytes = Uint8Array.from({ length }, (_, index) => index * 7);
+    expect(hashInPieces(bytes, length || 1)).toBe(createHash('sha256').update(bytes).digest('hex'));
+  });
+
+  it.each([1, 3, 64, 100, 4096])('gives the same digest fed %i bytes at a time', (pieceSize) => {
+    const bytes = Uint8Array.from({ length: 10_000 }, (_, index) => (index * 31) ^ (index >> 3));
+    expect(hashInPieces(bytes, pieceSize)).toBe(createHash('sha256').update(bytes).digest('hex'));
+  });
+});
@@ -0,0 +1,126 @@
+import { formatBytes } from './format';
+
+// Browsers often leave File.type empty for HEIC and some video containers
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  avi: 'video/x-msvideo',
+  webm: 'video/webm'
+};
+
+const TYPE_LABELS = {
+  'image/jpeg': 'JPG',
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/webp': 'WebP',
+  'image/heic': 'HEIC',
+  'image/heif': 'HEIF',
+  'video/mp4': 'MP4',
+  'video/quicktime': 'MOV',
+  'video/x-msvideo': 'AVI',
+  'video/webm': 'WebM',
+  'video/x-matroska': 'MKV',
+  'image/avif': 'AVIF'
+};
+
+export const REJECTION_REASON = {
+  UNSUPPORTED_TYPE: 'unsupported-type',
+  TOO_LARGE: 'too-large',
+  TOO_MANY_FILES: 'too-many-files',
+  UNREADABLE: 'unreadable',
+  CORRUPT: 'corrupt'
+};
+
+const getExtension = (fileName) => fileName.split('.').pop().toLowerCase();
+
+// Files added on the Upload page carry the type sniffed from their contents
+// (see fileValidation), so the extension is only a fallback for unlabelled ones
+export const getFileMimeType = (file) => {
+  if (file.type && file.type !== 'application/octet-stream') return file.type;
+  return EXTENSION_TYPES[getExtension(file.name)] || '';
+};
+
+export const getMediaKind = (mimeType) => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return null;
+};
+
+export const getTypeLabel = (mimeType) => TYPE_LABELS[mimeType] || mimeType.split('/')[1]?.toUpperCase();
+
+export const describeAllowedTypes = (policy) =>
+  Object.values(policy.allowedTypes).flat().map(getTypeLabel).join(', ');
+
+/**
+ * Merge a server policy document over the defaults and apply the overrides
+ * for one event. Nested per-kind maps are merged key by key.
+ */
+export const resolveUploadPolicy = (defaults, serverPolicy, eventId) => {
+  const mergePolicy = (base, override = {}) => ({
+    ...base,
+    ...override,
+    maxFileSize: { ...base.maxFileSize, ...override.maxFileSize },
+    allowedTypes: { ...base.allowedTypes, ...override.allowedTypes },
+    instagramHandle: { ...base.instagramHandle, ...override.instagramHandle }
+  });
+
+  const policy = mergePolicy(defaults, serverPolicy || {});
+  const eventOverride = eventId ? policy.eventOverrides?.[eventId] : null;
+  return eventOverride ? mergePolicy(policy, eventOverride) : policy;
+};
+
+/**
+ * Check one file against a resolved policy.
+ *
+ * @returns {{ code: string, message: string }|null} Null when the file is allowed
+ */
+export const validateFileAgainstPolicy = (file, policy) => {
+  const mimeType = getFileMimeType(file);
+  const kind = getMediaKind(mimeType);
+
+  if (!kind || !policy.allowedTypes[kind]?.includes(mimeType)) {
+    return {
+      code: REJECTION_REASON.UNSUPPORTED_TYPE,
+      message: `${getTypeLabel(mimeType) || 'This file type'} isn't accepted. Allowed: ${describeAllowedTypes(policy)}`
+    };
+  }
+
+  const maxSize = policy.maxFileSize[kind];
+  if (maxSize && file.size > maxSize) {
+    return {
+      code: REJECTION_REASON.TOO_LARGE,
+      message: `${formatBytes(file.size)} is over the ${formatBytes(maxSize)} limit for ${kind}s`
+    };
+  }
+
+  return null;
+};
+
+// e.g. "Images (JPG, PNG, HEIC) up to 100 MB and Videos (MP4, MOV) up to 500 MB"
+export const describeUploadPolicy = (policy) =>
+  Object.entries(policy.allowedTypes)
+    .filter(([, types]) => types.length > 0)
+    .map(([kind, types]) => {
+      const label = `${kind.charAt(0).toUpperCase()}${kind.slice(1)}s`;
+      const maxSize = policy.maxFileSize[kind];
+      return `${label} (${types.map(getTypeLabel).join(', ')})${maxSize ? ` up to ${formatBytes(maxSize)}` : ''}`;
+    })
+    .join(' and ');
+
+// Value for the file input's `accept` attribute, including extensions for
+// types browsers don't reliably recognise
+export const getAcceptAttribute = (policy) => {
+  const types = Object.values(policy.allowedTypes).flat();
+  const extensions = Object.entries(EXTENSION_TYPES)
+    .filter(([, mimeType]) => types.includes(mimeType))
+    .map(([extension]) => `.${extension}`);
+  return [...types, ...extensions].join(',');
+};
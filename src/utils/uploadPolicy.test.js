@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REJECTION_REASON,
+  getFileMimeType,
+  getMediaKind,
+  getTypeLabel,
+  resolveUploadPolicy,
+  validateFileAgainstPolicy,
+  describeUploadPolicy,
+  getAcceptAttribute
+} from './uploadPolicy';
+
+const MB = 1024 * 1024;
+
+const DEFAULTS = {
+  maxFilesPerBatch: null,
+  maxFileSize: { image: 100 * MB, video: 100 * MB },
+  allowedTypes: {
+    image: ['image/jpeg', 'image/png', 'image/heic'],
+    video: ['video/mp4', 'video/quicktime']
+  },
+  instagramHandle: { maxLength: 30 }
+};
+
+const fileOfSize = (name, type, size) => {
+  const file = new File([], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+describe('getFileMimeType', () => {
+  it('prefers the file type', () => {
+    expect(getFileMimeType(new File([], 'photo.png', { type: 'image/jpeg' }))).toBe('image/jpeg');
+  });
+
+  it.each([
+    ['IMG_0001.HEIC', 'image/heic'],
+    ['clip.MOV', 'video/quicktime'],
+    ['clip.m4v', 'video/mp4'],
+    ['notes.txt', '']
+  ])('falls back to the extension of %s', (name, type) => {
+    expect(getFileMimeType(new File([], name))).toBe(type);
+    expect(getFileMimeType(new File([], name, { type: 'application/octet-stream' }))).toBe(type);
+  });
+});
+
+describe('getMediaKind and getTypeLabel', () => {
+  it('splits images from videos', () => {
+    expect(getMediaKind('image/heic')).toBe('image');
+    expect(getMediaKind('video/webm')).toBe('video');
+    expect(getMediaKind('application/pdf')).toBeNull();
+  });
+
+  it('labels known types and falls back to the subtype', () => {
+    expect(getTypeLabel('video/quicktime')).toBe('MOV');
+    expect(getTypeLabel('image/tiff')).toBe('TIFF');
+  });
+});
+
+describe('resolveUploadPolicy', () => {
+  it('uses the defaults without a server policy', () => {
+    expect(resolveUploadPolicy(DEFAULTS, null)).toEqual(DEFAULTS);
+  });
+
+  it('merges per-kind maps key by key', () => {
+    const policy = resolveUploadPolicy(DEFAULTS, {
+      maxFileSize: { video: 500 * MB },
+      allowedTypes: { video: ['video/mp4'] }
+    });
+    expect(policy.maxFileSize).toEqual({ image: 100 * MB, video: 500 * MB });
+    expect(policy.allowedTypes.image).toEqual(DEFAULTS.allowedTypes.image);
+    expect(policy.allowedTypes.video).toEqual(['video/mp4']);
+    expect(policy.instagramHandle).toEqual({ maxLength: 30 });
+  });
+
+  it('applies the overrides for the chosen event only', () => {
+    const server = {
+      maxFilesPerBatch: 20,
+      eventOverrides: { gala: { maxFilesPerBatch: 5, maxFileSize: { image: 10 * MB } } }
+    };
+
+    const gala = resolveUploadPolicy(DEFAULTS, server, 'gala');
+    expect(gala.maxFilesPerBatch).toBe(5);
+    expect(gala.maxFileSize).toEqual({ image: 10 * MB, video: 100 * MB });
+
+    expect(resolveUploadPolicy(DEFAULTS, server, 'other').maxFilesPerBatch).toBe(20);
+    expect(resolveUploadPolicy(DEFAULTS, server).maxFilesPerBatch).toBe(20);
+  });
+});
+
+describe('validateFileAgainstPolicy', () => {
+  it('allows an accepted type within the limit', () => {
+    expect(validateFileAgainstPolicy(fileOfSize('a.jpg', 'image/jpeg', MB), DEFAULTS)).toBeNull();
+  });
+
+  it('rejects a type the policy does not list', () => {
+    const reason = validateFileAgainstPolicy(fileOfSize('a.gif', 'image/gif', MB), DEFAULTS);
+    expect(reason.code).toBe(REJECTION_REASON.UNSUPPORTED_TYPE);
+    expect(reason.message).toBe("GIF isn't accepted. Allowed: JPG, PNG, HEIC, MP4, MOV");
+  });
+
+  it('rejects files that are neither images nor videos', () => {
+    const reason = validateFileAgainstPolicy(fileOfSize('a.pdf', 'application/pdf', MB), DEFAULTS);
+    expect(reason.code).toBe(REJECTION_REASON.UNSUPPORTED_TYPE);
+  });
+
+  it('rejects a file over the limit for its kind', () => {
+    const reason = validateFileAgainstPolicy(fileOfSize('a.mov', 'video/quicktime', 101 * MB), DEFAULTS);
+    expect(reason.code).toBe(REJECTION_REASON.TOO_LARGE);
+    expect(reason.message).toContain('videos');
+  });
+
+  it('treats a missing limit as no limit', () => {
+    const policy = { ...DEFAULTS, maxFileSize: { image: null, video: 100 * MB } };
+    expect(validateFileAgainstPolicy(fileOfSize('a.png', 'image/png', 900 * MB), policy)).toBeNull();
+  });
+});
+
+describe('describeUploadPolicy', () => {
+  it('lists each kind with its types and limit, skipping empty kinds', () => {
+    const policy = { ...DEFAULTS, allowedTypes: { ...DEFAULTS.allowedTypes, video: [] } };
+    expect(describeUploadPolicy(policy)).toMatch(/^Images \(JPG, PNG, HEIC\) up to 100/);
+    expect(describeUploadPolicy(policy)).not.toContain('Videos');
+  });
+});
+
+describe('getAcceptAttribute', () => {
+  it('adds extensions for the allowed types', () => {
+    const accept = getAcceptAttribute(DEFAULTS).split(',');
+    expect(accept).toEqual(expect.arrayContaining(['image/heic', '.heic', '.mov', '.jpeg', '.m4v']));
+    expect(accept).not.toContain('.gif');
+  });
+});
@@ -0,0 +1,67 @@
+// Computes content hashes off the main thread.
+// Message in:  { id, blob?, imageSource? }  (blob: SHA-256 input; imageSource: decodable pixels for the perceptual hash)
+// Message out: { id, sha256, perceptualHash } (null for whichever wasn't asked for) or { id, error }
+import { createSha256 } from '../utils/sha256';
+
+// Files up to this size are digested natively in one go. Larger ones (mostly
+// videos) are read a chunk at a time so they're never fully in memory.
+const SINGLE_READ_LIMIT = 32 * 1024 * 1024;
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+const toHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// dHash: shrink to 9x8 greyscale and record whether each pixel is brighter
+// than its right-hand neighbour. Re-encodes and resizes keep the same bits.
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+const computeSha256 = async (blob) => {
+  if (blob.size <= SINGLE_READ_LIMIT) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  }
+
+  const hash = createSha256();
+  for (let offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    hash.update(new Uint8Array(await blob.slice(offset, offset + CHUNK_SIZE).arrayBuffer()));
+  }
+  return hash.digest();
+};
+
+const computePerceptualHash = async (blob) => {
+  const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+  const canvas = new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  bitmap.close();
+
+  const { data } = context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+  const luminance = (x, y) => {
+    const index = (y * HASH_WIDTH + x) * 4;
+    return data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114;
+  };
+
+  const bytes = new Uint8Array(8);
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      if (luminance(x, y) > luminance(x + 1, y)) {
+        bytes[y] |= 1 << (7 - x);
+      }
+    }
+  }
+  return toHex(bytes);
+};
+
+self.onmessage = async (event) => {
+  const { id, blob, imageSource } = event.data;
+
+  try {
+    const sha256 = blob ? toHex(await computeSha256(blob)) : null;
+    const perceptualHash = imageSource ? await computePerceptualHash(imageSource).catch(() => null) : null;
+
+    self.postMessage({ id, sha256, perceptualHash });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Could not hash file' });
+  }
+};
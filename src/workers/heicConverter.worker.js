@@ -0,0 +1,18 @@
+// Converts HEIC/HEIF images to JPEG off the main thread.
+// Message in:  { id, blob, quality }
+// Message out: { id, blob } or { id, error }
+import './heicEnvironment';
+import heic2any from 'heic2any';
+
+self.onmessage = async (event) => {
+  const { id, blob, quality } = event.data;
+
+  try {
+    const result = await heic2any({ blob, toType: 'image/jpeg', quality });
+    // Multi-image HEIC files (bursts, live photos) convert to an array
+    self.postMessage({ id, blob: Array.isArray(result) ? result[0] : result });
+  } catch (error) {
+    // heic2any rejects with plain objects/strings rather than Errors
+    self.postMessage({ id, error: error?.message || String(error) || 'HEIC conversion failed' });
+  }
+};
@@ -0,0 +1,14 @@
+// heic2any expects a window with a DOM canvas. Point it at the worker's own
+// globals and an OffscreenCanvas; imported before heic2any so it sees them.
+const createCanvas = () => {
+  const canvas = new OffscreenCanvas(1, 1);
+  canvas.toBlob = (callback, type, quality) => {
+    canvas.convertToBlob({ type, quality }).then(callback, () => callback(null));
+  };
+  return canvas;
+};
+
+self.window = self;
+self.document = {
+  createElement: (tagName) => (tagName === 'canvas' ? createCanvas() : null)
+};
@@ -0,0 +1,34 @@
+// Resizes and re-encodes images off the main thread with OffscreenCanvas.
+// Message in:  { id, blob, maxDimension, format, quality }
+// Message out: { id, blob, width, height, originalWidth, originalHeight } or { id, error }
+self.onmessage = async (event) => {
+  const { id, blob, maxDimension, format, quality } = event.data;
+
+  try {
+    // Honors EXIF orientation so rotated phone photos stay upright
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    const originalWidth = bitmap.width;
+    const originalHeight = bitmap.height;
+
+    const scale = Math.min(1, maxDimension / Math.max(originalWidth, originalHeight));
+    const width = Math.round(originalWidth * scale);
+    const height = Math.round(originalHeight * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // JPEG has no alpha channel; flatten transparency onto white instead of black
+    if (format === 'image/jpeg') {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const output = await canvas.convertToBlob({ type: format, quality });
+    self.postMessage({ id, blob: output, width, height, originalWidth, originalHeight });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Could not decode image' });
+  }
+};